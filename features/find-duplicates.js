@@ -0,0 +1,405 @@
+import path from 'path';
+import { dotSimilarity } from '../lib/utils.js';
+import { normalizePathKey } from '../lib/path-utils.js';
+import { loadConfig } from '../lib/config.js';
+import { EmbeddingsCache } from '../lib/cache.js';
+import { createPathFilter, toStringArray } from './hybrid-search.js';
+import {
+  DUPLICATE_ANN_NEIGHBORS,
+  DUPLICATE_FULL_SCAN_MAX_CHUNKS,
+  DUPLICATE_PREVIEW_LINES,
+  SEARCH_BATCH_SIZE,
+} from '../lib/constants.js';
+
+const yieldToLoop = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createUnionFind() {
+  const parent = new Map();
+  const find = (x) => {
+    let root = x;
+    while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+    let node = x;
+    while (node !== root) {
+      const next = parent.get(node) ?? root;
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (!parent.has(rootA)) parent.set(rootA, rootA);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+  return { find, union };
+}
+
+function rangesOverlap(a, b) {
+  return a.startLine <= b.endLine && b.startLine <= a.endLine;
+}
+
+/**
+ * Merge a cluster's chunks into one member per contiguous range of each file, so
+ * overlapping or adjacent chunks of the same code count once.
+ */
+function mergeMembers(entries) {
+  const sorted = [...entries].sort(
+    (a, b) => a.key.localeCompare(b.key) || a.chunk.startLine - b.chunk.startLine
+  );
+  const members = [];
+  for (const { key, index, chunk } of sorted) {
+    const last = members[members.length - 1];
+    if (last && last.key === key && chunk.startLine <= last.endLine + 1) {
+      last.endLine = Math.max(last.endLine, chunk.endLine);
+      last.chunks.push(index);
+      continue;
+    }
+    members.push({
+      key,
+      file: chunk.file,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      chunks: [index],
+    });
+  }
+  return members;
+}
+
+export class DuplicateFinder {
+  constructor(cache, config) {
+    this.cache = cache;
+    this.config = config;
+  }
+
+  relativePath(file) {
+    return path.relative(this.config.searchDirectory, file).split(path.sep).join('/');
+  }
+
+  /**
+   * Group indexed chunks into clusters of near-duplicates. Each chunk's nearest neighbours
+   * come from the ANN index (or an exact pairwise scan when ANN is unavailable and the
+   * store is small); pairs at or above `threshold` are joined with union-find. Pairs from
+   * the same file are skipped unless `includeSameFile` is set, and overlapping chunks of
+   * one file are never paired. Clusters are sorted by member count, then similarity.
+   */
+  async findClusters({
+    threshold = 0.9,
+    minLines = 5,
+    maxClusters = 20,
+    includeSameFile = false,
+    includeGlobs,
+    excludeGlobs,
+    pathPrefix,
+  } = {}) {
+    const safeThreshold = Number.isFinite(threshold) ? Math.min(1, Math.max(0, threshold)) : 0.9;
+    const safeMinLines = Number.isInteger(minLines) && minLines > 0 ? minLines : 1;
+    const safeMaxClusters = Number.isInteger(maxClusters) && maxClusters > 0 ? maxClusters : 20;
+    const pathFilter = createPathFilter(
+      { includeGlobs, excludeGlobs, pathPrefix },
+      this.config.searchDirectory
+    );
+
+    if (typeof this.cache.ensureLoaded === 'function') {
+      await this.cache.ensureLoaded();
+    }
+    this.cache.startRead?.();
+    try {
+      const storeSize = this.cache.getStoreSize();
+      if (storeSize === 0) {
+        return {
+          clusters: [],
+          message: 'No code has been indexed yet. Please wait for initial indexing to complete.',
+        };
+      }
+
+      const eligible = new Map(); // store index -> { key, chunk, vector }
+      for (let i = 0; i < storeSize; i++) {
+        const chunk = this.cache.getChunk(i);
+        if (!chunk || chunk.endLine - chunk.startLine + 1 < safeMinLines) continue;
+        if (pathFilter && !pathFilter(chunk.file)) continue;
+        const vector = this.cache.getChunkVector(chunk, i);
+        if (!vector) continue;
+        eligible.set(i, { key: normalizePathKey(chunk.file), chunk, vector });
+      }
+
+      const pairs = new Map(); // "a:b" -> similarity
+      const { find, union } = createUnionFind();
+      const consider = (a, b) => {
+        const low = Math.min(a, b);
+        const high = Math.max(a, b);
+        const pairKey = `${low}:${high}`;
+        if (low === high || pairs.has(pairKey)) return;
+        const left = eligible.get(low);
+        const right = eligible.get(high);
+        if (!left || !right) return;
+        if (
+          left.key === right.key &&
+          (!includeSameFile || rangesOverlap(left.chunk, right.chunk))
+        ) {
+          return;
+        }
+        let similarity;
+        try {
+          similarity = dotSimilarity(left.vector, right.vector);
+        } catch {
+          return;
+        }
+        if (similarity >= safeThreshold) {
+          pairs.set(pairKey, similarity);
+          union(low, high);
+        }
+      };
+
+      const indices = Array.from(eligible.keys());
+      let retrieval = 'ann';
+      if (indices.length > 0 && this.config.annEnabled) {
+        const probe = await this.cache.queryAnn(eligible.get(indices[0]).vector, 1);
+        if (!probe || probe.length === 0) retrieval = 'full-scan';
+      } else {
+        retrieval = 'full-scan';
+      }
+
+      if (retrieval === 'ann') {
+        for (let n = 0; n < indices.length; n++) {
+          if (n > 0 && n % SEARCH_BATCH_SIZE === 0) await yieldToLoop();
+          const index = indices[n];
+          const labels = await this.cache.queryAnn(
+            eligible.get(index).vector,
+            DUPLICATE_ANN_NEIGHBORS + 1
+          );
+          for (const label of labels ?? []) consider(index, label);
+        }
+      } else if (indices.length <= DUPLICATE_FULL_SCAN_MAX_CHUNKS) {
+        for (let a = 0; a < indices.length; a++) {
+          if (a > 0 && a % 50 === 0) await yieldToLoop();
+          for (let b = a + 1; b < indices.length; b++) consider(indices[a], indices[b]);
+        }
+      } else {
+        return {
+          clusters: [],
+          message: `The ANN index is not available and ${indices.length} chunks are too many for a pairwise scan (max ${DUPLICATE_FULL_SCAN_MAX_CHUNKS}). Enable ann.annEnabled or narrow the scan with pathPrefix/includeGlobs.`,
+        };
+      }
+
+      const groups = new Map(); // root -> { entries, similarities }
+      for (const [pairKey, similarity] of pairs) {
+        const [a, b] = pairKey.split(':').map(Number);
+        const root = find(a);
+        if (!groups.has(root)) groups.set(root, { indices: new Set(), similarities: [] });
+        const group = groups.get(root);
+        group.indices.add(a);
+        group.indices.add(b);
+        group.similarities.push(similarity);
+      }
+
+      const clusters = [];
+      for (const group of groups.values()) {
+        const members = mergeMembers(
+          Array.from(group.indices, (index) => ({ index, ...eligible.get(index) }))
+        );
+        if (members.length < 2) continue;
+        const total = group.similarities.reduce((sum, value) => sum + value, 0);
+        clusters.push({
+          size: members.length,
+          maxSimilarity: Math.max(...group.similarities),
+          avgSimilarity: total / group.similarities.length,
+          members,
+        });
+      }
+      clusters.sort((a, b) => b.size - a.size || b.avgSimilarity - a.avgSimilarity);
+      const shown = clusters.slice(0, safeMaxClusters);
+
+      // Read previews under the read lock, while store indices still point at these chunks.
+      for (const cluster of shown) {
+        const index = cluster.members[0].chunks[0];
+        cluster.preview =
+          (await this.cache.getChunkContent(eligible.get(index).chunk, index)) ?? null;
+      }
+
+      return {
+        clusters: shown,
+        totalClusters: clusters.length,
+        chunksScanned: indices.length,
+        pairs: pairs.size,
+        retrieval,
+        threshold: safeThreshold,
+        message: null,
+      };
+    } finally {
+      this.cache.endRead?.();
+    }
+  }
+
+  toJSON(report) {
+    return {
+      threshold: report.threshold,
+      retrieval: report.retrieval,
+      chunksScanned: report.chunksScanned,
+      pairs: report.pairs,
+      totalClusters: report.totalClusters,
+      clusters: report.clusters.map((cluster, idx) => ({
+        id: idx + 1,
+        size: cluster.size,
+        maxSimilarity: cluster.maxSimilarity,
+        avgSimilarity: cluster.avgSimilarity,
+        members: cluster.members.map((member) => ({
+          file: member.file,
+          relativePath: this.relativePath(member.file),
+          startLine: member.startLine,
+          endLine: member.endLine,
+        })),
+      })),
+    };
+  }
+
+  formatMarkdown(report) {
+    if (report.clusters.length === 0) {
+      return `No duplicate code found at similarity >= ${(report.threshold * 100).toFixed(0)}% (${report.chunksScanned} chunks scanned).`;
+    }
+
+    const shown =
+      report.totalClusters > report.clusters.length
+        ? `top ${report.clusters.length} of ${report.totalClusters}`
+        : `${report.totalClusters}`;
+    let output =
+      `# Duplicate code report\n\n` +
+      `${shown} clusters at similarity >= ${(report.threshold * 100).toFixed(0)}% ` +
+      `(${report.chunksScanned} chunks scanned, ${report.retrieval}).\n`;
+
+    for (let i = 0; i < report.clusters.length; i++) {
+      const cluster = report.clusters[i];
+      output +=
+        `\n## Cluster ${i + 1}: ${cluster.size} copies ` +
+        `(similarity ${(cluster.avgSimilarity * 100).toFixed(1)}% avg, ${(cluster.maxSimilarity * 100).toFixed(1)}% max)\n\n`;
+      for (const member of cluster.members) {
+        output += `- \`${this.relativePath(member.file)}\` lines ${member.startLine}-${member.endLine}\n`;
+      }
+
+      if (cluster.preview) {
+        const lines = cluster.preview.split('\n');
+        const preview = lines.slice(0, DUPLICATE_PREVIEW_LINES).join('\n');
+        const more = lines.length > DUPLICATE_PREVIEW_LINES ? '\n...' : '';
+        output += `\n\`\`\`${path.extname(cluster.members[0].file).slice(1)}\n${preview}${more}\n\`\`\`\n`;
+      }
+    }
+    return output;
+  }
+}
+
+export function getToolDefinition() {
+  return {
+    name: 'd_find_duplicates',
+    description:
+      'Report clusters of duplicated code across the whole index (clone detection). Compares every indexed chunk with its nearest neighbours and groups pairs above a similarity threshold that live in different files. Useful for finding copy-pasted logic worth extracting.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        threshold: {
+          type: 'number',
+          description:
+            'Minimum similarity 0-1 for two chunks to count as duplicates (default: 0.9)',
+          default: 0.9,
+        },
+        minLines: {
+          type: 'number',
+          description: 'Ignore chunks shorter than this many lines (default: 5)',
+          default: 5,
+        },
+        maxClusters: {
+          type: 'number',
+          description: 'Maximum clusters to report, largest first (default: 20)',
+          default: 20,
+        },
+        includeSameFile: {
+          type: 'boolean',
+          description:
+            'Also pair non-overlapping chunks of the same file (default: false, different files only)',
+          default: false,
+        },
+        includeGlobs: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Only scan files matching at least one glob (e.g., ['src/**/*.ts'])",
+        },
+        excludeGlobs: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Skip files matching any glob (e.g., ['**/*.test.js'])",
+        },
+        pathPrefix: {
+          type: 'string',
+          description: "Only scan files under this workspace-relative path (e.g., 'lib/')",
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'Report format (default: markdown)',
+          default: 'markdown',
+        },
+      },
+    },
+    annotations: {
+      title: 'Find Duplicate Code',
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+  };
+}
+
+/**
+ * CLI entry point (`heuristic-mcp --duplicates`): load the workspace cache from disk and
+ * write the duplicate report to stdout. Returns false when there is nothing to report on.
+ */
+export async function printDuplicateReport({ workspaceDir, threshold, json = false } = {}) {
+  const config = await loadConfig(workspaceDir || process.cwd());
+  if (!config.enableCache) {
+    console.error('[Duplicates] Cache disabled (enableCache=false); nothing to scan.');
+    return false;
+  }
+
+  const cache = new EmbeddingsCache(config);
+  try {
+    await cache.load();
+    const finder = new DuplicateFinder(cache, config);
+    const report = await finder.findClusters({
+      threshold: Number.isFinite(threshold) ? threshold : 0.9,
+    });
+    if (report.message) {
+      console.error(`[Duplicates] ${report.message}`);
+      return false;
+    }
+    const text = json
+      ? JSON.stringify(finder.toJSON(report), null, 2)
+      : finder.formatMarkdown(report);
+    process.stdout.write(`${text}\n`);
+    return true;
+  } finally {
+    await cache.close();
+  }
+}
+
+export async function handleToolCall(request, duplicateFinder) {
+  const args = request.params?.arguments || {};
+  const report = await duplicateFinder.findClusters({
+    threshold: typeof args.threshold === 'number' ? args.threshold : 0.9,
+    minLines: Number.isInteger(args.minLines) ? args.minLines : 5,
+    maxClusters: Number.isInteger(args.maxClusters) ? args.maxClusters : 20,
+    includeSameFile: args.includeSameFile === true,
+    includeGlobs: toStringArray(args.includeGlobs),
+    excludeGlobs: toStringArray(args.excludeGlobs),
+    pathPrefix: typeof args.pathPrefix === 'string' ? args.pathPrefix : undefined,
+  });
+
+  if (report.message) {
+    return { content: [{ type: 'text', text: report.message }] };
+  }
+
+  const text =
+    args.format === 'json'
+      ? JSON.stringify(duplicateFinder.toJSON(report), null, 2)
+      : duplicateFinder.formatMarkdown(report);
+  return { content: [{ type: 'text', text }] };
+}
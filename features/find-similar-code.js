@@ -1,5 +1,11 @@
 import path from 'path';
-import { dotSimilarity, smartChunk, estimateTokens, getModelTokenLimit } from '../lib/utils.js';
+import fs from 'fs/promises';
+import { dotSimilarity, smartChunk, countTokens, getModelTokenLimit } from '../lib/utils.js';
+import { extractDefinitionSpans } from '../lib/call-graph.js';
+import { normalizePathKey } from '../lib/path-utils.js';
+import { createPathFilter, toStringArray } from './hybrid-search.js';
+import { computeRelevance } from '../lib/relevance.js';
+import { MAX_EXCLUDE_SNIPPETS, REFERENCE_CHUNK_MIN_OVERLAP } from '../lib/constants.js';
 
 function alignQueryVectorDimension(vector, targetDim) {
   if (!(vector instanceof Float32Array)) {
@@ -19,6 +25,28 @@ function alignQueryVectorDimension(vector, targetDim) {
   return sliced;
 }
 
+const normalizeText = (text) => text.trim().replace(/\s+/g, ' ');
+
+/**
+ * Parse a `file:line` or `file:start-end` reference. Returns null when the value has no
+ * line part.
+ */
+export function parseSourceRef(ref) {
+  if (typeof ref !== 'string') return null;
+  const match = /^(.+?):(\d+)(?:-(\d+))?$/.exec(ref.trim());
+  if (!match) return null;
+  const startLine = Number(match[2]);
+  const endLine = match[3] ? Number(match[3]) : startLine;
+  return { file: match[1], startLine, endLine: Math.max(startLine, endLine) };
+}
+
+function lineOverlap(a, b) {
+  const intersection = Math.min(a.endLine, b.endLine) - Math.max(a.startLine, b.startLine) + 1;
+  if (intersection <= 0) return 0;
+  const union = Math.max(a.endLine, b.endLine) - Math.min(a.startLine, b.startLine) + 1;
+  return intersection / union;
+}
+
 export class FindSimilarCode {
   constructor(embedder, cache, config) {
     this.embedder = embedder;
@@ -43,11 +71,187 @@ export class FindSimilarCode {
     return Math.min(totalChunks, Math.max(maxResults, capped));
   }
 
-  async execute({ code, maxResults = 5, minSimilarity = 0.3 }) {
-    if (typeof code !== 'string' || code.trim().length === 0) {
+  /**
+   * Text to embed for a snippet: the first chunk when it exceeds the model's token limit.
+   */
+  prepareSnippet(code) {
+    const tokenCount = countTokens(code, this.config.embeddingModel);
+    const limit = getModelTokenLimit(this.config.embeddingModel);
+    if (tokenCount > limit) {
+      const chunks = smartChunk(code, 'input.txt', this.config);
+      if (chunks.length > 0) {
+        return {
+          text: chunks[0].text,
+          warning: `Note: Input code was too long (${tokenCount} tokens). Searching using the first chunk (${chunks[0].tokenCount} tokens).`,
+        };
+      }
+    }
+    return { text: code, warning: null };
+  }
+
+  async embedSnippet(text) {
+    let vector = this.cache.getQueryEmbedding?.(text);
+    if (vector) return vector;
+
+    const embedded = await this.embedder(text, {
+      pooling: 'mean',
+      normalize: true,
+    });
+    try {
+      vector = new Float32Array(embedded.data);
+    } finally {
+      if (typeof embedded.dispose === 'function') {
+        try {
+          embedded.dispose();
+        } catch {}
+      }
+    }
+    vector = alignQueryVectorDimension(vector, this.config.embeddingDimension);
+    this.cache.setQueryEmbedding?.(text, vector);
+    return vector;
+  }
+
+  resolveFile(file) {
+    return path.isAbsolute(file) ? file : path.resolve(this.config.searchDirectory, file);
+  }
+
+  /**
+   * Files whose call-graph definitions include `symbol`.
+   */
+  findSymbolFiles(symbol) {
+    if (typeof this.cache.getFileCallDataKeys !== 'function') return [];
+    return this.cache
+      .getFileCallDataKeys()
+      .filter((file) => this.cache.getFileCallData(file)?.definitions?.includes(symbol))
+      .sort();
+  }
+
+  /**
+   * Resolve a `file` + line range or `symbol` reference to a query vector. A range that
+   * mostly matches an indexed chunk reuses its stored vector; other ranges are read from
+   * disk and embedded. Returns { error } when the reference cannot be resolved.
+   */
+  async resolveReference({ file, startLine, endLine, symbol }, vectorStore) {
+    let target = typeof file === 'string' && file.length > 0 ? this.resolveFile(file) : null;
+    let range = null;
+    let content = null;
+
+    if (Number.isInteger(startLine) && startLine > 0) {
+      if (!target) return { error: 'A file is required with startLine/endLine.' };
+      range = {
+        startLine,
+        endLine: Number.isInteger(endLine) && endLine >= startLine ? endLine : startLine,
+      };
+    } else if (typeof symbol === 'string' && symbol.length > 0) {
+      if (!target) {
+        const files = this.findSymbolFiles(symbol);
+        if (files.length === 0) {
+          return { error: `Symbol \`${symbol}\` was not found in the index; pass file as well.` };
+        }
+        if (files.length > 1) {
+          const listed = files
+            .slice(0, 5)
+            .map((candidate) => path.relative(this.config.searchDirectory, candidate))
+            .join(', ');
+          return {
+            error: `Symbol \`${symbol}\` is defined in ${files.length} files (${listed}); pass file to choose one.`,
+          };
+        }
+        target = files[0];
+      }
+      try {
+        content = await fs.readFile(target, 'utf8');
+      } catch (err) {
+        return { error: `Cannot read ${file ?? target}: ${err.message}` };
+      }
+      const span = extractDefinitionSpans(content, target).find((entry) => entry.name === symbol);
+      if (!span) {
+        return {
+          error: `Symbol \`${symbol}\` was not found in ${path.relative(this.config.searchDirectory, target)}.`,
+        };
+      }
+      range = { startLine: span.startLine, endLine: span.endLine };
+    } else {
+      return { error: 'Pass code, a file with startLine/endLine, or a symbol.' };
+    }
+
+    const targetKey = normalizePathKey(target);
+    let best = null;
+    let bestOverlap = 0;
+    for (const chunk of vectorStore) {
+      if (!chunk || normalizePathKey(chunk.file) !== targetKey) continue;
+      const overlap = lineOverlap(chunk, range);
+      if (overlap > bestOverlap) {
+        best = chunk;
+        bestOverlap = overlap;
+      }
+    }
+
+    const reference = { file: target, ...range, symbol: symbol ?? null };
+    if (best && bestOverlap >= REFERENCE_CHUNK_MIN_OVERLAP) {
+      const vector = this.getChunkVector(best);
+      if (vector) {
+        return {
+          vector,
+          text: best.content ?? (await this.getChunkContent(best)) ?? '',
+          reference: {
+            ...reference,
+            source: 'index',
+            chunkStartLine: best.startLine,
+            chunkEndLine: best.endLine,
+          },
+        };
+      }
+    }
+
+    if (content === null) {
+      try {
+        content = await fs.readFile(target, 'utf8');
+      } catch (err) {
+        return { error: `Cannot read ${file}: ${err.message}` };
+      }
+    }
+    const lines = content.split(/\r?\n/).slice(range.startLine - 1, range.endLine);
+    if (lines.join('').trim().length === 0) {
+      return { error: `Lines ${range.startLine}-${range.endLine} of ${file ?? target} are empty.` };
+    }
+    const prepared = this.prepareSnippet(lines.join('\n'));
+    return {
+      vector: await this.embedSnippet(prepared.text),
+      text: prepared.text,
+      warning: prepared.warning,
+      reference: { ...reference, source: 'embedded' },
+    };
+  }
+
+  /**
+   * Find chunks similar to `code`, or to an indexed range given by `file` + lines or by
+   * `symbol` (see resolveReference); chunks overlapping the referenced range are skipped. Candidates close to any of `excludeSnippets` are pushed
+   * down: they rank by `similarity - negativeWeight * negativeSimilarity`, where
+   * negativeSimilarity is the closest excluded snippet. `excludeFiles` (paths or globs) and
+   * the file of a `source` reference (`file:line`) are skipped entirely.
+   */
+  async execute({
+    code,
+    file,
+    startLine,
+    endLine,
+    symbol,
+    maxResults = 5,
+    minSimilarity = 0.3,
+    excludeSnippets = [],
+    excludeFiles = [],
+    source = null,
+    negativeWeight = 0.5,
+  }) {
+    const hasCode = typeof code === 'string' && code.trim().length > 0;
+    const hasReference =
+      (typeof file === 'string' && file.length > 0) ||
+      (typeof symbol === 'string' && symbol.length > 0);
+    if (!hasCode && !hasReference) {
       return {
         results: [],
-        message: 'Error: A non-empty code string is required.',
+        message: 'Error: A non-empty code string (or a file/symbol reference) is required.',
       };
     }
     const safeMaxResults =
@@ -55,6 +259,26 @@ export class FindSimilarCode {
     const safeMinSimilarity = Number.isFinite(minSimilarity)
       ? Math.min(1, Math.max(0, minSimilarity))
       : 0.3;
+    const safeNegativeWeight = Number.isFinite(negativeWeight)
+      ? Math.min(1, Math.max(0, negativeWeight))
+      : 0.5;
+    const negatives = (Array.isArray(excludeSnippets) ? excludeSnippets : [])
+      .filter((snippet) => typeof snippet === 'string' && snippet.trim().length > 0)
+      .slice(0, MAX_EXCLUDE_SNIPPETS);
+    const sourceRef = parseSourceRef(source);
+    const excludedGlobs = (Array.isArray(excludeFiles) ? excludeFiles : []).filter(
+      (file) => typeof file === 'string' && file.length > 0
+    );
+    if (sourceRef) {
+      const sourceFile = path.isAbsolute(sourceRef.file)
+        ? path.relative(this.config.searchDirectory, sourceRef.file)
+        : sourceRef.file;
+      excludedGlobs.push(sourceFile.split(path.sep).join('/').replace(/^\.\//, ''));
+    }
+    const fileFilter = createPathFilter(
+      { excludeGlobs: excludedGlobs },
+      this.config.searchDirectory
+    );
 
     if (typeof this.cache.ensureLoaded === 'function') {
       await this.cache.ensureLoaded();
@@ -73,36 +297,35 @@ export class FindSimilarCode {
         };
       }
 
-      let codeToEmbed = code;
+      let codeToEmbed;
+      let codeVector;
       let warningMessage = null;
-
-      const estimatedTokens = estimateTokens(code);
-      const limit = getModelTokenLimit(this.config.embeddingModel);
-
-      if (estimatedTokens > limit) {
-        const chunks = smartChunk(code, 'input.txt', this.config);
-        if (chunks.length > 0) {
-          codeToEmbed = chunks[0].text;
-          warningMessage = `Note: Input code was too long (${estimatedTokens} tokens). Searching using the first chunk (${chunks[0].tokenCount} tokens).`;
+      let reference = null;
+      if (hasCode) {
+        const prepared = this.prepareSnippet(code);
+        codeToEmbed = prepared.text;
+        warningMessage = prepared.warning;
+        codeVector = await this.embedSnippet(codeToEmbed);
+      } else {
+        const resolved = await this.resolveReference(
+          { file, startLine, endLine, symbol },
+          vectorStore
+        );
+        if (resolved.error) {
+          return { results: [], message: `Error: ${resolved.error}` };
         }
+        codeToEmbed = resolved.text;
+        codeVector = resolved.vector;
+        warningMessage = resolved.warning ?? null;
+        reference = resolved.reference;
       }
+      const referenceKey = reference ? normalizePathKey(reference.file) : null;
 
-      const codeEmbed = await this.embedder(codeToEmbed, {
-        pooling: 'mean',
-        normalize: true,
-      });
-
-      let codeVector;
-      try {
-        codeVector = new Float32Array(codeEmbed.data);
-      } finally {
-        if (typeof codeEmbed.dispose === 'function') {
-          try {
-            codeEmbed.dispose();
-          } catch {}
-        }
+      const negativeTexts = negatives.map((snippet) => this.prepareSnippet(snippet).text);
+      const negativeVectors = [];
+      for (const text of negativeTexts) {
+        negativeVectors.push(await this.embedSnippet(text));
       }
-      codeVector = alignQueryVectorDimension(codeVector, this.config.embeddingDimension);
 
       let candidates = vectorStore;
       let usedAnn = false;
@@ -122,8 +345,8 @@ export class FindSimilarCode {
         }
       }
 
-      const normalizeText = (text) => text.trim().replace(/\s+/g, ' ');
       const normalizedInput = normalizeText(codeToEmbed);
+      const normalizedNegatives = new Set(negativeTexts.map(normalizeText));
 
       const scoreAndFilter = async (chunks) => {
         const BATCH_SIZE = 500;
@@ -137,11 +360,26 @@ export class FindSimilarCode {
           }
 
           for (const chunk of batch) {
+            if (fileFilter && !fileFilter(chunk.file)) continue;
+            if (
+              referenceKey &&
+              normalizePathKey(chunk.file) === referenceKey &&
+              lineOverlap(chunk, reference) > 0
+            ) {
+              continue;
+            }
             const vector = this.getChunkVector(chunk);
             if (!vector) continue;
             let similarity;
+            let negativeSimilarity = null;
             try {
               similarity = dotSimilarity(codeVector, vector);
+              for (const negativeVector of negativeVectors) {
+                const value = dotSimilarity(negativeVector, vector);
+                if (negativeSimilarity === null || value > negativeSimilarity) {
+                  negativeSimilarity = value;
+                }
+              }
             } catch (err) {
               if (!warningMessage) {
                 warningMessage = err?.message || 'Vector dimension mismatch.';
@@ -150,12 +388,28 @@ export class FindSimilarCode {
             }
 
             if (similarity >= safeMinSimilarity) {
-              scored.push({ ...chunk, similarity });
+              if (negativeSimilarity === null) {
+                scored.push({
+                  ...chunk,
+                  similarity,
+                  score: similarity,
+                  relevance: computeRelevance(similarity),
+                });
+              } else {
+                const score = similarity - safeNegativeWeight * negativeSimilarity;
+                scored.push({
+                  ...chunk,
+                  similarity,
+                  negativeSimilarity,
+                  score,
+                  relevance: computeRelevance(score),
+                });
+              }
             }
           }
         }
 
-        return scored.sort((a, b) => b.similarity - a.similarity);
+        return scored.sort((a, b) => b.score - a.score);
       };
 
       let filteredResults = await scoreAndFilter(candidates);
@@ -171,7 +425,9 @@ export class FindSimilarCode {
         const content = chunk.content ?? (await this.getChunkContent(chunk));
         if (normalizedInput) {
           const normalizedChunk = normalizeText(content);
-          if (normalizedChunk === normalizedInput) continue;
+          if (normalizedChunk === normalizedInput || normalizedNegatives.has(normalizedChunk)) {
+            continue;
+          }
         }
         results.push({ ...chunk, content });
         if (results.length >= safeMaxResults) break;
@@ -179,6 +435,7 @@ export class FindSimilarCode {
 
       return {
         results,
+        reference,
         message:
           warningMessage ||
           (results.length === 0 ? 'No similar code found above the similarity threshold.' : null),
@@ -190,6 +447,16 @@ export class FindSimilarCode {
     }
   }
 
+  formatReference(reference) {
+    const relPath = path.relative(this.config.searchDirectory, reference.file);
+    const symbol = reference.symbol ? ` (\`${reference.symbol}\`)` : '';
+    const how =
+      reference.source === 'index'
+        ? `stored vector of indexed chunk ${reference.chunkStartLine}-${reference.chunkEndLine}`
+        : 'embedded from disk';
+    return `**Reference:** \`${relPath}\` lines ${reference.startLine}-${reference.endLine}${symbol}, ${how}\n\n`;
+  }
+
   async formatResults(results) {
     if (results.length === 0) {
       return 'No similar code patterns found in the codebase.';
@@ -199,8 +466,13 @@ export class FindSimilarCode {
       results.map(async (r, idx) => {
         const relPath = path.relative(this.config.searchDirectory, r.file);
         const content = r.content ?? (await this.getChunkContent(r));
+        const negative =
+          typeof r.negativeSimilarity === 'number'
+            ? ` (closest excluded snippet: ${(r.negativeSimilarity * 100).toFixed(1)}%)`
+            : '';
         return (
-          `## Similar Code ${idx + 1} (Similarity: ${(r.similarity * 100).toFixed(1)}%)\n` +
+          `## Similar Code ${idx + 1} (Relevance: ${(r.relevance * 100).toFixed(1)}%)\n` +
+          `**Similarity:** ${(r.similarity * 100).toFixed(1)}%${negative}\n` +
           `**File:** \`${relPath}\`\n` +
           `**Lines:** ${r.startLine}-${r.endLine}\n\n` +
           '```' +
@@ -227,7 +499,26 @@ export function getToolDefinition(_config) {
       properties: {
         code: {
           type: 'string',
-          description: 'The code snippet to find similar patterns for',
+          description:
+            'The code snippet to find similar patterns for (or use file + startLine/endLine, or symbol)',
+        },
+        file: {
+          type: 'string',
+          description:
+            'Workspace-relative file of already-indexed code to use instead of pasting it; a range that matches an indexed chunk reuses its stored vector without re-embedding',
+        },
+        startLine: {
+          type: 'number',
+          description: 'First line of the reference range in file (1-based)',
+        },
+        endLine: {
+          type: 'number',
+          description: 'Last line of the reference range in file (default: startLine)',
+        },
+        symbol: {
+          type: 'string',
+          description:
+            'Function or class name to use as the reference; file is optional when only one indexed file defines it',
         },
         maxResults: {
           type: 'number',
@@ -236,11 +527,32 @@ export function getToolDefinition(_config) {
         },
         minSimilarity: {
           type: 'number',
-          description: 'Minimum similarity threshold 0-1 (default: 0.3 = 30%)',
+          description:
+            'Minimum cosine similarity 0-1 to the snippet (default: 0.3 = 30%). Applies before the excludeSnippets penalty, so it is not a relevance cutoff',
           default: 0.3,
         },
+        excludeSnippets: {
+          type: 'array',
+          items: { type: 'string' },
+          description: `"Not like this" examples (e.g. the canonical implementation you already know); results close to them rank lower, exact copies are dropped (max ${MAX_EXCLUDE_SNIPPETS})`,
+        },
+        negativeWeight: {
+          type: 'number',
+          description:
+            'How strongly closeness to excludeSnippets lowers the rank, 0-1 (default: 0.5)',
+          default: 0.5,
+        },
+        excludeFiles: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Workspace-relative files or globs to skip (e.g., ['lib/legacy/**'])",
+        },
+        source: {
+          type: 'string',
+          description:
+            "Where the snippet comes from, as 'file:line' or 'file:start-end'; that file is left out of the results",
+        },
       },
-      required: ['code'],
     },
     annotations: {
       title: 'Find Similar Code',
@@ -254,20 +566,35 @@ export function getToolDefinition(_config) {
 
 export async function handleToolCall(request, findSimilarCode) {
   const args = request.params?.arguments || {};
-  const code = args.code;
-  if (typeof code !== 'string' || code.trim().length === 0) {
+  const code = typeof args.code === 'string' && args.code.trim().length > 0 ? args.code : null;
+  const file = typeof args.file === 'string' && args.file.length > 0 ? args.file : null;
+  const symbol = typeof args.symbol === 'string' && args.symbol.length > 0 ? args.symbol : null;
+  if (!code && !file && !symbol) {
     return {
-      content: [{ type: 'text', text: 'Error: A non-empty code string is required.' }],
+      content: [
+        {
+          type: 'text',
+          text: 'Error: A non-empty code string, or a file with startLine/endLine, or a symbol is required.',
+        },
+      ],
       isError: true,
     };
   }
   const maxResults = typeof args.maxResults === 'number' ? args.maxResults : 5;
   const minSimilarity = typeof args.minSimilarity === 'number' ? args.minSimilarity : 0.3;
 
-  const { results, message } = await findSimilarCode.execute({
+  const { results, message, reference } = await findSimilarCode.execute({
     code,
+    file,
+    startLine: Number.isInteger(args.startLine) ? args.startLine : undefined,
+    endLine: Number.isInteger(args.endLine) ? args.endLine : undefined,
+    symbol,
     maxResults,
     minSimilarity,
+    excludeSnippets: toStringArray(args.excludeSnippets),
+    excludeFiles: toStringArray(args.excludeFiles),
+    source: typeof args.source === 'string' ? args.source : null,
+    negativeWeight: typeof args.negativeWeight === 'number' ? args.negativeWeight : 0.5,
   });
 
   if (message) {
@@ -276,7 +603,10 @@ export async function handleToolCall(request, findSimilarCode) {
     };
   }
 
-  const formattedText = await findSimilarCode.formatResults(results);
+  let formattedText = await findSimilarCode.formatResults(results);
+  if (reference) {
+    formattedText = findSimilarCode.formatReference(reference) + formattedText;
+  }
 
   return {
     content: [{ type: 'text', text: formattedText }],
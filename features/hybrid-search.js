@@ -1,13 +1,23 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { dotSimilarity } from '../lib/utils.js';
-import { extractSymbolsFromContent } from '../lib/call-graph.js';
+import { extractSymbolsFromContent, extractDefinitionSpans } from '../lib/call-graph.js';
 import { embedQueryInChildProcess } from '../lib/embed-query-process.js';
-import { normalizePathKey } from '../lib/path-utils.js';
+import { normalizePathKey, buildGlobMatchers, matchesGlobPatterns } from '../lib/path-utils.js';
+import { lexicalDocKey } from '../lib/lexical-index.js';
+import { tokenizeCode } from '../lib/code-tokenizer.js';
+import { parseScope, resolveScopeFiles, SCOPE_HELP } from '../lib/git-scope.js';
+import { computeRelevance, lexicalCoverage } from '../lib/relevance.js';
 import {
   STAT_CONCURRENCY_LIMIT,
   SEARCH_BATCH_SIZE,
   PARTIAL_MATCH_BOOST,
+  SEARCH_RESULT_CACHE_MAX_ENTRIES,
+  SEARCH_RESULT_CACHE_MAX_RESULTS,
+  MAX_SEARCH_QUERIES,
+  MAX_EXPANDED_HIT_LINES,
+  MAX_OUTLINE_ENTRIES,
+  SEARCH_HISTORY_TOP_FILES,
 } from '../lib/constants.js';
 
 function alignQueryVectorDimension(vector, targetDim) {
@@ -32,13 +42,358 @@ function toFileKey(file) {
   return normalizePathKey(file);
 }
 
+function toPosixPath(value) {
+  return value.split(path.sep).join('/');
+}
+
+function normalizeExtension(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?\./, '');
+}
+
+/**
+ * Build a predicate that decides whether a file passes the optional search filters.
+ * Paths are matched relative to the search directory. Returns null when no filter is set.
+ */
+export function createPathFilter(options = {}, searchDirectory = '') {
+  const includeMatchers = buildGlobMatchers(options.includeGlobs);
+  const excludeMatchers = buildGlobMatchers(options.excludeGlobs);
+  const extensions = new Set(
+    (Array.isArray(options.languages) ? options.languages : [])
+      .map(normalizeExtension)
+      .filter(Boolean)
+  );
+  const pathPrefix =
+    typeof options.pathPrefix === 'string'
+      ? options.pathPrefix.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '')
+      : '';
+  const scopeFiles = options.scopeFiles instanceof Set ? options.scopeFiles : null;
+
+  if (
+    includeMatchers.length === 0 &&
+    excludeMatchers.length === 0 &&
+    extensions.size === 0 &&
+    !pathPrefix &&
+    !scopeFiles
+  ) {
+    return null;
+  }
+
+  const decisions = new Map();
+  return (file) => {
+    if (typeof file !== 'string' || file.length === 0) return false;
+    const cached = decisions.get(file);
+    if (cached !== undefined) return cached;
+
+    let relative = file;
+    if (searchDirectory && path.isAbsolute(file)) {
+      relative = path.relative(searchDirectory, file);
+    }
+    relative = relative.split(path.sep).join('/');
+
+    let allowed = scopeFiles ? scopeFiles.has(relative) : true;
+    if (allowed && pathPrefix) {
+      const target = path.isAbsolute(pathPrefix) ? file.split(path.sep).join('/') : relative;
+      // Match whole path segments: "lib" covers lib/... but not library/...
+      allowed = target === pathPrefix || target.startsWith(`${pathPrefix}/`);
+    }
+    if (allowed && extensions.size > 0) {
+      allowed = extensions.has(path.extname(relative).slice(1).toLowerCase());
+    }
+    if (allowed && includeMatchers.length > 0) {
+      allowed = matchesGlobPatterns(relative, includeMatchers);
+    }
+    if (allowed && excludeMatchers.length > 0) {
+      allowed = !matchesGlobPatterns(relative, excludeMatchers);
+    }
+
+    decisions.set(file, allowed);
+    return allowed;
+  };
+}
+
+function countMatchedTerms(content, queryTerms) {
+  const contentTerms = new Set(tokenizeCode(content));
+  let matched = 0;
+  for (const term of queryTerms) {
+    if (contentTerms.has(term)) matched++;
+  }
+  return matched;
+}
+
+/**
+ * Everything that changes the ranking except the page window.
+ */
+function getResultCacheKey(query, options) {
+  return JSON.stringify([
+    query,
+    options.includeGlobs ?? null,
+    options.excludeGlobs ?? null,
+    options.languages ?? null,
+    options.pathPrefix ?? null,
+    options.explain === true,
+    options.maxResultsPerFile ?? null,
+    getSearchQueries(query, options).slice(1),
+    options.scopeFiles ? Array.from(options.scopeFiles).sort() : null,
+  ]);
+}
+
+/**
+ * The primary query followed by distinct alternate phrasings, capped at MAX_SEARCH_QUERIES.
+ */
+function getSearchQueries(query, options) {
+  const queries = [query];
+  const seen = new Set([query.trim().toLowerCase()]);
+  for (const alternate of Array.isArray(options.queries) ? options.queries : []) {
+    if (typeof alternate !== 'string') continue;
+    const normalized = alternate.trim().toLowerCase();
+    if (!normalized || seen.has(normalized)) continue;
+    seen.add(normalized);
+    queries.push(alternate);
+    if (queries.length >= MAX_SEARCH_QUERIES) break;
+  }
+  return queries;
+}
+
+/**
+ * Reciprocal rank fusion across the rankings of several queries.
+ * Scores are scaled to [0,1], where 1 means ranked first for every query. Each chunk
+ * keeps the fields (and explain breakdown) from the query that ranked it highest.
+ */
+function fuseQueryRankings(rankings, rrfK) {
+  const k = Number.isFinite(rrfK) && rrfK >= 0 ? rrfK : 60;
+  const maxFused = rankings.length / (k + 1);
+  const fused = new Map();
+
+  rankings.forEach((chunks, queryIndex) => {
+    chunks.forEach((chunk, rank) => {
+      const key = lexicalDocKey(chunk.file, chunk.startLine, chunk.endLine);
+      let entry = fused.get(key);
+      if (!entry) {
+        entry = { chunk, bestRank: rank, value: 0, ranks: new Array(rankings.length).fill(null) };
+        fused.set(key, entry);
+      } else if (rank < entry.bestRank) {
+        entry.chunk = chunk;
+        entry.bestRank = rank;
+      }
+      entry.value += 1 / (k + rank + 1);
+      entry.ranks[queryIndex] = rank + 1;
+    });
+  });
+
+  const results = [];
+  for (const { chunk, value, ranks } of fused.values()) {
+    const score = value / maxFused;
+    const result = { ...chunk, score };
+    if (chunk.explain) {
+      result.explain = { ...chunk.explain, queryFusion: score, queryRanks: ranks };
+    }
+    results.push(result);
+  }
+  return results.sort((a, b) => b.score - a.score);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (typeof cursor?.id === 'string' && Number.isInteger(cursor.offset) && cursor.offset >= 0) {
+      return cursor;
+    }
+  } catch {}
+  return null;
+}
+
+/**
+ * Collapse a score-sorted ranking so each file region appears once.
+ * A chunk whose lines overlap a higher-ranked hit from the same file is folded into
+ * that hit (widening its line range); `maxResultsPerFile` > 0 caps hits per file.
+ */
+function diversifyResults(chunks, { mergeOverlapping, maxResultsPerFile }) {
+  const perFileCap =
+    Number.isInteger(maxResultsPerFile) && maxResultsPerFile > 0 ? maxResultsPerFile : 0;
+  if (!mergeOverlapping && perFileCap === 0) return chunks;
+
+  const hitsByFile = new Map();
+  const results = [];
+  for (const chunk of chunks) {
+    const key = toFileKey(chunk.file) ?? chunk.file;
+    let hits = hitsByFile.get(key);
+    if (!hits) {
+      hits = [];
+      hitsByFile.set(key, hits);
+    }
+
+    if (mergeOverlapping) {
+      const hit = hits.find((h) => chunk.startLine <= h.endLine && chunk.endLine >= h.startLine);
+      if (hit) {
+        if (!hit.mergedFrom) hit.mergedFrom = [{ ...hit }];
+        hit.mergedFrom.push(chunk);
+        hit.startLine = Math.min(hit.startLine, chunk.startLine);
+        hit.endLine = Math.max(hit.endLine, chunk.endLine);
+        hit.content = undefined;
+        continue;
+      }
+    }
+
+    if (perFileCap > 0 && hits.length >= perFileCap) continue;
+    const hit = { ...chunk };
+    hits.push(hit);
+    results.push(hit);
+  }
+  return results;
+}
+
+/**
+ * Join chunk texts covering overlapping line ranges without repeating shared lines.
+ */
+function joinOverlappingContent(parts) {
+  const sorted = [...parts].sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+  const lines = [];
+  let lastLine = sorted[0].startLine - 1;
+  for (const part of sorted) {
+    if (part.endLine <= lastLine) continue;
+    const partLines = part.content.split('\n');
+    lines.push(...partLines.slice(Math.max(0, lastLine - part.startLine + 1)));
+    lastLine = part.endLine;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Exact-substring boost, or a partial term-overlap boost when BM25 is unavailable.
+ */
+function scoreTextMatch(content, lowerQuery, queryTerms, useBm25, exactMatchBoost) {
+  const lowerContent = content ? content.toLowerCase() : '';
+  if (lowerContent && lowerContent.includes(lowerQuery)) {
+    return { type: 'exact', boost: exactMatchBoost };
+  }
+  if (!useBm25 && lowerContent && queryTerms.length > 0) {
+    const ratio = countMatchedTerms(content, queryTerms) / queryTerms.length;
+    if (ratio > 0) return { type: 'partial', boost: ratio * PARTIAL_MATCH_BOOST };
+  }
+  return { type: 'none', boost: 0 };
+}
+
+/**
+ * Innermost definition containing `line` that is short enough to show whole.
+ */
+function findEnclosingDefinition(spans, line) {
+  let best = null;
+  for (const span of spans) {
+    if (span.startLine > line || span.endLine < line) continue;
+    const length = span.endLine - span.startLine + 1;
+    if (length > MAX_EXPANDED_HIT_LINES) continue;
+    if (!best || length < best.endLine - best.startLine + 1) best = span;
+  }
+  return best;
+}
+
+/**
+ * Widen a hit so it starts and ends on the boundaries of its enclosing definitions.
+ * Returns the hit unchanged when the file no longer matches the indexed content.
+ */
+function expandHitToSymbols(hit, { lines, spans }) {
+  if (hit.endLine > lines.length) return hit;
+  const indexed = typeof hit.content === 'string' ? hit.content.replace(/\r/g, '') : null;
+  if (indexed !== null && indexed !== lines.slice(hit.startLine - 1, hit.endLine).join('\n')) {
+    return hit;
+  }
+
+  const first = findEnclosingDefinition(spans, hit.startLine);
+  const last = findEnclosingDefinition(spans, hit.endLine);
+  const startLine = Math.min(hit.startLine, first?.startLine ?? hit.startLine);
+  const endLine = Math.max(hit.endLine, last?.endLine ?? hit.endLine);
+  if (endLine - startLine + 1 > MAX_EXPANDED_HIT_LINES) return hit;
+
+  const symbols = [...new Set([first?.name, last?.name].filter(Boolean))];
+  if (startLine === hit.startLine && endLine === hit.endLine && symbols.length === 0) return hit;
+  return {
+    ...hit,
+    startLine,
+    endLine,
+    content: lines.slice(startLine - 1, endLine).join('\n'),
+    chunkLines: { startLine: hit.startLine, endLine: hit.endLine },
+    symbols,
+  };
+}
+
+const EXPAND_MODES = ['none', 'symbol', 'file-outline'];
+
+function formatOutline(outline) {
+  const open = [];
+  return outline
+    .map((entry) => {
+      while (open.length > 0 && open[open.length - 1].endLine < entry.startLine) open.pop();
+      const line = `${'  '.repeat(open.length)}- ${entry.kind} \`${entry.name}\` (L${entry.startLine}-${entry.endLine})`;
+      open.push(entry);
+      return line;
+    })
+    .join('\n');
+}
+
+/**
+ * Per-result record of score components, filled in when `explain` is requested.
+ */
+function createScoreBreakdown(retrieval) {
+  return {
+    retrieval,
+    semantic: 0,
+    lexical: 0,
+    rrf: 0,
+    textMatch: 0,
+    textMatchType: 'none',
+    recencyFactor: 0,
+    recency: 0,
+    callGraphProximity: 0,
+    callGraph: 0,
+  };
+}
+
+/**
+ * Add a reciprocal rank fusion score over the semantic and BM25 rankings to each chunk.
+ * The fused value is scaled to [0,1] so existing boosts keep their relative weight.
+ */
+function applyReciprocalRankFusion(chunks, rrfK) {
+  const k = Number.isFinite(rrfK) && rrfK >= 0 ? rrfK : 60;
+  const maxFused = 2 / (k + 1);
+  const fused = new Map();
+
+  const bySemantic = [...chunks].sort((a, b) => b.semanticScore - a.semanticScore);
+  bySemantic.forEach((chunk, rank) => {
+    fused.set(chunk, 1 / (k + rank + 1));
+  });
+
+  const byLexical = chunks
+    .filter((chunk) => chunk.lexicalScore > 0)
+    .sort((a, b) => b.lexicalScore - a.lexicalScore);
+  byLexical.forEach((chunk, rank) => {
+    fused.set(chunk, fused.get(chunk) + 1 / (k + rank + 1));
+  });
+
+  for (const chunk of chunks) {
+    const contribution = fused.get(chunk) / maxFused;
+    chunk.score += contribution;
+    if (chunk.explain) chunk.explain.rrf = contribution;
+  }
+}
+
 export class HybridSearch {
-  constructor(embedder, cache, config) {
+  constructor(embedder, cache, config, reranker = null) {
     this.embedder = embedder;
     this.cache = cache;
     this.config = config;
+    this.reranker = reranker;
     this.fileModTimes = new Map();
     this._lastAccess = new Map();
+    this.resultCache = new Map(); // cursor id -> cached ranking, oldest first
+    this.resultCacheSeq = 0;
   }
 
   setFileModTime(file, mtimeMs) {
@@ -52,6 +407,23 @@ export class HybridSearch {
     return await this.cache.getChunkContent(chunkOrIndex);
   }
 
+  /**
+   * Content of a result, stitched together from its chunks when overlapping chunks were merged.
+   */
+  async getHitContent(hit) {
+    if (!Array.isArray(hit.mergedFrom)) {
+      return await this.getChunkContent(hit);
+    }
+    const parts = await Promise.all(
+      hit.mergedFrom.map(async (chunk) => ({
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        content: chunk.content ?? (await this.getChunkContent(chunk)) ?? '',
+      }))
+    );
+    return joinOverlappingContent(parts);
+  }
+
   getChunkVector(chunk) {
     return this.cache.getChunkVector(chunk);
   }
@@ -137,7 +509,348 @@ export class HybridSearch {
     this._lastAccess.delete(key);
   }
 
-  async search(query, maxResults) {
+  /**
+   * Search and return one page of results.
+   * Rankings are cached for `resultCacheTtlMs` so later pages (by `offset` or the returned
+   * `nextCursor`) skip embedding and scoring; any index change invalidates them.
+   * A git `scope` is resolved to its file set first, and that set is part of the cache key.
+   * Each result gets a normalized `relevance` (see lib/relevance.js); with `minScore`, page
+   * results below it are dropped, while the cursor still walks the full ranking.
+   */
+  async search(query, maxResults, options = {}) {
+    let offset = Number.isInteger(options.offset) && options.offset > 0 ? options.offset : 0;
+    if (parseScope(options.scope)?.type !== 'all') {
+      const { files, error } = await resolveScopeFiles(this.config.searchDirectory, options.scope);
+      if (error || files.size === 0) {
+        return {
+          results: [],
+          message: error || `No files in scope "${options.scope}".`,
+          offset,
+          nextCursor: null,
+        };
+      }
+      options = { ...options, scopeFiles: files };
+    }
+    const key = getResultCacheKey(query, options);
+    let entry = null;
+
+    if (typeof options.cursor === 'string' && options.cursor.length > 0) {
+      const cursor = decodeCursor(options.cursor);
+      entry = cursor ? this.getCachedRanking(cursor.id) : null;
+      if (!entry || entry.key !== key) {
+        return {
+          results: [],
+          message:
+            'Cursor expired or the index changed since it was issued. Run the search again without a cursor.',
+          offset,
+          nextCursor: null,
+        };
+      }
+      offset = cursor.offset;
+    } else {
+      entry = this.findCachedRanking(key);
+    }
+
+    const windowSize = offset + maxResults;
+    if (!entry || (!entry.complete && entry.chunks.length < windowSize)) {
+      const ranked = await this.rankQueries(getSearchQueries(query, options), windowSize, options);
+      if (ranked.message) {
+        return { results: [], message: ranked.message, offset, nextCursor: null };
+      }
+      entry = this.cacheRanking(key, ranked, windowSize);
+    }
+
+    let results;
+    this.cache.startRead();
+    try {
+      results = await Promise.all(
+        entry.chunks.slice(offset, windowSize).map(async (chunk) => {
+          if (chunk.content === undefined || chunk.content === null) {
+            return { ...chunk, content: await this.getHitContent(chunk) };
+          }
+          return { ...chunk };
+        })
+      );
+    } finally {
+      this.cache.endRead();
+    }
+    const queries = getSearchQueries(query, options);
+    for (const result of results) {
+      const lexical = Math.max(...queries.map((q) => lexicalCoverage(result.content, q)));
+      result.relevance = computeRelevance(result.semanticScore, lexical);
+    }
+    const pageSize = results.length;
+    const bestRelevance = Math.max(0, ...results.map((result) => result.relevance));
+    if (Number.isFinite(options.minScore) && options.minScore > 0) {
+      results = results.filter((result) => result.relevance >= options.minScore);
+    }
+    results = await this.expandResults(results, options.expandTo);
+
+    if (results.length > 0) {
+      console.info(
+        `[Search] Found ${results.length} results. Top score: ${results[0].score.toFixed(4)}`
+      );
+    } else {
+      console.info('[Search] No results found.');
+    }
+
+    // Merging and the per-file cap can leave a page short of maxResults, so whether more
+    // results exist depends on how deep the ranking went, not on the page size.
+    const nextOffset = offset + pageSize;
+    const hasMore =
+      nextOffset < entry.chunks.length ||
+      (!entry.complete && pageSize > 0 && entry.rankedCount >= windowSize);
+    const nextCursor =
+      hasMore && entry.id !== null ? encodeCursor({ id: entry.id, offset: nextOffset }) : null;
+
+    if (results.length === 0 && pageSize > 0) {
+      return {
+        results,
+        message:
+          `No results with relevance >= ${(options.minScore * 100).toFixed(0)}% ` +
+          `(best ${offset > 0 ? 'on this page' : 'match'}: ${(bestRelevance * 100).toFixed(1)}%).`,
+        offset,
+        nextCursor,
+      };
+    }
+    return { results, message: null, offset, nextCursor };
+  }
+
+  /**
+   * Add a search to the workspace search history with its top result files.
+   */
+  recordSearch(query, args, results) {
+    const history = this.cache.searchHistory;
+    if (!history || typeof history.record !== 'function') return;
+    const topFiles = [];
+    for (const result of results) {
+      const file = path
+        .relative(this.config.searchDirectory, result.file)
+        .split(path.sep)
+        .join('/');
+      if (!topFiles.includes(file)) topFiles.push(file);
+      if (topFiles.length >= SEARCH_HISTORY_TOP_FILES) break;
+    }
+    history.record(query, args, topFiles);
+  }
+
+  /**
+   * Widen hits to their enclosing function/class (`symbol`) and also attach the file's
+   * definition outline to the first hit from each file (`file-outline`). Spans come from
+   * extractDefinitionSpans() over the current file on disk. Hits that end up inside a
+   * higher-ranked hit from the same file are dropped.
+   */
+  async expandResults(results, expandTo) {
+    if (expandTo !== 'symbol' && expandTo !== 'file-outline') return results;
+
+    const sources = new Map(); // file -> { lines, spans } | null
+    const expanded = [];
+    for (const hit of results) {
+      if (!hit.file) {
+        expanded.push(hit);
+        continue;
+      }
+      if (!sources.has(hit.file)) {
+        sources.set(hit.file, await this.loadDefinitionSpans(hit.file));
+      }
+      const source = sources.get(hit.file);
+      if (!source) {
+        expanded.push(hit);
+        continue;
+      }
+
+      const next = expandHitToSymbols(hit, source);
+      const covered = expanded.some(
+        (prev) =>
+          prev.file === next.file &&
+          prev.startLine <= next.startLine &&
+          prev.endLine >= next.endLine
+      );
+      if (covered) continue;
+      if (expandTo === 'file-outline' && !expanded.some((prev) => prev.file === next.file)) {
+        next.outline = source.spans.slice(0, MAX_OUTLINE_ENTRIES);
+      }
+      expanded.push(next);
+    }
+    return expanded;
+  }
+
+  async loadDefinitionSpans(file) {
+    try {
+      const content = (await fs.readFile(file, 'utf-8')).replace(/\r/g, '');
+      return { lines: content.split('\n'), spans: extractDefinitionSpans(content, file) };
+    } catch (err) {
+      if (this.config.verbose) {
+        console.warn(`[Search] Could not read ${file} for context expansion: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  getIndexGeneration() {
+    return Number.isInteger(this.cache.indexGeneration) ? this.cache.indexGeneration : 0;
+  }
+
+  getCachedRanking(id) {
+    const entry = this.resultCache.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now() || entry.generation !== this.getIndexGeneration()) {
+      this.resultCache.delete(id);
+      return null;
+    }
+    return entry;
+  }
+
+  findCachedRanking(key) {
+    for (const id of Array.from(this.resultCache.keys())) {
+      const entry = this.getCachedRanking(id);
+      if (entry && entry.key === key) return entry;
+    }
+    return null;
+  }
+
+  cacheRanking(key, ranked, windowSize) {
+    const limit = Math.max(windowSize, SEARCH_RESULT_CACHE_MAX_RESULTS);
+    const entry = {
+      id: null,
+      key,
+      generation: this.getIndexGeneration(),
+      expiresAt: 0,
+      chunks: ranked.chunks.slice(0, limit),
+      complete: ranked.complete && ranked.chunks.length <= limit,
+      rankedCount: ranked.rankedCount ?? ranked.chunks.length,
+    };
+
+    const ttlMs = this.config.resultCacheTtlMs ?? 300000;
+    if (!Number.isFinite(ttlMs) || ttlMs <= 0) return entry;
+
+    for (const [id, cached] of this.resultCache) {
+      if (cached.key === key) this.resultCache.delete(id);
+    }
+    entry.id = String(++this.resultCacheSeq);
+    entry.expiresAt = Date.now() + ttlMs;
+    this.resultCache.set(entry.id, entry);
+    while (this.resultCache.size > SEARCH_RESULT_CACHE_MAX_ENTRIES) {
+      this.resultCache.delete(this.resultCache.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Embed a query, reusing the cache's query-embedding LRU when available.
+   */
+  async embedQuery(query) {
+    const cached = this.cache.getQueryEmbedding?.(query);
+    if (cached) {
+      if (this.config.verbose) {
+        console.info('[Search] Using cached query embedding');
+      }
+      return cached;
+    }
+
+    let queryVector;
+
+    if (this.config.unloadModelAfterSearch) {
+      queryVector = await embedQueryInChildProcess(query, this.config);
+    } else {
+      const queryEmbed = await this.embedder(query, {
+        pooling: 'mean',
+        normalize: true,
+      });
+
+      try {
+        queryVector = new Float32Array(queryEmbed.data);
+      } finally {
+        if (typeof queryEmbed.dispose === 'function') {
+          try {
+            queryEmbed.dispose();
+          } catch {}
+        }
+      }
+    }
+    queryVector = alignQueryVectorDimension(queryVector, this.config.embeddingDimension);
+    this.cache.setQueryEmbedding?.(query, queryVector);
+    return queryVector;
+  }
+
+  /**
+   * Rank every query, fuse the rankings when there is more than one, diversify, then
+   * re-rank the top candidates against the primary query when `rerank.enabled` is set.
+   * `rankedCount` is the length of the deepest ranking before diversification.
+   */
+  async rankQueries(queries, windowSize, options = {}) {
+    const rankings = [];
+    for (const query of queries) {
+      const ranked = await this.rankChunks(query, windowSize, options);
+      if (ranked.message) return ranked;
+      rankings.push(ranked);
+    }
+
+    const fusionDepth = Math.max(windowSize, SEARCH_RESULT_CACHE_MAX_RESULTS);
+    const chunks =
+      rankings.length === 1
+        ? rankings[0].chunks
+        : fuseQueryRankings(
+            rankings.map((ranked) => ranked.chunks.slice(0, fusionDepth)),
+            this.config.rrfK
+          );
+
+    const maxResultsPerFile = Number.isInteger(options.maxResultsPerFile)
+      ? options.maxResultsPerFile
+      : this.config.maxResultsPerFile;
+    const diversified = diversifyResults(chunks, {
+      mergeOverlapping: this.config.mergeOverlappingResults !== false,
+      maxResultsPerFile,
+    });
+    return {
+      chunks: await this.rerankChunks(queries[0], diversified),
+      complete: rankings.length === 1 && rankings[0].complete,
+      rankedCount: Math.max(...rankings.map((ranked) => ranked.chunks.length)),
+      message: null,
+    };
+  }
+
+  /**
+   * Reorder the top `rerank.topN` chunks by cross-encoder relevance. The rest keep their
+   * order below them. Falls back to the original order if the model fails.
+   */
+  async rerankChunks(query, chunks) {
+    if (!this.reranker?.enabled || chunks.length < 2) return chunks;
+
+    const topN = Math.min(chunks.length, this.reranker.settings.topN);
+    const head = chunks.slice(0, topN);
+    let scores;
+    try {
+      this.cache.startRead();
+      let passages;
+      try {
+        passages = await Promise.all(
+          head.map(async (chunk) => chunk.content ?? (await this.getHitContent(chunk)) ?? '')
+        );
+      } finally {
+        this.cache.endRead();
+      }
+      const rerankStart = Date.now();
+      scores = await this.reranker.score(query, passages);
+      if (this.config.verbose) {
+        console.info(`[Search] Re-ranked ${topN} candidates in ${Date.now() - rerankStart}ms`);
+      }
+    } catch (err) {
+      console.warn(`[Search] Re-ranking failed, keeping original order: ${err.message}`);
+      return chunks;
+    }
+
+    const reranked = head
+      .map((chunk, i) => ({
+        ...chunk,
+        rerankScore: scores[i],
+        ...(chunk.explain ? { explain: { ...chunk.explain, rerank: scores[i] } } : {}),
+      }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+    return reranked.concat(chunks.slice(topN));
+  }
+
+  async rankChunks(query, maxResults, options = {}) {
     try {
       if (typeof this.cache.ensureLoaded === 'function') {
         await this.cache.ensureLoaded();
@@ -148,7 +861,8 @@ export class HybridSearch {
 
       if (storeSize === 0) {
         return {
-          results: [],
+          chunks: [],
+          complete: true,
           message: 'No code has been indexed yet. Please wait for initial indexing to complete.',
         };
       }
@@ -157,27 +871,14 @@ export class HybridSearch {
         console.info(`[Search] Query: "${query}"`);
       }
 
-      let queryVector;
+      const queryVector = await this.embedQuery(query);
 
-      if (this.config.unloadModelAfterSearch) {
-        queryVector = await embedQueryInChildProcess(query, this.config);
-      } else {
-        const queryEmbed = await this.embedder(query, {
-          pooling: 'mean',
-          normalize: true,
-        });
-
-        try {
-          queryVector = new Float32Array(queryEmbed.data);
-        } finally {
-          if (typeof queryEmbed.dispose === 'function') {
-            try {
-              queryEmbed.dispose();
-            } catch {}
-          }
-        }
-      }
-      queryVector = alignQueryVectorDimension(queryVector, this.config.embeddingDimension);
+      const pathFilter = createPathFilter(options, this.config.searchDirectory);
+      const passesFilter = (idx) => {
+        if (!pathFilter) return true;
+        const chunk = this.cache.getChunk(idx);
+        return Boolean(chunk) && pathFilter(chunk.file);
+      };
 
       let candidateIndices = null;
       let usedAnn = false;
@@ -191,6 +892,9 @@ export class HybridSearch {
             console.info(`[Search] Using ANN index (${annLabels.length} candidates)`);
           }
           candidateIndices = Array.from(new Set(annLabels));
+          if (pathFilter) {
+            candidateIndices = candidateIndices.filter(passesFilter);
+          }
         }
       }
 
@@ -211,9 +915,45 @@ export class HybridSearch {
       }
 
       const lowerQuery = query.toLowerCase();
-      const queryWords =
-        lowerQuery.length > 1 ? lowerQuery.split(/\s+/).filter((word) => word.length > 2) : [];
-      const queryWordCount = queryWords.length;
+      const queryTerms = lowerQuery.length > 1 ? Array.from(new Set(tokenizeCode(query))) : [];
+
+      const lexicalScores =
+        lowerQuery.length > 1 && typeof this.cache.getLexicalScores === 'function'
+          ? this.cache.getLexicalScores(query)
+          : null;
+      const useBm25 = Boolean(lexicalScores);
+      let maxLexicalScore = 0;
+      if (useBm25) {
+        for (const value of lexicalScores.values()) {
+          if (value > maxLexicalScore) maxLexicalScore = value;
+        }
+      }
+      const useRrf = useBm25 && this.config.fusionMode === 'rrf';
+      const lexicalWeight = Number.isFinite(this.config.lexicalWeight)
+        ? this.config.lexicalWeight
+        : 0.3;
+
+      if (usedAnn && candidateIndices && maxLexicalScore > 0) {
+        const MAX_FULL_SCAN_SIZE = this.config.fullScanThreshold ?? 2000;
+        if (storeSize <= MAX_FULL_SCAN_SIZE) {
+          const topLexicalKeys = new Set(
+            Array.from(lexicalScores.entries())
+              .sort((a, b) => b[1] - a[1])
+              .slice(0, maxResults)
+              .map(([key]) => key)
+          );
+          const seen = new Set(candidateIndices);
+          for (let i = 0; i < storeSize && topLexicalKeys.size > 0; i++) {
+            if (seen.has(i)) continue;
+            const chunk = this.cache.getChunk(i);
+            if (!chunk) continue;
+            const key = lexicalDocKey(chunk.file, chunk.startLine, chunk.endLine);
+            if (topLexicalKeys.delete(key) && passesFilter(i)) {
+              candidateIndices.push(i);
+            }
+          }
+        }
+      }
 
       if (usedAnn && candidateIndices && lowerQuery.length > 1) {
         let exactMatchCount = 0;
@@ -241,7 +981,7 @@ export class HybridSearch {
 
               const batchIndices = [];
               for (let j = i; j < limit; j++) {
-                if (!seen.has(j)) batchIndices.push(j);
+                if (!seen.has(j) && passesFilter(j)) batchIndices.push(j);
               }
 
               const contents = await Promise.all(
@@ -274,11 +1014,16 @@ export class HybridSearch {
       let semanticWeight = this.config.semanticWeight;
       let exactMatchBoost = this.config.exactMatchBoost;
       let recencyBoost = this.config.recencyBoost;
+      const useGitRecency =
+        this.config.recencySource === 'git' && typeof this.cache.getGitRecency === 'function';
 
       if (recencyBoostEnabled) {
-        const candidates = candidateIndices
+        let candidates = candidateIndices
           ? candidateIndices.map((idx) => this.cache.getChunk(idx)).filter(Boolean)
           : Array.from({ length: storeSize }, (_, i) => this.cache.getChunk(i)).filter(Boolean);
+        if (pathFilter) {
+          candidates = candidates.filter((chunk) => pathFilter(chunk.file));
+        }
 
         if (candidates.length <= 1000) {
           await this.populateFileModTimes(candidates.map((chunk) => chunk.file));
@@ -302,6 +1047,8 @@ export class HybridSearch {
         : 2000;
       const shouldApplyTextMatch = lowerQuery.length > 1;
       const deferTextMatch = shouldApplyTextMatch && totalCandidates > textMatchMaxCandidates;
+      const explain = options.explain === true;
+      const retrieval = usedAnn ? 'ann' : 'full-scan';
 
       for (let i = 0; i < totalCandidates; i += SEARCH_BATCH_SIZE) {
         if (i > 0) {
@@ -317,13 +1064,16 @@ export class HybridSearch {
           if (!chunkInfo) {
             continue;
           }
+          if (pathFilter && !pathFilter(chunkInfo.file)) {
+            continue;
+          }
 
           const vector = this.cache.getChunkVector(chunkInfo, idx);
           if (!vector) continue;
 
-          let score;
+          let semanticScore;
           try {
-            score = dotSimilarity(queryVector, vector) * semanticWeight;
+            semanticScore = dotSimilarity(queryVector, vector);
           } catch (err) {
             if (this.config.verbose) {
               console.warn(`[Search] ${err.message} at index ${idx}`);
@@ -331,40 +1081,79 @@ export class HybridSearch {
             continue;
           }
 
+          const breakdown = explain ? createScoreBreakdown(retrieval) : null;
+
+          let score = useRrf ? 0 : semanticScore * semanticWeight;
+          if (breakdown && !useRrf) breakdown.semantic = score;
+          let lexicalScore = 0;
+          if (useBm25) {
+            lexicalScore =
+              lexicalScores.get(
+                lexicalDocKey(chunkInfo.file, chunkInfo.startLine, chunkInfo.endLine)
+              ) ?? 0;
+            if (!useRrf && maxLexicalScore > 0) {
+              const lexicalBoost = (lexicalScore / maxLexicalScore) * lexicalWeight;
+              score += lexicalBoost;
+              if (breakdown) breakdown.lexical = lexicalBoost;
+            }
+          }
+
           let content;
           if (shouldApplyTextMatch && !deferTextMatch) {
             content = await this.getChunkContent(idx);
-            const lowerContent = content ? content.toLowerCase() : '';
-
-            if (lowerContent && lowerContent.includes(lowerQuery)) {
-              score += exactMatchBoost;
-            } else if (lowerContent && queryWordCount > 0) {
-              let matchedWords = 0;
-              for (let k = 0; k < queryWordCount; k++) {
-                if (lowerContent.includes(queryWords[k])) matchedWords++;
-              }
-              score += (matchedWords / queryWordCount) * PARTIAL_MATCH_BOOST;
+            const textMatch = scoreTextMatch(
+              content,
+              lowerQuery,
+              queryTerms,
+              useBm25,
+              exactMatchBoost
+            );
+            score += textMatch.boost;
+            if (breakdown) {
+              breakdown.textMatch = textMatch.boost;
+              breakdown.textMatchType = textMatch.type;
             }
           }
 
           if (recencyBoostEnabled) {
-            const chunkKey = toFileKey(chunkInfo.file);
-            const mtime = chunkKey ? this.fileModTimes.get(chunkKey) : undefined;
-            if (typeof mtime === 'number') {
-              const ageMs = now - mtime;
+            let changedAt = useGitRecency
+              ? this.cache.getGitRecency(chunkInfo.file, chunkInfo.startLine, chunkInfo.endLine)
+              : null;
+            const recencySource = typeof changedAt === 'number' ? 'git' : 'mtime';
+            if (recencySource === 'mtime') {
+              const chunkKey = toFileKey(chunkInfo.file);
+              changedAt = chunkKey ? this.fileModTimes.get(chunkKey) : undefined;
+            }
+            if (typeof changedAt === 'number') {
+              const ageMs = now - changedAt;
               const recencyFactor = Math.max(0, 1 - ageMs / recencyDecayMs);
               score += recencyFactor * recencyBoost;
+              if (breakdown) {
+                breakdown.recencyFactor = recencyFactor;
+                breakdown.recency = recencyFactor * recencyBoost;
+                breakdown.recencySource = recencySource;
+              }
             }
           }
 
-          const scoredChunk = { ...chunkInfo, score };
+          const scoredChunk = { ...chunkInfo, score, semanticScore };
+          if (useBm25) {
+            scoredChunk.lexicalScore = lexicalScore;
+          }
           if (content !== undefined) {
             scoredChunk.content = content;
           }
+          if (breakdown) {
+            scoredChunk.explain = breakdown;
+          }
           scoredChunks.push(scoredChunk);
         }
       }
 
+      if (useRrf) {
+        applyReciprocalRankFusion(scoredChunks, this.config.rrfK);
+      }
+
       scoredChunks.sort((a, b) => b.score - a.score);
 
       if (deferTextMatch) {
@@ -372,16 +1161,17 @@ export class HybridSearch {
         for (let i = 0; i < textMatchCount; i++) {
           const chunk = scoredChunks[i];
           const content = chunk.content ?? (await this.getChunkContent(chunk));
-          const lowerContent = content ? content.toLowerCase() : '';
-
-          if (lowerContent && lowerContent.includes(lowerQuery)) {
-            chunk.score += exactMatchBoost;
-          } else if (lowerContent && queryWordCount > 0) {
-            let matchedWords = 0;
-            for (let k = 0; k < queryWordCount; k++) {
-              if (lowerContent.includes(queryWords[k])) matchedWords++;
-            }
-            chunk.score += (matchedWords / queryWordCount) * PARTIAL_MATCH_BOOST;
+          const textMatch = scoreTextMatch(
+            content,
+            lowerQuery,
+            queryTerms,
+            useBm25,
+            exactMatchBoost
+          );
+          chunk.score += textMatch.boost;
+          if (chunk.explain) {
+            chunk.explain.textMatch = textMatch.boost;
+            chunk.explain.textMatchType = textMatch.type;
           }
 
           if (chunk.content === undefined) {
@@ -394,16 +1184,21 @@ export class HybridSearch {
       if (this.config.callGraphEnabled && this.config.callGraphBoost > 0) {
         const topN = Math.min(5, scoredChunks.length);
         const symbolsFromTop = new Set();
+        const filesFromTop = new Set();
         for (let i = 0; i < topN; i++) {
           const content = await this.getChunkContent(scoredChunks[i]);
           const symbols = extractSymbolsFromContent(content || '');
           for (const sym of symbols) {
             symbolsFromTop.add(sym);
           }
+          filesFromTop.add(scoredChunks[i].file);
         }
 
-        if (symbolsFromTop.size > 0) {
-          const relatedFiles = await this.cache.getRelatedFiles(Array.from(symbolsFromTop));
+        if (symbolsFromTop.size > 0 || filesFromTop.size > 0) {
+          const relatedFiles = await this.cache.getRelatedFiles(
+            Array.from(symbolsFromTop),
+            Array.from(filesFromTop)
+          );
 
           for (const chunk of scoredChunks) {
             const chunkKey = toFileKey(chunk.file);
@@ -411,6 +1206,10 @@ export class HybridSearch {
               relatedFiles.get(chunk.file) ?? (chunkKey ? relatedFiles.get(chunkKey) : undefined);
             if (proximity) {
               chunk.score += proximity * this.config.callGraphBoost;
+              if (chunk.explain) {
+                chunk.explain.callGraphProximity = proximity;
+                chunk.explain.callGraph = proximity * this.config.callGraphBoost;
+              }
             }
           }
 
@@ -418,51 +1217,79 @@ export class HybridSearch {
         }
       }
 
-      const results = await Promise.all(
-        scoredChunks.slice(0, maxResults).map(async (chunk) => {
-          if (chunk.content === undefined || chunk.content === null) {
-            return { ...chunk, content: await this.getChunkContent(chunk) };
-          }
-          return chunk;
-        })
-      );
-
-      if (results.length > 0) {
-        console.info(
-          `[Search] Found ${results.length} results. Top score: ${results[0].score.toFixed(4)}`
-        );
-      } else {
-        console.info('[Search] No results found.');
-      }
-
-      return { results, message: null };
+      // A full scan scores every chunk, so the ranking covers all later pages too.
+      return { chunks: scoredChunks, complete: !usedAnn, message: null };
     } finally {
       this.cache.endRead();
     }
   }
 
-  async formatResults(results) {
+  /**
+   * Plain-object view of search results, used for JSON output and MCP structuredContent.
+   */
+  async toStructuredResults(results, offset = 0) {
+    return await Promise.all(
+      results.map(async (r, idx) => ({
+        rank: offset + idx + 1,
+        file: r.file ?? null,
+        relativePath: r.file
+          ? toPosixPath(path.relative(this.config.searchDirectory, r.file))
+          : null,
+        startLine: r.startLine,
+        endLine: r.endLine,
+        language: r.file ? path.extname(r.file).slice(1).toLowerCase() || null : null,
+        score: r.score,
+        relevance: Number.isFinite(r.relevance) ? r.relevance : null,
+        scores: {
+          semantic: Number.isFinite(r.semanticScore) ? r.semanticScore : null,
+          lexical: Number.isFinite(r.lexicalScore) ? r.lexicalScore : null,
+          rerank: Number.isFinite(r.rerankScore) ? r.rerankScore : null,
+        },
+        content: r.content ?? (await this.getHitContent(r)) ?? '',
+        ...(r.chunkLines ? { chunkLines: { ...r.chunkLines }, symbols: [...r.symbols] } : {}),
+        ...(r.outline ? { outline: r.outline.map((entry) => ({ ...entry })) } : {}),
+        ...(r.explain ? { explain: { ...r.explain } } : {}),
+      }))
+    );
+  }
+
+  async formatResults(results, offset = 0) {
     if (results.length === 0) {
-      return 'No matching code found for your query.';
+      return offset > 0
+        ? 'No more results for this query.'
+        : 'No matching code found for your query.';
     }
 
     const formatted = await Promise.all(
-      results.map(async (r, idx) => {
+      results.map(async (r, i) => {
+        const idx = offset + i;
+        const relevance = Number.isFinite(r.relevance) ? r.relevance : r.score;
         if (!r.file) {
-          return `## Result ${idx + 1} (Relevance: ${(r.score * 100).toFixed(1)}%)\n**Error:** Missing file path\n`;
+          return `## Result ${idx + 1} (Relevance: ${(relevance * 100).toFixed(1)}%)\n**Error:** Missing file path\n`;
         }
         const relPath = path.relative(this.config.searchDirectory, r.file);
-        const content = r.content ?? (await this.getChunkContent(r));
+        const content = r.content ?? (await this.getHitContent(r));
         return (
-          `## Result ${idx + 1} (Relevance: ${(r.score * 100).toFixed(1)}%)\n` +
+          `## Result ${idx + 1} (Relevance: ${(relevance * 100).toFixed(1)}%)\n` +
           `**File:** \`${relPath}\`\n` +
-          `**Lines:** ${r.startLine}-${r.endLine}\n\n` +
+          `**Lines:** ${r.startLine}-${r.endLine}` +
+          (r.chunkLines
+            ? ` (matched ${r.chunkLines.startLine}-${r.chunkLines.endLine}` +
+              (r.symbols.length > 0 ? `, in ${r.symbols.map((s) => `\`${s}\``).join(', ')}` : '') +
+              ')'
+            : '') +
+          '\n' +
+          (r.explain ? `**Score breakdown:** ${formatScoreBreakdown(r.explain)}\n` : '') +
+          '\n' +
           '```' +
           path.extname(r.file).slice(1) +
           '\n' +
           content +
           '\n' +
-          '```\n'
+          '```\n' +
+          (r.outline && r.outline.length > 0
+            ? `\n**Outline of \`${relPath}\`:**\n${formatOutline(r.outline)}\n`
+            : '')
         );
       })
     );
@@ -471,6 +1298,109 @@ export class HybridSearch {
   }
 }
 
+function formatScoreBreakdown(explain) {
+  const parts = [`retrieval=${explain.retrieval}`, `semantic=${explain.semantic.toFixed(4)}`];
+  if (explain.lexical) parts.push(`lexical=${explain.lexical.toFixed(4)}`);
+  if (explain.rrf) parts.push(`rrf=${explain.rrf.toFixed(4)}`);
+  if (explain.textMatch) {
+    parts.push(`textMatch=${explain.textMatch.toFixed(4)} (${explain.textMatchType})`);
+  }
+  if (explain.recency) {
+    parts.push(
+      `recency=${explain.recency.toFixed(4)} (factor ${explain.recencyFactor.toFixed(2)}, ${explain.recencySource})`
+    );
+  }
+  if (explain.callGraph) {
+    parts.push(
+      `callGraph=${explain.callGraph.toFixed(4)} (proximity ${explain.callGraphProximity.toFixed(2)})`
+    );
+  }
+  if (Array.isArray(explain.queryRanks)) {
+    const ranks = explain.queryRanks.map((rank) => rank ?? '-').join('/');
+    parts.push(`queryFusion=${explain.queryFusion.toFixed(4)} (ranks ${ranks})`);
+  }
+  if (Number.isFinite(explain.rerank)) {
+    parts.push(`rerank=${explain.rerank.toFixed(4)} (cross-encoder)`);
+  }
+  return parts.join(', ');
+}
+
+const SEARCH_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    message: { type: ['string', 'null'] },
+    offset: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rank: { type: 'integer' },
+          file: { type: ['string', 'null'] },
+          relativePath: { type: ['string', 'null'] },
+          startLine: { type: 'integer' },
+          endLine: { type: 'integer' },
+          language: { type: ['string', 'null'] },
+          score: { type: 'number' },
+          relevance: { type: ['number', 'null'] },
+          scores: {
+            type: 'object',
+            properties: {
+              semantic: { type: ['number', 'null'] },
+              lexical: { type: ['number', 'null'] },
+              rerank: { type: ['number', 'null'] },
+            },
+          },
+          content: { type: 'string' },
+          chunkLines: {
+            type: 'object',
+            properties: {
+              startLine: { type: 'integer' },
+              endLine: { type: 'integer' },
+            },
+          },
+          symbols: { type: 'array', items: { type: 'string' } },
+          outline: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                kind: { type: 'string', enum: ['class', 'function'] },
+                startLine: { type: 'integer' },
+                endLine: { type: 'integer' },
+              },
+            },
+          },
+          explain: {
+            type: 'object',
+            properties: {
+              retrieval: { type: 'string', enum: ['ann', 'full-scan'] },
+              semantic: { type: 'number' },
+              lexical: { type: 'number' },
+              rrf: { type: 'number' },
+              textMatch: { type: 'number' },
+              textMatchType: { type: 'string', enum: ['exact', 'partial', 'none'] },
+              recencyFactor: { type: 'number' },
+              recency: { type: 'number' },
+              recencySource: { type: 'string', enum: ['git', 'mtime'] },
+              callGraphProximity: { type: 'number' },
+              callGraph: { type: 'number' },
+              queryFusion: { type: 'number' },
+              queryRanks: { type: 'array', items: { type: ['integer', 'null'] } },
+              rerank: { type: 'number' },
+            },
+          },
+        },
+        required: ['file', 'relativePath', 'startLine', 'endLine', 'score', 'content'],
+      },
+    },
+  },
+  required: ['query', 'results'],
+};
+
 export function getToolDefinition(config) {
   return {
     name: 'a_semantic_search',
@@ -489,9 +1419,82 @@ export function getToolDefinition(config) {
           description: 'Maximum number of results to return (default: from config)',
           default: config.maxResults,
         },
+        includeGlobs: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            "Only search files matching at least one glob, relative to the workspace (e.g., 'src/**/*.ts')",
+        },
+        excludeGlobs: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Skip files matching any glob (e.g., '**/*.test.js')",
+        },
+        languages: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Only search files with these extensions (e.g., ['ts', 'tsx', 'py'])",
+        },
+        pathPrefix: {
+          type: 'string',
+          description: "Only search files under this workspace-relative path (e.g., 'lib/')",
+        },
+        scope: {
+          type: 'string',
+          description:
+            'Restrict the search to files from the git work tree: "all" (default), "changed" (uncommitted and untracked files), "staged", or "since:<ref>" (files changed since a commit, branch or tag, including uncommitted changes)',
+          default: 'all',
+        },
+        queries: {
+          type: 'array',
+          items: { type: 'string' },
+          description: `Alternate phrasings or synonyms searched together with query; the rankings are fused with reciprocal rank fusion (max ${MAX_SEARCH_QUERIES} queries in total)`,
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description:
+            'Text output format: markdown code blocks (default) or JSON with file, line range, language, scores and content per hit',
+          default: 'markdown',
+        },
+        maxResultsPerFile: {
+          type: 'number',
+          description: 'Maximum results from any single file (default: from config, 0 = unlimited)',
+        },
+        offset: {
+          type: 'number',
+          description: 'Number of ranked results to skip (default: 0)',
+          default: 0,
+        },
+        cursor: {
+          type: 'string',
+          description:
+            'nextCursor from a previous response with the same query and filters; returns the following page without re-scoring',
+        },
+        expandTo: {
+          type: 'string',
+          enum: ['none', 'symbol', 'file-outline'],
+          description:
+            'Widen each hit to its enclosing function/class ("symbol"), and also list the definitions in its file ("file-outline"). Default: "none"',
+          default: 'none',
+        },
+        minScore: {
+          type: 'number',
+          description:
+            'Drop results whose relevance (0-1: cosine similarity raised by keyword coverage of the query) is below this value. Results report relevance even without a cutoff; if nothing passes, the response says so',
+          minimum: 0,
+          maximum: 1,
+        },
+        explain: {
+          type: 'boolean',
+          description:
+            'Include a per-result score breakdown (semantic, lexical, text match, recency, call graph) and whether ANN or a full scan produced the candidates',
+          default: false,
+        },
       },
       required: ['query'],
     },
+    outputSchema: SEARCH_OUTPUT_SCHEMA,
     annotations: {
       title: 'Semantic Code Search',
       readOnlyHint: true,
@@ -502,6 +1505,15 @@ export function getToolDefinition(config) {
   };
 }
 
+export function toStringArray(value) {
+  if (typeof value === 'string') return [value];
+  if (!Array.isArray(value)) return undefined;
+  return value.filter((item) => typeof item === 'string' && item.length > 0);
+}
+
+// Arguments that only select a page or output shape are left out of history entries.
+const HISTORY_SKIPPED_ARGS = new Set(['query', 'offset', 'cursor', 'format']);
+
 export async function handleToolCall(request, hybridSearch) {
   const args = request.params?.arguments || {};
   const query = args.query;
@@ -513,22 +1525,83 @@ export async function handleToolCall(request, hybridSearch) {
     };
   }
 
+  if (!parseScope(args.scope)) {
+    return {
+      content: [{ type: 'text', text: `Error: Invalid scope. Use ${SCOPE_HELP}.` }],
+      isError: true,
+    };
+  }
+
   const maxResults =
     typeof args.maxResults === 'number' && args.maxResults > 0
       ? args.maxResults
       : hybridSearch.config.maxResults;
 
-  const { results, message } = await hybridSearch.search(query, maxResults);
+  const filters = {
+    includeGlobs: toStringArray(args.includeGlobs),
+    excludeGlobs: toStringArray(args.excludeGlobs),
+    languages: toStringArray(args.languages),
+    pathPrefix: typeof args.pathPrefix === 'string' ? args.pathPrefix : undefined,
+    scope: typeof args.scope === 'string' ? args.scope : undefined,
+  };
+
+  const format = args.format === 'json' ? 'json' : 'markdown';
+
+  const offset = Number.isInteger(args.offset) && args.offset > 0 ? args.offset : 0;
+  const cursor = typeof args.cursor === 'string' ? args.cursor : undefined;
+
+  const searchResult = await hybridSearch.search(query, maxResults, {
+    ...filters,
+    queries: toStringArray(args.queries),
+    offset,
+    cursor,
+    explain: args.explain === true,
+    expandTo: EXPAND_MODES.includes(args.expandTo) ? args.expandTo : 'none',
+    minScore: typeof args.minScore === 'number' ? args.minScore : undefined,
+    maxResultsPerFile:
+      Number.isInteger(args.maxResultsPerFile) && args.maxResultsPerFile >= 0
+        ? args.maxResultsPerFile
+        : undefined,
+  });
+  const { results, message } = searchResult;
+  const page = {
+    offset: searchResult.offset ?? offset,
+    nextCursor: searchResult.nextCursor ?? null,
+  };
+
+  if (!message && !cursor && page.offset === 0 && typeof hybridSearch.recordSearch === 'function') {
+    const historyArgs = Object.fromEntries(
+      Object.entries(args).filter(([key]) => !HISTORY_SKIPPED_ARGS.has(key))
+    );
+    hybridSearch.recordSearch(query, historyArgs, results);
+  }
 
   if (message) {
+    const structured = { query, message, ...page, results: [] };
     return {
-      content: [{ type: 'text', text: message }],
+      content: [{ type: 'text', text: format === 'json' ? JSON.stringify(structured) : message }],
+      structuredContent: structured,
     };
   }
 
-  const formattedText = await hybridSearch.formatResults(results);
+  const structured = {
+    query,
+    message: null,
+    ...page,
+    results: await hybridSearch.toStructuredResults(results, page.offset),
+  };
+  let formattedText;
+  if (format === 'json') {
+    formattedText = JSON.stringify(structured, null, 2);
+  } else {
+    formattedText = await hybridSearch.formatResults(results, page.offset);
+    if (page.nextCursor) {
+      formattedText += `\n_More results available. Pass \`cursor: "${page.nextCursor}"\` for the next page._\n`;
+    }
+  }
 
   return {
     content: [{ type: 'text', text: formattedText }],
+    structuredContent: structured,
   };
 }
@@ -8,9 +8,13 @@ import { spawn } from 'child_process';
 import { setTimeout as delay } from 'timers/promises';
 import { fileURLToPath } from 'url';
 import { smartChunk, hashContent } from '../lib/utils.js';
+import { loadAstGrammars } from '../lib/ast-chunker.js';
+import { addContextualHeaders, getEmbeddingText } from '../lib/chunk-context.js';
+import { loadModelTokenizer } from '../lib/tokenizer.js';
+import { getGlobalCacheDir } from '../lib/config.js';
 import { extractCallData } from '../lib/call-graph.js';
 import { forceShutdownEmbeddingPool, isEmbeddingPoolActive } from '../lib/embed-query-process.js';
-import { normalizePathKey } from '../lib/path-utils.js';
+import { normalizePathKey, buildGlobMatchers, matchesGlobPatterns } from '../lib/path-utils.js';
 
 import ignore from 'ignore';
 
@@ -27,6 +31,14 @@ function isTestEnv() {
   return process.env.VITEST === 'true' || process.env.NODE_ENV === 'test';
 }
 
+// Chunk budgets use the embedding model's own tokenizer, read from the model download cache.
+async function loadChunkTokenizer(config) {
+  if (isTestEnv()) return null;
+  return loadModelTokenizer(config.embeddingModel, {
+    cacheDir: path.join(getGlobalCacheDir(), 'xenova'),
+  });
+}
+
 function normalizePath(value) {
   if (typeof value !== 'string') return '';
   return value.split(path.sep).join('/');
@@ -36,60 +48,6 @@ function toFileKey(value) {
   return normalizePathKey(value);
 }
 
-function globToRegExp(pattern) {
-  let regex = '^';
-  for (let i = 0; i < pattern.length; i += 1) {
-    const char = pattern[i];
-    if (char === '*') {
-      if (pattern[i + 1] === '*') {
-        if (pattern[i + 2] === '/') {
-          regex += '(?:.*/)?';
-          i += 2;
-        } else {
-          regex += '.*';
-          i += 1;
-        }
-      } else {
-        regex += '[^/]*';
-      }
-    } else if (char === '?') {
-      regex += '[^/]';
-    } else if ('\\.[]{}()+-^$|'.includes(char)) {
-      regex += `\\${char}`;
-    } else {
-      regex += char;
-    }
-  }
-  regex += '$';
-  return new RegExp(regex);
-}
-
-function buildExcludeMatchers(patterns) {
-  if (!Array.isArray(patterns)) return [];
-  return patterns
-    .filter((pattern) => typeof pattern === 'string' && pattern.length > 0)
-    .map((pattern) => {
-      const normalized = pattern.replace(/\\/g, '/');
-      const matchBase = !normalized.includes('/');
-      return {
-        pattern: normalized,
-        matchBase,
-        regex: globToRegExp(normalized),
-      };
-    });
-}
-
-function matchesExcludePatterns(filePath, matchers) {
-  if (!filePath || matchers.length === 0) return false;
-  const normalized = normalizePath(filePath);
-  const base = path.posix.basename(normalized);
-  for (const matcher of matchers) {
-    const target = matcher.matchBase ? base : normalized;
-    if (matcher.regex.test(target)) return true;
-  }
-  return false;
-}
-
 export class CodebaseIndexer {
   constructor(embedder, cache, config, server = null) {
     this.embedder = embedder;
@@ -155,7 +113,7 @@ export class CodebaseIndexer {
     if (cacheRelative) {
       autoExclude.push(cacheRelative, `${cacheRelative}/**`);
     }
-    this.excludeMatchers = buildExcludeMatchers([
+    this.excludeMatchers = buildGlobMatchers([
       ...autoExclude,
       ...(this.config.excludePatterns || []),
     ]);
@@ -943,7 +901,7 @@ export class CodebaseIndexer {
 
     relative = normalizePath(relative);
 
-    if (matchesExcludePatterns(relative, this.excludeMatchers)) return true;
+    if (matchesGlobPatterns(relative, this.excludeMatchers)) return true;
 
     if (this.gitignore.ignores(relative)) return true;
 
@@ -1811,7 +1769,7 @@ export class CodebaseIndexer {
       await delay(0);
 
       try {
-        const output = await this.embedder(chunk.text, {
+        const output = await this.embedder(getEmbeddingText(chunk), {
           pooling: 'mean',
           normalize: true,
         });
@@ -1831,6 +1789,7 @@ export class CodebaseIndexer {
           startLine: chunk.startLine,
           endLine: chunk.endLine,
           content: chunk.text,
+          ...(chunk.metadata && { metadata: chunk.metadata }),
           vector,
           success: true,
         });
@@ -1921,7 +1880,14 @@ export class CodebaseIndexer {
         }
       }
 
-      const rawChunks = smartChunk(content, file, this.config);
+      await loadChunkTokenizer(this.config);
+      await loadAstGrammars(this.config, [file]);
+      const rawChunks = addContextualHeaders(
+        smartChunk(content, file, this.config),
+        content,
+        file,
+        this.config
+      );
       const chunks = Array.isArray(rawChunks) ? rawChunks : [];
       let addedChunks = 0;
       let successChunks = 0;
@@ -1956,6 +1922,7 @@ export class CodebaseIndexer {
       const chunksToProcess = chunks.map((c) => ({
         file,
         text: c.text,
+        ...(c.metadata && { metadata: c.metadata }),
         startLine: c.startLine,
         endLine: c.endLine,
       }));
@@ -1980,6 +1947,7 @@ export class CodebaseIndexer {
             startLine: result.startLine,
             endLine: result.endLine,
             content: result.content,
+            ...(result.metadata && { metadata: result.metadata }),
             vector: toFloat32Array(result.vector),
           });
           addedChunks++;
@@ -2010,6 +1978,10 @@ export class CodebaseIndexer {
         }
       });
 
+      if (allSucceeded && typeof this.cache.refreshGitRecency === 'function') {
+        await this.cache.refreshGitRecency([file]);
+      }
+
       if (this.config.verbose) {
         console.info(`[Indexer] Completed ${fileName} (${addedChunks} chunks)`);
       }
@@ -2218,6 +2190,8 @@ export class CodebaseIndexer {
           await this.cache.ensureLoaded({ preferDisk: this.shouldPreferDiskCacheLoad() });
         }
       }
+      await loadChunkTokenizer(this.config);
+      await loadAstGrammars(this.config);
 
       const totalStartTime = Date.now();
       const indexStartedAt = new Date(totalStartTime).toISOString();
@@ -2361,6 +2335,25 @@ export class CodebaseIndexer {
             }
           }
         }
+
+        // Call data cached before imports were tracked: re-extract it without re-embedding.
+        let importDataRefreshed = 0;
+        for (const cachedKey of this.cache.getFileCallDataKeys()) {
+          const key = toFileKey(cachedKey);
+          const file = currentFilePathByKey.get(key);
+          if (!file || filesToProcessKeys.has(key)) continue;
+          if (Array.isArray(this.cache.getFileCallData(cachedKey)?.imports)) continue;
+          try {
+            const content = await fs.readFile(file, 'utf-8');
+            this.cache.setFileCallData(file, extractCallData(content, file));
+            importDataRefreshed++;
+          } catch {}
+        }
+        if (importDataRefreshed > 0) {
+          console.info(
+            `[Indexer] Added import data to the call graph for ${importDataRefreshed} files`
+          );
+        }
       }
 
       indexMode = force
@@ -2386,6 +2379,29 @@ export class CodebaseIndexer {
         `[Indexer] Index reason: ${indexReason} (changed=${filesToProcess.length}, missingHash=${missingHashCount}, total=${files.length})`
       );
 
+      if (
+        this.config.bm25Enabled &&
+        typeof this.cache.isLexicalIndexComplete === 'function' &&
+        this.cache.getStoreSize() > 0 &&
+        !this.cache.isLexicalIndexComplete()
+      ) {
+        console.info('[Indexer] Lexical index missing or stale, rebuilding from cached chunks');
+        await this.cache.rebuildLexicalIndex();
+      }
+
+      if (
+        this.config.recencySource === 'git' &&
+        typeof this.cache.updateGitRecency === 'function'
+      ) {
+        const refreshed = await this.cache.updateGitRecency(
+          files,
+          filesToProcess.map((entry) => entry.file)
+        );
+        if (refreshed > 0) {
+          console.info(`[Indexer] Refreshed git recency for ${refreshed} files`);
+        }
+      }
+
       if (filesToProcess.length === 0) {
         console.info('[Indexer] All files unchanged, nothing to index');
         this.sendProgress(100, 100, 'All files up to date');
@@ -2615,7 +2631,12 @@ export class CodebaseIndexer {
             }
           }
 
-          const rawChunks = smartChunk(content, file, this.config);
+          const rawChunks = addContextualHeaders(
+            smartChunk(content, file, this.config),
+            content,
+            file,
+            this.config
+          );
           const chunks = Array.isArray(rawChunks) ? rawChunks : [];
           fileStats.set(file, {
             hash: liveHash,
@@ -2629,6 +2650,7 @@ export class CodebaseIndexer {
             allChunks.push({
               file,
               text: chunk.text,
+              ...(chunk.metadata && { metadata: chunk.metadata }),
               startLine: chunk.startLine,
               endLine: chunk.endLine,
             });
@@ -2651,6 +2673,7 @@ export class CodebaseIndexer {
                 startLine: r.startLine,
                 endLine: r.endLine,
                 content: r.text,
+                ...(r.metadata && { metadata: r.metadata }),
                 vector: toFloat32Array(r.vectorBuffer),
               }));
               newChunksByFile.set(res.file, chunks);
@@ -2717,13 +2740,19 @@ export class CodebaseIndexer {
                     }
                   }
                 }
-                const fallbackChunks = smartChunk(fallbackContent, res.file, this.config);
+                const fallbackChunks = addContextualHeaders(
+                  smartChunk(fallbackContent, res.file, this.config),
+                  fallbackContent,
+                  res.file,
+                  this.config
+                );
                 const chunks = Array.isArray(fallbackChunks) ? fallbackChunks : [];
                 stats.totalChunks = chunks.length;
                 for (const chunk of chunks) {
                   allChunks.push({
                     file: res.file,
                     text: chunk.text,
+                    ...(chunk.metadata && { metadata: chunk.metadata }),
                     startLine: chunk.startLine,
                     endLine: chunk.endLine,
                   });
@@ -2751,6 +2780,7 @@ export class CodebaseIndexer {
                 startLine: result.startLine,
                 endLine: result.endLine,
                 content: result.content,
+                ...(result.metadata && { metadata: result.metadata }),
                 vector: toFloat32Array(result.vector),
               });
               newChunksByFile.set(result.file, items);
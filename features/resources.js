@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fdir } from 'fdir';
 import { getMimeType } from '../lib/constants.js';
+import { SEARCH_HISTORY_URI } from '../lib/search-history.js';
 
 function pathToUri(filePath) {
   const normalized = filePath.replace(/\\/g, '/');
@@ -37,9 +38,38 @@ function isWithinWorkspace(filePath, workspaceDir) {
   return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
 }
 
-export async function handleListResources(config) {
+function historyResource() {
+  return {
+    uri: SEARCH_HISTORY_URI,
+    name: 'Search history',
+    description: 'Recent semantic searches with their top result files, and saved searches',
+    mimeType: 'application/json',
+  };
+}
+
+function readHistory(searchHistory) {
+  if (!searchHistory) {
+    throw new Error('Search history is not available until the cache is initialized');
+  }
+  return {
+    contents: [
+      {
+        uri: SEARCH_HISTORY_URI,
+        mimeType: 'application/json',
+        text: JSON.stringify(
+          { recent: searchHistory.getRecent(), saved: searchHistory.listSaved() },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+export async function handleListResources(config, { searchHistory = null } = {}) {
   const workspaceDir = config.searchDirectory;
   const maxResults = 500;
+  const extraResources = searchHistory ? [historyResource()] : [];
 
   const allowedExtensions = new Set(
     (config.fileExtensions || []).map((ext) => `.${ext.toLowerCase()}`)
@@ -78,17 +108,21 @@ export async function handleListResources(config) {
       };
     });
 
-    return { resources };
+    return { resources: [...extraResources, ...resources] };
   } catch (error) {
     console.error(`[Resources] Error listing resources: ${error.message}`);
-    return { resources: [] };
+    return { resources: extraResources };
   }
 }
 
-export async function handleReadResource(uri, config) {
+export async function handleReadResource(uri, config, { searchHistory = null } = {}) {
   const workspaceDir = config.searchDirectory;
 
   try {
+    if (uri === SEARCH_HISTORY_URI) {
+      return readHistory(searchHistory);
+    }
+
     const filePath = uriToPath(uri);
 
     if (!isWithinWorkspace(filePath, workspaceDir)) {
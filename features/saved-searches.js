@@ -0,0 +1,214 @@
+import * as HybridSearchFeature from './hybrid-search.js';
+
+// a_semantic_search arguments stored with a saved search.
+const SAVED_SEARCH_ARGS = [
+  'query',
+  'queries',
+  'includeGlobs',
+  'excludeGlobs',
+  'languages',
+  'pathPrefix',
+  'scope',
+  'maxResults',
+  'maxResultsPerFile',
+  'expandTo',
+  'minScore',
+  'explain',
+];
+
+const MAX_NAME_LENGTH = 100;
+
+function pickSearchArgs(source) {
+  const picked = {};
+  for (const key of SAVED_SEARCH_ARGS) {
+    if (source?.[key] !== undefined && source[key] !== null) picked[key] = source[key];
+  }
+  return picked;
+}
+
+function textResult(text, isError = false) {
+  return isError
+    ? { content: [{ type: 'text', text }], isError }
+    : { content: [{ type: 'text', text }] };
+}
+
+export class SavedSearches {
+  constructor(hybridSearch, cache) {
+    this.hybridSearch = hybridSearch;
+    this.cache = cache;
+  }
+
+  get history() {
+    return this.cache.searchHistory;
+  }
+
+  list() {
+    const saved = this.history.listSaved();
+    if (saved.length === 0) {
+      return 'No saved searches. Use action "save" with a name and a query.';
+    }
+    const lines = saved.map(({ name, args }) => {
+      const extra = Object.keys(args).filter((key) => key !== 'query');
+      return `- **${name}**: "${args.query}"${extra.length > 0 ? ` (${extra.join(', ')})` : ''}`;
+    });
+    return `## Saved searches\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Save the given search arguments, or an entry from the recent history
+   * (`fromHistory: 1` is the latest search), under a name.
+   */
+  save(name, args) {
+    let searchArgs;
+    if (Number.isInteger(args.fromHistory)) {
+      const entry = this.history.getRecent()[args.fromHistory - 1];
+      if (!entry) {
+        throw new Error(`No search at history position ${args.fromHistory}.`);
+      }
+      searchArgs = pickSearchArgs({ ...entry.args, query: entry.query });
+    } else {
+      searchArgs = pickSearchArgs(args);
+    }
+    if (typeof searchArgs.query !== 'string' || searchArgs.query.trim().length === 0) {
+      throw new Error('A non-empty query (or fromHistory) is required to save a search.');
+    }
+    return this.history.saveSearch(name, searchArgs);
+  }
+
+  /**
+   * Re-run a saved search through a_semantic_search; `maxResults` and `format` may be
+   * overridden for this run.
+   */
+  async run(name, overrides = {}) {
+    const saved = this.history.getSaved(name);
+    if (!saved) return null;
+    const args = { ...saved.args };
+    if (typeof overrides.maxResults === 'number') args.maxResults = overrides.maxResults;
+    if (typeof overrides.format === 'string') args.format = overrides.format;
+    return HybridSearchFeature.handleToolCall(
+      { params: { name: 'a_semantic_search', arguments: args } },
+      this.hybridSearch
+    );
+  }
+}
+
+export function getToolDefinition() {
+  return {
+    name: 'g_saved_search',
+    description:
+      "Save semantic searches under a name and re-run them later, across sessions. Actions: 'list' (saved searches), 'save' (store a query and its filters, or an entry from the search history), 'run' (re-run by name), 'delete'. Recent searches are listed in the heuristic://history resource.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list', 'save', 'run', 'delete'],
+          description: 'Action to perform (default: list)',
+          default: 'list',
+        },
+        name: {
+          type: 'string',
+          description: 'Saved search name (required for save, run and delete)',
+        },
+        query: {
+          type: 'string',
+          description: 'Query to save (save action)',
+        },
+        fromHistory: {
+          type: 'number',
+          description:
+            'Save a recent search instead of query: 1 = the latest search in heuristic://history',
+          minimum: 1,
+        },
+        queries: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Alternate phrasings to save with the query',
+        },
+        includeGlobs: { type: 'array', items: { type: 'string' } },
+        excludeGlobs: { type: 'array', items: { type: 'string' } },
+        languages: { type: 'array', items: { type: 'string' } },
+        pathPrefix: { type: 'string' },
+        scope: {
+          type: 'string',
+          description: 'Git scope to save: "all", "changed", "staged" or "since:<ref>"',
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum results (saved with save; overrides the saved value with run)',
+        },
+        maxResultsPerFile: {
+          type: 'number',
+          description: 'Maximum results from any single file to save with the search',
+        },
+        expandTo: {
+          type: 'string',
+          enum: ['none', 'symbol', 'file-outline'],
+          description: 'Result expansion to save with the search (see a_semantic_search)',
+        },
+        explain: {
+          type: 'boolean',
+          description: 'Save the search with per-result score breakdowns',
+        },
+        minScore: {
+          type: 'number',
+          description: 'Relevance cutoff 0-1 to save with the search',
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json'],
+          description: 'Output format for run',
+        },
+      },
+    },
+    annotations: {
+      title: 'Saved Searches',
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+  };
+}
+
+export async function handleToolCall(request, savedSearches) {
+  const args = request.params?.arguments || {};
+  const action = args.action || 'list';
+
+  if (!savedSearches?.history) {
+    return textResult('Error: Search history is not available yet.', true);
+  }
+  if (action === 'list') {
+    return textResult(savedSearches.list());
+  }
+
+  const name = typeof args.name === 'string' ? args.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return textResult(
+      `Error: A name of 1-${MAX_NAME_LENGTH} characters is required for ${action}.`,
+      true
+    );
+  }
+
+  if (action === 'save') {
+    try {
+      const saved = savedSearches.save(name, args);
+      return textResult(`Saved search **${saved.name}**: "${saved.args.query}"`);
+    } catch (error) {
+      return textResult(`Error: ${error.message}`, true);
+    }
+  }
+
+  if (action === 'run') {
+    const result = await savedSearches.run(name, args);
+    return result ?? textResult(`Error: No saved search named "${name}".`, true);
+  }
+
+  if (action === 'delete') {
+    return savedSearches.history.deleteSaved(name)
+      ? textResult(`Deleted saved search **${name}**.`)
+      : textResult(`Error: No saved search named "${name}".`, true);
+  }
+
+  return textResult(`Error: Unknown action: ${action}`, true);
+}
@@ -0,0 +1,258 @@
+import path from 'path';
+import { createPathFilter, toStringArray } from './hybrid-search.js';
+import { SEARCH_BATCH_SIZE } from '../lib/constants.js';
+
+const MAX_LINE_PREVIEW_LENGTH = 300;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildMatcher(pattern, { regex, caseSensitive }) {
+  const flags = caseSensitive ? '' : 'i';
+  return new RegExp(regex ? pattern : escapeRegExp(pattern), flags);
+}
+
+function toPreview(line) {
+  const text = line.trim();
+  return text.length > MAX_LINE_PREVIEW_LENGTH
+    ? `${text.slice(0, MAX_LINE_PREVIEW_LENGTH)}...`
+    : text;
+}
+
+export class TextSearch {
+  constructor(cache, config, indexer = null) {
+    this.cache = cache;
+    this.config = config;
+    this.indexer = indexer;
+  }
+
+  isExcluded(file) {
+    return typeof this.indexer?.isExcluded === 'function' && this.indexer.isExcluded(file);
+  }
+
+  /**
+   * Literal or regex search over indexed chunk content.
+   * Matches are line-based; lines shared by overlapping chunks are reported once.
+   */
+  async execute({
+    pattern,
+    regex = false,
+    caseSensitive = false,
+    maxResults = 50,
+    includeGlobs,
+    excludeGlobs,
+    languages,
+    pathPrefix,
+  }) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      return { matches: [], truncated: false, message: 'Error: A non-empty pattern is required.' };
+    }
+
+    let matcher;
+    try {
+      matcher = buildMatcher(pattern, { regex, caseSensitive });
+    } catch (error) {
+      return {
+        matches: [],
+        truncated: false,
+        message: `Error: Invalid regular expression: ${error.message}`,
+      };
+    }
+
+    const safeMaxResults =
+      Number.isFinite(maxResults) && maxResults > 0 ? Math.floor(maxResults) : 50;
+    const pathFilter = createPathFilter(
+      { includeGlobs, excludeGlobs, languages, pathPrefix },
+      this.config.searchDirectory
+    );
+
+    if (typeof this.cache.ensureLoaded === 'function') {
+      await this.cache.ensureLoaded();
+    }
+    this.cache.startRead();
+
+    try {
+      const storeSize = this.cache.getStoreSize();
+      if (storeSize === 0) {
+        return {
+          matches: [],
+          truncated: false,
+          message: 'No code has been indexed yet. Please wait for initial indexing to complete.',
+        };
+      }
+
+      const matches = [];
+      const seenLines = new Set();
+      const excludedFiles = new Map();
+      let truncated = false;
+
+      outer: for (let i = 0; i < storeSize; i++) {
+        if (i > 0 && i % SEARCH_BATCH_SIZE === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+
+        const chunk = this.cache.getChunk(i);
+        if (!chunk?.file) continue;
+        if (pathFilter && !pathFilter(chunk.file)) continue;
+
+        let excluded = excludedFiles.get(chunk.file);
+        if (excluded === undefined) {
+          excluded = this.isExcluded(chunk.file);
+          excludedFiles.set(chunk.file, excluded);
+        }
+        if (excluded) continue;
+
+        const content = await this.cache.getChunkContent(i);
+        if (!content) continue;
+
+        const lines = content.split('\n');
+        for (let j = 0; j < lines.length; j++) {
+          const match = matcher.exec(lines[j]);
+          if (!match) continue;
+
+          const line = chunk.startLine + j;
+          const lineKey = `${chunk.file}:${line}`;
+          if (seenLines.has(lineKey)) continue;
+          seenLines.add(lineKey);
+
+          if (matches.length >= safeMaxResults) {
+            truncated = true;
+            break outer;
+          }
+          matches.push({
+            file: chunk.file,
+            line,
+            column: match.index + 1,
+            match: match[0],
+            text: toPreview(lines[j]),
+          });
+        }
+      }
+
+      matches.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+      return { matches, truncated, message: null };
+    } finally {
+      this.cache.endRead();
+    }
+  }
+
+  formatResults(matches, { pattern, truncated = false } = {}) {
+    if (matches.length === 0) {
+      return `No matches found for \`${pattern}\`.`;
+    }
+
+    const byFile = new Map();
+    for (const match of matches) {
+      if (!byFile.has(match.file)) byFile.set(match.file, []);
+      byFile.get(match.file).push(match);
+    }
+
+    let output = `## ${matches.length} match${matches.length === 1 ? '' : 'es'} for \`${pattern}\`\n`;
+    for (const [file, fileMatches] of byFile) {
+      const relPath = path.relative(this.config.searchDirectory, file);
+      output += `\n### \`${relPath}\`\n`;
+      for (const match of fileMatches) {
+        output += `- L${match.line}:${match.column} \`${match.text}\`\n`;
+      }
+    }
+    if (truncated) {
+      output += `\n_Results truncated at ${matches.length} matches. Narrow the pattern or raise maxResults._\n`;
+    }
+    return output;
+  }
+}
+
+export function getToolDefinition(_config) {
+  return {
+    name: 'a_text_search',
+    description:
+      'Exact text search over the indexed codebase, like grep. Matches a literal string or regular expression line by line and returns file paths with exact line and column numbers. Use this to find every usage of an identifier, config key or string; use a_semantic_search to search by meaning.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description:
+            'Literal text to find, or a JavaScript regular expression when regex is true',
+        },
+        regex: {
+          type: 'boolean',
+          description: 'Treat pattern as a regular expression (default: false)',
+          default: false,
+        },
+        caseSensitive: {
+          type: 'boolean',
+          description: 'Match case exactly (default: false)',
+          default: false,
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Maximum number of matching lines to return (default: 50)',
+          default: 50,
+        },
+        includeGlobs: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            "Only search files matching at least one glob, relative to the workspace (e.g., 'src/**/*.ts')",
+        },
+        excludeGlobs: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Skip files matching any glob (e.g., '**/*.test.js')",
+        },
+        languages: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Only search files with these extensions (e.g., ['ts', 'tsx', 'py'])",
+        },
+        pathPrefix: {
+          type: 'string',
+          description: "Only search files under this workspace-relative path (e.g., 'lib/')",
+        },
+      },
+      required: ['pattern'],
+    },
+    annotations: {
+      title: 'Text Search',
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+  };
+}
+
+export async function handleToolCall(request, textSearch) {
+  const args = request.params?.arguments || {};
+  const pattern = args.pattern;
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    return {
+      content: [{ type: 'text', text: 'Error: A non-empty pattern string is required.' }],
+      isError: true,
+    };
+  }
+
+  const { matches, truncated, message } = await textSearch.execute({
+    pattern,
+    regex: args.regex === true,
+    caseSensitive: args.caseSensitive === true,
+    maxResults: typeof args.maxResults === 'number' ? args.maxResults : 50,
+    includeGlobs: toStringArray(args.includeGlobs),
+    excludeGlobs: toStringArray(args.excludeGlobs),
+    languages: toStringArray(args.languages),
+    pathPrefix: typeof args.pathPrefix === 'string' ? args.pathPrefix : undefined,
+  });
+
+  if (message) {
+    return {
+      content: [{ type: 'text', text: message }],
+      ...(message.startsWith('Error:') ? { isError: true } : {}),
+    };
+  }
+
+  return {
+    content: [{ type: 'text', text: textSearch.formatResults(matches, { pattern, truncated }) }],
+  };
+}
@@ -58,6 +58,7 @@ import {
 } from './lib/vector-store-binary.js';
 import { CodebaseIndexer } from './features/index-codebase.js';
 import { HybridSearch } from './features/hybrid-search.js';
+import { CrossEncoderReranker } from './lib/reranker.js';
 
 import * as IndexCodebaseFeature from './features/index-codebase.js';
 import * as HybridSearchFeature from './features/hybrid-search.js';
@@ -66,6 +67,9 @@ import * as FindSimilarCodeFeature from './features/find-similar-code.js';
 import * as AnnConfigFeature from './features/ann-config.js';
 import * as PackageVersionFeature from './features/package-version.js';
 import * as SetWorkspaceFeature from './features/set-workspace.js';
+import * as TextSearchFeature from './features/text-search.js';
+import * as SavedSearchesFeature from './features/saved-searches.js';
+import * as FindDuplicatesFeature from './features/find-duplicates.js';
 import { handleListResources, handleReadResource } from './features/resources.js';
 import { getWorkspaceEnvKeys } from './lib/workspace-env.js';
 
@@ -191,10 +195,13 @@ let stdioShutdownHandlers = null;
 const ROOTS_PROBE_COOLDOWN_MS = 2000;
 const WORKSPACE_BOUND_TOOL_NAMES = new Set([
   'a_semantic_search',
+  'a_text_search',
   'b_index_codebase',
   'c_clear_cache',
   'd_find_similar_code',
   'd_ann_config',
+  'g_saved_search',
+  'd_find_duplicates',
 ]);
 const trustedWorkspacePaths = new Set();
 
@@ -695,6 +702,21 @@ const features = [
     instance: null,
     handler: null,
   },
+  {
+    module: TextSearchFeature,
+    instance: null,
+    handler: TextSearchFeature.handleToolCall,
+  },
+  {
+    module: SavedSearchesFeature,
+    instance: null,
+    handler: SavedSearchesFeature.handleToolCall,
+  },
+  {
+    module: FindDuplicatesFeature,
+    instance: null,
+    handler: FindDuplicatesFeature.handleToolCall,
+  },
 ];
 
 async function initialize(workspaceDir) {
@@ -971,16 +993,24 @@ async function initialize(workspaceDir) {
   console.info(`[Server] Cache directory: ${config.cacheDirectory}`);
 
   indexer = new CodebaseIndexer(embedder, cache, config, server);
-  hybridSearch = new HybridSearch(embedder, cache, config);
+  const reranker = new CrossEncoderReranker(config, {
+    loadTransformers: getTransformers,
+    prepareBackend: ensureMainOnnxBackend,
+  });
+  hybridSearch = new HybridSearch(embedder, cache, config, reranker);
   const cacheClearer = new ClearCacheFeature.CacheClearer(embedder, cache, config, indexer);
   const findSimilarCode = new FindSimilarCodeFeature.FindSimilarCode(embedder, cache, config);
   const annConfig = new AnnConfigFeature.AnnConfigTool(cache, config);
+  const textSearch = new TextSearchFeature.TextSearch(cache, config, indexer);
 
   features[0].instance = hybridSearch;
   features[1].instance = indexer;
   features[2].instance = cacheClearer;
   features[3].instance = findSimilarCode;
   features[4].instance = annConfig;
+  features[7].instance = textSearch;
+  features[8].instance = new SavedSearchesFeature.SavedSearches(hybridSearch, cache);
+  features[9].instance = new FindDuplicatesFeature.DuplicateFinder(cache, config);
 
   const setWorkspaceInstance = new SetWorkspaceFeature.SetWorkspaceFeature(
     config,
@@ -1104,6 +1134,10 @@ async function initialize(workspaceDir) {
       console.info('[Server] Loading cache (deferred)...');
       await cache.load();
       await handleCorruptCacheAfterLoad({ context: 'startup cache load', canReindex: true });
+      if (cache.describedLegacyChunks) {
+        // Store the migrated attributes now rather than deriving them again on every load.
+        await cache.save();
+      }
       if (config.verbose) {
         logMemory('[Server] Memory (after cache load)');
       }
@@ -1159,7 +1193,7 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
   if (configInitError || !config) {
     throw configInitError ?? new Error('Server configuration is not initialized');
   }
-  return await handleListResources(config);
+  return await handleListResources(config, { searchHistory: cache?.searchHistory });
 });
 
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
@@ -1167,7 +1201,9 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   if (configInitError || !config) {
     throw configInitError ?? new Error('Server configuration is not initialized');
   }
-  return await handleReadResource(request.params.uri, config);
+  return await handleReadResource(request.params.uri, config, {
+    searchHistory: cache?.searchHistory,
+  });
 });
 
 server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -1374,7 +1410,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           const unloadFn = unloadMainEmbedder;
           if (typeof unloadFn !== 'function') return;
           void Promise.resolve()
-            .then(() => unloadFn())
+            .then(() => Promise.all([unloadFn(), hybridSearch?.reranker?.unload()]))
             .catch((err) => {
               const message = err instanceof Error ? err.message : String(err);
               console.warn(`[Server] Post-search model unload failed: ${message}`);
@@ -1414,6 +1450,9 @@ export async function main(argv = process.argv) {
     wantsClean,
     wantsStatus,
     wantsClearCache,
+    wantsDuplicates,
+    wantsJson,
+    duplicateThreshold,
     startFilter,
     wantsFix,
     unknownFlags,
@@ -1435,7 +1474,8 @@ export async function main(argv = process.argv) {
     getShutdownReason: () => shutdownReason,
   });
 
-  if (isServerMode && !isTestEnv) {
+  // Server mode speaks MCP on stdout, and --duplicates writes its report there.
+  if ((isServerMode || wantsDuplicates) && !isTestEnv) {
     enableStderrOnlyLogging();
   }
   if (wantsVersion) {
@@ -1526,6 +1566,15 @@ export async function main(argv = process.argv) {
     process.exit(0);
   }
 
+  if (wantsDuplicates) {
+    const ok = await FindDuplicatesFeature.printDuplicateReport({
+      workspaceDir,
+      threshold: duplicateThreshold,
+      json: wantsJson,
+    });
+    process.exit(ok ? 0 : 1);
+  }
+
   if (wantsLogs) {
     process.env.SMART_CODING_LOGS = 'true';
     process.env.SMART_CODING_VERBOSE = 'true';
@@ -0,0 +1,339 @@
+/**
+ * AST Chunker
+ *
+ * Syntax-aware alternative to the regex splitting in smartChunk(), enabled with
+ * `indexing.chunkingMode: "ast"`. Files are parsed with WASM tree-sitter grammars
+ * (the optional `web-tree-sitter` and `tree-sitter-wasms` packages, so no native build
+ * and no network access at runtime). Chunks end on the boundaries of top-level
+ * statements, functions, classes and methods, packed up to the token budget from
+ * getChunkingParams(). Definitions larger than the budget are split at their children
+ * (e.g. a class at its methods), and only leaves are cut into line windows.
+ *
+ * Grammars load asynchronously (loadAstGrammars) while chunking stays synchronous:
+ * astChunk() returns null when no grammar is loaded for the file, and the caller falls
+ * back to smartChunk().
+ */
+
+import path from 'path';
+import { createRequire } from 'module';
+import { countTokens, getChunkingParams } from './tokenizer.js';
+import { MIN_CHUNK_TEXT_LENGTH } from './constants.js';
+
+const SPECIAL_TOKENS = 2;
+
+// File extension -> grammar name in tree-sitter-wasms (out/tree-sitter-<name>.wasm).
+export const AST_GRAMMARS = Object.freeze({
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  tsx: 'tsx',
+  py: 'python',
+  pyw: 'python',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  kt: 'kotlin',
+  c: 'c',
+  h: 'cpp',
+  cc: 'cpp',
+  cpp: 'cpp',
+  cxx: 'cpp',
+  hpp: 'cpp',
+  cs: 'c_sharp',
+  rb: 'ruby',
+  php: 'php',
+  swift: 'swift',
+  sh: 'bash',
+  bash: 'bash',
+});
+
+let runtimePromise = null;
+let runtimeError = null;
+let parser = null;
+const languages = new Map(); // grammar -> Language, or null when it failed to load
+const languagePromises = new Map();
+// web-tree-sitter cannot instantiate two grammars at once, so loads run one at a time.
+let loadQueue = Promise.resolve();
+
+export function getAstGrammar(file) {
+  return AST_GRAMMARS[path.extname(file).slice(1).toLowerCase()] ?? null;
+}
+
+async function loadRuntime() {
+  if (!runtimePromise) {
+    runtimePromise = (async () => {
+      const mod = await import('web-tree-sitter');
+      const Parser = mod.Parser ?? mod.default;
+      await Parser.init();
+      // Older releases only attach Language to Parser once init() has run.
+      const Language = mod.Language ?? Parser.Language;
+      parser = new Parser();
+      const require = createRequire(import.meta.url);
+      const grammarDir = path.join(
+        path.dirname(require.resolve('tree-sitter-wasms/package.json')),
+        'out'
+      );
+      return { Language, grammarDir };
+    })().catch((err) => {
+      runtimeError = err;
+      parser = null;
+      console.warn(
+        `[Chunker] AST chunking unavailable (${err.message}); falling back to smartChunk`
+      );
+      return null;
+    });
+  }
+  return runtimePromise;
+}
+
+async function loadLanguage(grammar) {
+  if (!languagePromises.has(grammar)) {
+    loadQueue = loadQueue.then(async () => {
+      const runtime = await loadRuntime();
+      if (!runtime) return null;
+      try {
+        const language = await runtime.Language.load(
+          path.join(runtime.grammarDir, `tree-sitter-${grammar}.wasm`)
+        );
+        languages.set(grammar, language);
+        return language;
+      } catch (err) {
+        languages.set(grammar, null);
+        console.warn(`[Chunker] Failed to load ${grammar} grammar: ${err.message}`);
+        return null;
+      }
+    });
+    languagePromises.set(grammar, loadQueue);
+  }
+  return languagePromises.get(grammar);
+}
+
+/**
+ * Load the grammars needed for `config.fileExtensions` (or the given files) when AST
+ * chunking is enabled. Safe to call repeatedly; each grammar is loaded once per process.
+ * Returns the number of grammars available.
+ */
+export async function loadAstGrammars(config, files = null) {
+  if (config?.chunkingMode !== 'ast' || runtimeError) return 0;
+  const grammars = new Set();
+  if (Array.isArray(files)) {
+    for (const file of files) {
+      const grammar = getAstGrammar(file);
+      if (grammar) grammars.add(grammar);
+    }
+  } else {
+    for (const ext of config.fileExtensions ?? []) {
+      const grammar = AST_GRAMMARS[String(ext).toLowerCase()];
+      if (grammar) grammars.add(grammar);
+    }
+  }
+  const loaded = await Promise.all(Array.from(grammars, (grammar) => loadLanguage(grammar)));
+  return loaded.filter(Boolean).length;
+}
+
+function isComment(node) {
+  return typeof node.type === 'string' && node.type.includes('comment');
+}
+
+/**
+ * Split a syntax tree into line segments that never cross a node boundary the budget
+ * allows us to keep. Nodes within `targetTokens` become one segment; larger nodes are
+ * split at their named children, with the lines between children (headers, closing
+ * braces) as their own segments. Leaves that are still too large become line windows.
+ */
+function segmentNode(node, from, lineTokens, targetTokens, out) {
+  const start = Math.max(node.startPosition.row, from);
+  const end = node.endPosition.row;
+  if (end < start) return;
+
+  let tokens = 0;
+  for (let row = start; row <= end; row++) tokens += lineTokens[row];
+  if (tokens <= targetTokens) {
+    out.push({ start, end, tokens, comment: isComment(node) });
+    return;
+  }
+
+  const children = (node.namedChildren ?? []).filter(
+    (child) => child && child.endPosition.row >= start
+  );
+  if (children.length === 0) {
+    out.push({ start, end, tokens, window: true });
+    return;
+  }
+
+  let cursor = start;
+  for (const child of children) {
+    if (child.endPosition.row < cursor) continue;
+    if (child.startPosition.row > cursor) {
+      pushGap(cursor, child.startPosition.row - 1, lineTokens, targetTokens, out);
+    }
+    segmentNode(child, cursor, lineTokens, targetTokens, out);
+    cursor = child.endPosition.row + 1;
+  }
+  if (cursor <= end) pushGap(cursor, end, lineTokens, targetTokens, out);
+}
+
+// Lines between children, e.g. a class header or closing brace, or the inside of a
+// multi-line string.
+function pushGap(start, end, lineTokens, targetTokens, out) {
+  let tokens = 0;
+  for (let row = start; row <= end; row++) tokens += lineTokens[row];
+  out.push({ start, end, tokens, window: tokens > targetTokens });
+}
+
+/**
+ * Chunk `lines` along the syntax tree rooted at `root`. Only the node fields shared by
+ * tree-sitter bindings are used (`type`, `startPosition.row`, `endPosition.row`,
+ * `namedChildren`). Lines are counted with the tokenizer of `embeddingModel` when loaded.
+ * Returns null when a single line exceeds `maxTokens` (e.g. minified code), which
+ * smartChunk() handles by splitting the line.
+ */
+export function chunkSyntaxTree(
+  root,
+  lines,
+  { maxTokens, targetTokens, overlapTokens, embeddingModel }
+) {
+  const lineTokens = lines.map((line) =>
+    countTokens(line, embeddingModel, { includeSpecialTokens: false })
+  );
+  if (lineTokens.some((tokens) => tokens + SPECIAL_TOKENS > maxTokens)) return null;
+
+  const segments = [];
+  segmentNode(root, 0, lineTokens, targetTokens, segments);
+
+  const spanTokens = (start, end) => {
+    let tokens = SPECIAL_TOKENS;
+    for (let row = start; row <= end; row++) tokens += lineTokens[row];
+    return tokens;
+  };
+
+  // A fragment too short to embed on its own (e.g. a one-line method) is prepended to
+  // the next chunk, or appended to the previous one at the end of the file.
+  const chunks = [];
+  let pendingStart = null;
+  let pendingEnd = null;
+  const emit = (start, end) => {
+    if (pendingStart !== null && spanTokens(pendingStart, end) <= maxTokens) {
+      start = pendingStart;
+    }
+    pendingStart = null;
+    const text = lines.slice(start, end + 1).join('\n');
+    if (text.trim().length <= MIN_CHUNK_TEXT_LENGTH) {
+      pendingStart = start;
+      pendingEnd = end;
+      return;
+    }
+    chunks.push({
+      text,
+      startLine: start + 1,
+      endLine: end + 1,
+      tokenCount: spanTokens(start, end),
+    });
+  };
+
+  let current = [];
+  let currentTokens = 0;
+  const flush = () => {
+    if (current.length > 0) emit(current[0].start, current.at(-1).end);
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const segment of segments) {
+    if (segment.window) {
+      flush();
+      emitWindows(segment, lineTokens, { targetTokens, overlapTokens }, emit);
+      continue;
+    }
+    if (current.length > 0 && currentTokens + segment.tokens + SPECIAL_TOKENS > targetTokens) {
+      // Keep a leading comment with the definition it documents.
+      const carried = current.at(-1).comment && current.length > 1 ? current.pop() : null;
+      if (carried) currentTokens -= carried.tokens;
+      flush();
+      if (carried) {
+        current.push(carried);
+        currentTokens = carried.tokens;
+      }
+    }
+    current.push(segment);
+    currentTokens += segment.tokens;
+  }
+  flush();
+
+  const last = chunks.at(-1);
+  if (pendingStart !== null && last && last.endLine === pendingStart) {
+    const end = pendingEnd;
+    const start = last.startLine - 1;
+    if (spanTokens(start, end) <= maxTokens) {
+      last.text = lines.slice(start, end + 1).join('\n');
+      last.endLine = end + 1;
+      last.tokenCount = spanTokens(start, end);
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Cut an oversized leaf into consecutive line windows of about `targetTokens`, each
+ * repeating up to `overlapTokens` of the previous window's last lines.
+ */
+function emitWindows({ start, end }, lineTokens, { targetTokens, overlapTokens }, emit) {
+  let windowStart = start;
+  while (windowStart <= end) {
+    let windowEnd = windowStart;
+    let tokens = lineTokens[windowStart];
+    while (windowEnd < end && tokens + lineTokens[windowEnd + 1] + SPECIAL_TOKENS <= targetTokens) {
+      windowEnd++;
+      tokens += lineTokens[windowEnd];
+    }
+    emit(windowStart, windowEnd);
+    if (windowEnd >= end) break;
+
+    let next = windowEnd + 1;
+    let overlap = 0;
+    while (next - 1 > windowStart && overlap + lineTokens[next - 1] <= overlapTokens) {
+      next--;
+      overlap += lineTokens[next];
+    }
+    windowStart = next;
+  }
+}
+
+/**
+ * Chunk `content` with its tree-sitter grammar. Returns null when AST chunking is off,
+ * no grammar is loaded for the file, or parsing fails, so callers can fall back.
+ */
+export function astChunk(content, file, config) {
+  if (config?.chunkingMode !== 'ast' || !parser) return null;
+  const language = languages.get(getAstGrammar(file));
+  if (!language) return null;
+
+  let { maxTokens, targetTokens, overlapTokens } = getChunkingParams(config.embeddingModel);
+  if (config.maxTokens) maxTokens = config.maxTokens;
+  if (config.targetTokens) targetTokens = config.targetTokens;
+  if (config.overlapTokens) overlapTokens = config.overlapTokens;
+
+  let tree = null;
+  try {
+    parser.setLanguage(language);
+    tree = parser.parse(content);
+    if (!tree) return null;
+    return chunkSyntaxTree(tree.rootNode, content.split('\n'), {
+      maxTokens,
+      targetTokens,
+      overlapTokens,
+      embeddingModel: config.embeddingModel,
+    });
+  } catch (err) {
+    if (config.verbose) {
+      console.warn(`[Chunker] AST chunking failed for ${path.basename(file)}: ${err.message}`);
+    }
+    return null;
+  } finally {
+    tree?.delete?.();
+  }
+}
@@ -10,6 +10,12 @@ import {
 import { SqliteVectorStore } from './vector-store-sqlite.js';
 import { isNonProjectDirectory } from './config.js';
 import { normalizePathKey } from './path-utils.js';
+import { LexicalIndex } from './lexical-index.js';
+import { tokenizeCode } from './code-tokenizer.js';
+import { QueryEmbeddingCache, queryEmbeddingKey } from './query-embedding-cache.js';
+import { GitRecencyIndex } from './git-recency.js';
+import { SearchHistory } from './search-history.js';
+import { describeChunk } from './chunk-context.js';
 import {
   JSON_WORKER_THRESHOLD_BYTES,
   ANN_DIMENSION_SAMPLE_SIZE,
@@ -26,6 +32,14 @@ const ANN_META_FILE = 'ann-meta.json';
 
 const CALL_GRAPH_FILE = 'call-graph.json';
 
+const LEXICAL_INDEX_FILE = 'lexical-index.json';
+
+const QUERY_EMBEDDINGS_FILE = 'query-embeddings.json';
+
+const GIT_RECENCY_FILE = 'git-recency.json';
+
+const SEARCH_HISTORY_FILE = 'search-history.json';
+
 const IS_TEST_ENV = process.env.VITEST === 'true' || process.env.NODE_ENV === 'test';
 
 const yieldToLoop = () => new Promise((resolve) => setImmediate(resolve));
@@ -269,6 +283,7 @@ export class EmbeddingsCache {
       version: CACHE_META_VERSION,
       embeddingModel: config.embeddingModel,
       embeddingDimension: config.embeddingDimension ?? null,
+      contextualHeaders: config.contextualHeaders === true,
     };
 
     this.saveQueue = Promise.resolve();
@@ -282,6 +297,8 @@ export class EmbeddingsCache {
     this.annMeta = null;
     this.annDirty = false;
     this.annPersistDirty = false;
+    // Chunk attributes were derived on load and are not on disk yet.
+    this.describedLegacyChunks = false;
     this.annLoading = null;
     this.annVectorCache = null;
 
@@ -289,6 +306,23 @@ export class EmbeddingsCache {
     this.callGraph = null;
     this._callGraphBuild = null;
 
+    this.lexicalIndex = this.createLexicalIndex();
+
+    this.queryEmbeddings = new QueryEmbeddingCache({
+      maxEntries: Number.isInteger(config.queryEmbeddingCacheSize)
+        ? config.queryEmbeddingCacheSize
+        : 200,
+    });
+
+    this.gitRecency = new GitRecencyIndex();
+
+    this.searchHistory = new SearchHistory({
+      maxEntries: Number.isInteger(config.searchHistorySize) ? config.searchHistorySize : 100,
+    });
+
+    // Incremented whenever store contents change; search result caches key on it.
+    this.indexGeneration = 0;
+
     this.binaryStore = null;
 
     this.sqliteStore = null;
@@ -331,8 +365,10 @@ export class EmbeddingsCache {
     this.vectorStore = [];
     this.fileHashes.clear();
     this.invalidateAnnIndex();
+    this.markIndexChanged();
     this.fileCallData.clear();
     this.callGraph = null;
+    this.lexicalIndex.clear();
     this.initErrors = [];
     if (this.binaryStore) {
       try {
@@ -349,6 +385,16 @@ export class EmbeddingsCache {
   }
 
   async close() {
+    try {
+      await this.queryEmbeddings.flush();
+    } catch (error) {
+      console.warn(`[Cache] Failed to save query embeddings: ${error.message}`);
+    }
+    try {
+      await this.searchHistory.flush();
+    } catch (error) {
+      console.warn(`[Cache] Failed to save search history: ${error.message}`);
+    }
     if (this.binaryStore) {
       await this.binaryStore.close();
       this.binaryStore = null;
@@ -496,16 +542,21 @@ export class EmbeddingsCache {
     }
     this.fileHashes.clear();
     this.invalidateAnnIndex();
+    this.markIndexChanged();
     await this.clearCallGraphData({ removeFile: true });
+    await this.clearLexicalIndex({ removeFile: true });
     this.initErrors = [];
   }
 
   async load({ forceVectorLoadMode } = {}) {
     if (!this.config.enableCache) return;
     this._corruptionDetected = false;
+    this.markIndexChanged();
 
     try {
       await fs.mkdir(this.config.cacheDirectory, { recursive: true });
+      await this.queryEmbeddings.load(this.getQueryEmbeddingsFile());
+      await this.searchHistory.load(this.getSearchHistoryFile());
 
       const cacheFile = path.join(this.config.cacheDirectory, 'embeddings.json');
       const hashFile = path.join(this.config.cacheDirectory, 'file-hashes.json');
@@ -585,6 +636,15 @@ export class EmbeddingsCache {
         this.clearInMemoryState();
         return;
       }
+      // Headers change the embedded text, so vectors from the other setting do not match.
+      const expectedHeaders = this.config.contextualHeaders === true;
+      if ((meta?.contextualHeaders === true) !== expectedHeaders) {
+        console.warn(
+          `[Cache] Contextual headers setting changed, ignoring cache (${!expectedHeaders} -> ${expectedHeaders})`
+        );
+        this.clearInMemoryState();
+        return;
+      }
 
       if (!prefetched) {
         [cacheData, hashData] = await Promise.all([
@@ -759,6 +819,14 @@ export class EmbeddingsCache {
 
         assignChunkIndices(this.vectorStore);
 
+        const describedCount = await this.describeLegacyChunks();
+        this.describedLegacyChunks = describedCount > 0;
+        if (describedCount > 0) {
+          console.info(
+            `[Cache] Derived symbol metadata for ${describedCount} chunks from an older cache format; it is stored on the next save`
+          );
+        }
+
         if (this.config.verbose) {
           console.info(`[Cache] Loaded ${this.vectorStore.length} cached embeddings`);
         }
@@ -795,6 +863,33 @@ export class EmbeddingsCache {
         }
       } catch {}
 
+      if (this.config.bm25Enabled) {
+        const lexicalFile = path.join(this.config.cacheDirectory, LEXICAL_INDEX_FILE);
+        try {
+          const parsed = await readJsonFile(lexicalFile, { workerThresholdBytes });
+          this.lexicalIndex = LexicalIndex.fromJSON(parsed, this.getLexicalIndexOptions());
+          if (this.config.verbose) {
+            console.info(`[Cache] Loaded lexical index for ${this.lexicalIndex.size} chunks`);
+          }
+        } catch {
+          this.lexicalIndex = this.createLexicalIndex();
+        }
+      }
+
+      if (this.config.recencySource === 'git') {
+        const gitRecencyFile = path.join(this.config.cacheDirectory, GIT_RECENCY_FILE);
+        try {
+          this.gitRecency = GitRecencyIndex.fromJSON(
+            JSON.parse(await fs.readFile(gitRecencyFile, 'utf8'))
+          );
+          if (this.config.verbose) {
+            console.info(`[Cache] Loaded git recency for ${this.gitRecency.size} files`);
+          }
+        } catch {
+          this.gitRecency = new GitRecencyIndex();
+        }
+      }
+
       if (
         this.config.verbose &&
         (normalizedHashAliasCollapses > 0 || normalizedCallGraphAliasCollapses > 0)
@@ -901,6 +996,7 @@ export class EmbeddingsCache {
         version: CACHE_META_VERSION,
         embeddingModel: this.config.embeddingModel,
         embeddingDimension: this.config.embeddingDimension ?? null,
+        contextualHeaders: this.config.contextualHeaders === true,
         lastSaveTime: new Date().toISOString(),
         filesIndexed: this.fileHashes.size,
         chunksStored: snapshotStore.length,
@@ -1029,6 +1125,21 @@ export class EmbeddingsCache {
         await fs.rm(callGraphFile, { force: true });
       }
 
+      const lexicalFile = path.join(this.config.cacheDirectory, LEXICAL_INDEX_FILE);
+      if (this.config.bm25Enabled && this.lexicalIndex.size > 0) {
+        await fs.writeFile(lexicalFile, JSON.stringify(this.lexicalIndex.toJSON()));
+      } else {
+        await fs.rm(lexicalFile, { force: true });
+      }
+
+      const gitRecencyFile = path.join(this.config.cacheDirectory, GIT_RECENCY_FILE);
+      if (this.config.recencySource !== 'git') {
+        await fs.rm(gitRecencyFile, { force: true });
+      } else if (this.gitRecency.dirty) {
+        await fs.writeFile(gitRecencyFile, JSON.stringify(this.gitRecency.toJSON()));
+        this.gitRecency.dirty = false;
+      }
+
       if (
         this.config.annIndexCache !== false &&
         this.annPersistDirty &&
@@ -1053,6 +1164,7 @@ export class EmbeddingsCache {
         }
       }
       this.lastSaveError = null;
+      this.describedLegacyChunks = false;
     } catch (error) {
       this.lastSaveError = error instanceof Error ? error : new Error(String(error));
       console.warn('[Cache] Failed to save cache:', this.lastSaveError.message);
@@ -1112,6 +1224,11 @@ export class EmbeddingsCache {
       assignChunkIndices(this.vectorStore);
     }
     this.invalidateAnnIndex();
+    this.markIndexChanged();
+    this.lexicalIndex.clear();
+    if (this.config.bm25Enabled && Array.isArray(this.vectorStore)) {
+      for (const chunk of this.vectorStore) this.addToLexicalIndex(chunk);
+    }
     if (previousBinaryStore) {
       try {
         await previousBinaryStore.close();
@@ -1291,13 +1408,18 @@ export class EmbeddingsCache {
     this.vectorStore.length = w;
 
     this.invalidateAnnIndex();
+    this.markIndexChanged();
     this.removeFileCallData(file);
+    this.lexicalIndex.removeFile(file);
 
     this.deleteFileHash(file);
   }
 
   addToStore(chunk) {
     normalizeChunkVector(chunk);
+    if (chunk.hash === undefined) {
+      Object.assign(chunk, describeChunk(chunk.file, chunk.content, chunk.metadata));
+    }
 
     if (!Array.isArray(this.vectorStore)) {
       this.vectorStore = [];
@@ -1306,6 +1428,10 @@ export class EmbeddingsCache {
     const label = this.vectorStore.length;
     chunk._index = label;
     this.vectorStore.push(chunk);
+    this.markIndexChanged();
+    if (this.config.bm25Enabled) {
+      this.addToLexicalIndex(chunk);
+    }
     if (Array.isArray(this.annVectorCache) && this.annVectorCache.length === label) {
       this.annVectorCache.push(chunk.vector);
     }
@@ -1329,6 +1455,10 @@ export class EmbeddingsCache {
     this.invalidateAnnIndex();
   }
 
+  markIndexChanged() {
+    this.indexGeneration++;
+  }
+
   invalidateAnnIndex() {
     this.annIndex = null;
     this.annMeta = null;
@@ -1633,7 +1763,13 @@ export class EmbeddingsCache {
       this.sqliteStore = null;
       this.fileHashes = new Map();
       this.invalidateAnnIndex();
+      this.markIndexChanged();
+      this.queryEmbeddings.clear();
+      this.gitRecency.clear();
       await this.clearCallGraphData();
+      this.lexicalIndex.clear();
+      // Search history and saved searches are not index data; write them back.
+      this.searchHistory.scheduleSave();
       if (this.config.verbose) {
         console.info(`[Cache] Cache cleared successfully: ${this.config.cacheDirectory}`);
       }
@@ -1785,7 +1921,7 @@ export class EmbeddingsCache {
         this.callGraph = buildCallGraph(this.fileCallData);
         if (this.config.verbose && this.callGraph) {
           console.info(
-            `[CallGraph] Built graph: ${this.callGraph.defines.size} definitions, ${this.callGraph.calledBy.size} call targets`
+            `[CallGraph] Built graph: ${this.callGraph.defines.size} definitions, ${this.callGraph.calledBy.size} call targets, ${this.callGraph.importEdges ?? 0} import edges`
           );
         }
       } catch (err) {
@@ -1799,13 +1935,20 @@ export class EmbeddingsCache {
     return this._callGraphBuild;
   }
 
-  async getRelatedFiles(symbols) {
-    if (!this.config.callGraphEnabled || symbols.length === 0) return new Map();
+  /**
+   * Files related to `symbols` through the call graph, and to `files` (the files of the
+   * top results) through the import graph.
+   */
+  async getRelatedFiles(symbols, files = []) {
+    if (!this.config.callGraphEnabled || (symbols.length === 0 && files.length === 0)) {
+      return new Map();
+    }
     if (!this.callGraph && this.fileCallData.size > 0) await this.rebuildCallGraph();
     if (!this.callGraph) return new Map();
 
     const { getRelatedFiles } = await import('./call-graph.js');
-    return getRelatedFiles(this.callGraph, symbols, this.config.callGraphMaxHops);
+    const seedFiles = files.map((file) => fileKey(file)).filter(Boolean);
+    return getRelatedFiles(this.callGraph, symbols, this.config.callGraphMaxHops, seedFiles);
   }
 
   getCallGraphStats() {
@@ -1815,9 +1958,169 @@ export class EmbeddingsCache {
       graphBuilt: this.callGraph !== null,
       definitions: this.callGraph?.defines.size ?? 0,
       callTargets: this.callGraph?.calledBy.size ?? 0,
+      importEdges: this.callGraph?.importEdges ?? 0,
+    };
+  }
+
+  getLexicalIndexOptions() {
+    return {
+      k1: Number.isFinite(this.config.bm25K1) ? this.config.bm25K1 : undefined,
+      b: Number.isFinite(this.config.bm25B) ? this.config.bm25B : undefined,
     };
   }
 
+  createLexicalIndex() {
+    return new LexicalIndex(this.getLexicalIndexOptions());
+  }
+
+  getQueryEmbeddingsFile() {
+    if (
+      !this.config.enableCache ||
+      this.config.queryEmbeddingCachePersist === false ||
+      !this.config.cacheDirectory ||
+      (this.config.allowSystemWorkspaceCache !== true &&
+        this.config.searchDirectory &&
+        isNonProjectDirectory(this.config.searchDirectory))
+    ) {
+      return null;
+    }
+    return path.join(this.config.cacheDirectory, QUERY_EMBEDDINGS_FILE);
+  }
+
+  getSearchHistoryFile() {
+    if (
+      !this.config.enableCache ||
+      !this.config.cacheDirectory ||
+      (this.config.allowSystemWorkspaceCache !== true &&
+        this.config.searchDirectory &&
+        isNonProjectDirectory(this.config.searchDirectory))
+    ) {
+      return null;
+    }
+    return path.join(this.config.cacheDirectory, SEARCH_HISTORY_FILE);
+  }
+
+  /**
+   * Cached vector for a query or snippet under the current model and dimension, or null.
+   */
+  getQueryEmbedding(text) {
+    if (this.queryEmbeddings.maxEntries <= 0) return null;
+    return this.queryEmbeddings.get(
+      queryEmbeddingKey(this.config.embeddingModel, this.config.embeddingDimension, text)
+    );
+  }
+
+  setQueryEmbedding(text, vector) {
+    if (this.queryEmbeddings.maxEntries <= 0) return;
+    this.queryEmbeddings.set(
+      queryEmbeddingKey(this.config.embeddingModel, this.config.embeddingDimension, text),
+      vector
+    );
+  }
+
+  /**
+   * Git author time (ms) of the newest line in a chunk's range, or null when git recency
+   * is off or the file has no git history.
+   */
+  getGitRecency(file, startLine, endLine) {
+    if (this.config.recencySource !== 'git') return null;
+    return this.gitRecency.getRecency(file, startLine, endLine);
+  }
+
+  /**
+   * Sync git recency with the discovered workspace files; `changedFiles` are re-blamed.
+   */
+  async updateGitRecency(files, changedFiles = []) {
+    if (this.config.recencySource !== 'git') return 0;
+    try {
+      return await this.gitRecency.update(this.config.searchDirectory, files, changedFiles);
+    } catch (error) {
+      console.warn(`[Cache] Failed to update git recency: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async refreshGitRecency(files) {
+    if (this.config.recencySource !== 'git') return 0;
+    try {
+      return await this.gitRecency.refresh(this.config.searchDirectory, files);
+    } catch (error) {
+      console.warn(`[Cache] Failed to refresh git recency: ${error.message}`);
+      return 0;
+    }
+  }
+
+  addToLexicalIndex(chunk, content = chunk?.content) {
+    if (!chunk?.file || typeof content !== 'string') return;
+    this.lexicalIndex.addDocument(chunk.file, chunk.startLine, chunk.endLine, content);
+  }
+
+  async clearLexicalIndex({ removeFile = false } = {}) {
+    this.lexicalIndex.clear();
+
+    if (removeFile && this.config.enableCache) {
+      const lexicalFile = path.join(this.config.cacheDirectory, LEXICAL_INDEX_FILE);
+      try {
+        await fs.rm(lexicalFile, { force: true });
+      } catch (error) {
+        if (this.config.verbose) {
+          console.warn(`[Cache] Failed to remove lexical index: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * True when every stored chunk has an entry in the lexical index.
+   */
+  isLexicalIndexComplete() {
+    const storeSize = this.getStoreSize();
+    return storeSize > 0 && this.lexicalIndex.size === storeSize;
+  }
+
+  /**
+   * Fill in language, symbols, kind and hash for chunks loaded from a store written
+   * before those attributes existed. Returns the number of chunks updated.
+   */
+  async describeLegacyChunks() {
+    let described = 0;
+    for (let i = 0; i < this.vectorStore.length; i++) {
+      const chunk = this.vectorStore[i];
+      if (!chunk || chunk.hash !== undefined) continue;
+      if (described > 0 && described % 500 === 0) await yieldToLoop();
+      const content = await this.getChunkContent(chunk, i);
+      Object.assign(chunk, describeChunk(chunk.file, content, chunk.metadata));
+      described++;
+    }
+    return described;
+  }
+
+  /**
+   * Rebuild the lexical index from stored chunk content (e.g. for caches written
+   * before the index existed).
+   */
+  async rebuildLexicalIndex() {
+    this.lexicalIndex.clear();
+    const storeSize = this.getStoreSize();
+    for (let i = 0; i < storeSize; i++) {
+      if (i > 0 && i % 500 === 0) await yieldToLoop();
+      const chunk = this.getChunk(i);
+      if (!chunk) continue;
+      this.addToLexicalIndex(chunk, await this.getChunkContent(chunk, i));
+    }
+    if (this.config.verbose) {
+      console.info(`[Cache] Rebuilt lexical index (${this.lexicalIndex.size} chunks)`);
+    }
+  }
+
+  /**
+   * BM25 scores keyed by lexicalDocKey(), or null when lexical scoring is unavailable.
+   */
+  getLexicalScores(query) {
+    if (!this.config.bm25Enabled || !this.isLexicalIndexComplete()) return null;
+    return this.lexicalIndex.score(tokenizeCode(query));
+  }
+
   getStoreSize() {
     if (Array.isArray(this.vectorStore)) return this.vectorStore.length;
     if (this.binaryStore) return this.binaryStore.length;
@@ -1840,6 +2143,11 @@ export class EmbeddingsCache {
           file: record.file,
           startLine: record.startLine,
           endLine: record.endLine,
+          language: record.language,
+          kind: record.kind,
+          symbols: record.symbols,
+          hash: record.hash,
+          ...(record.metadata && { metadata: record.metadata }),
           vector: this.binaryStore.getVector(index),
           _index: index,
           _binaryIndex: index,
@@ -1853,6 +2161,11 @@ export class EmbeddingsCache {
           file: record.file,
           startLine: record.startLine,
           endLine: record.endLine,
+          language: record.language,
+          kind: record.kind,
+          symbols: record.symbols,
+          hash: record.hash,
+          ...(record.metadata && { metadata: record.metadata }),
           vector: this.sqliteStore.getVector(index),
           _index: index,
           _sqliteIndex: index,
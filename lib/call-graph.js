@@ -1,11 +1,12 @@
 /**
  * Call Graph Extractor
  *
- * Lightweight regex-based extraction of function definitions and calls.
+ * Lightweight regex-based extraction of function definitions, calls and module imports.
  * Works across multiple languages without external dependencies.
  */
 
 import path from 'path';
+import { normalizePath } from './path-utils.js';
 
 // Language-specific patterns for function/method definitions
 const DEFINITION_PATTERNS = {
@@ -48,6 +49,40 @@ const DEFINITION_PATTERNS = {
 // Pattern for function calls (language-agnostic, catches most cases)
 const CALL_PATTERN = /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(/g;
 
+// Module import patterns; group 1 is the module specifier
+// Run on content masked with maskStringsAndComments(..., { keepQuotes: true }), so string
+// specifiers are blank between their quotes; the `d` flag gives the group's offsets, which
+// are read back from the original content.
+const IMPORT_PATTERNS = {
+  javascript: [
+    // import x from 'mod', import { a, b } from 'mod', import 'mod'
+    /(?:^|[;\s])import\s+(?:[\w*${}\s,]+?\s+from\s+)?['"]([^'"\n]+)['"]/dg,
+    // export { a } from 'mod', export * from 'mod'
+    /(?:^|[;\s])export\s+(?:[\w*${}\s,]+?\s+)?from\s+['"]([^'"\n]+)['"]/dg,
+    // require('mod'), import('mod')
+    /\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/dg,
+  ],
+  python: [
+    // from pkg.mod import name, from . import name
+    /^[ \t]*from\s+(\.*[\w.]*)\s+import\b/dgm,
+    // import pkg.mod, other as alias
+    /^[ \t]*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)/dgm,
+  ],
+  go: [
+    // import "path" or import alias "path"
+    /^[ \t]*import\s+(?:[\w.]+\s+)?"([^"]+)"/dgm,
+    // import ( "a"; alias "b" )
+    /^[ \t]*import\s*\(([^)]*)\)/dgm,
+  ],
+  rust: [
+    // use crate::a::b::Item; pub use super::c::{d, e};
+    /^[ \t]*(?:pub(?:\([^)]*\))?\s+)?use\s+([^;]+);/dgm,
+  ],
+  java: [],
+};
+
+const JS_IMPORT_EXTENSIONS = ['.js', '.ts', '.tsx', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
 // Common built-ins to exclude from call detection (all lowercase for case-insensitive matching)
 const BUILTIN_EXCLUSIONS = new Set([
   // JavaScript
@@ -215,6 +250,161 @@ export function extractDefinitions(content, file) {
   return Array.from(definitions);
 }
 
+/**
+ * Blank out comments and string literals while keeping every newline and column,
+ * so brace matching and line numbers stay aligned with the original content.
+ * With `keepQuotes`, string literals keep their quote characters.
+ */
+function maskStringsAndComments(content, language, { keepQuotes = false } = {}) {
+  const out = content.split('');
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (out[i] !== '\n') out[i] = ' ';
+    }
+  };
+  const hashComments = language === 'python';
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    const next = content[i + 1];
+    let end = null;
+    let quoteLength = 0;
+    if (!hashComments && ch === '/' && next === '/') {
+      end = content.indexOf('\n', i);
+    } else if (!hashComments && ch === '/' && next === '*') {
+      end = content.indexOf('*/', i + 2);
+      if (end !== -1) end += 2;
+    } else if (hashComments && ch === '#') {
+      end = content.indexOf('\n', i);
+    } else if (hashComments && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+      end = content.indexOf(content.slice(i, i + 3), i + 3);
+      if (end !== -1) end += 3;
+      quoteLength = 3;
+    } else if (ch === '"' || ch === '`' || (ch === "'" && language !== 'rust')) {
+      quoteLength = 1;
+      end = i + 1;
+      while (end < content.length && content[end] !== ch) {
+        if (content[end] === '\\') end++;
+        else if (content[end] === '\n' && ch !== '`') break;
+        end++;
+      }
+      end++;
+    } else if (ch === "'" && /^'(?:\\.|[^\\'])'/.test(content.slice(i, i + 4))) {
+      end = content.indexOf("'", i + 2) + 1;
+      quoteLength = 1;
+    }
+    if (end === null) {
+      i++;
+      continue;
+    }
+    if (end === -1) end = content.length;
+    if (keepQuotes && quoteLength > 0) {
+      blank(i + quoteLength, Math.max(i + quoteLength, end - quoteLength));
+    } else {
+      blank(i, end);
+    }
+    i = end;
+  }
+  return out.join('');
+}
+
+function lineAt(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+/**
+ * Index of the end of a brace-delimited definition whose header starts at `from`:
+ * the `}` matching the first top-level `{`, or a `;` ending a body-less declaration.
+ */
+function findBlockEnd(masked, from) {
+  let parens = 0;
+  for (let i = from; i < masked.length; i++) {
+    const ch = masked[i];
+    if (ch === '(' || ch === '[') parens++;
+    else if (ch === ')' || ch === ']') parens = Math.max(0, parens - 1);
+    else if (ch === ';' && parens === 0) return i;
+    else if (ch === '{' && parens === 0) {
+      let depth = 0;
+      for (let j = i; j < masked.length; j++) {
+        if (masked[j] === '{') depth++;
+        else if (masked[j] === '}' && --depth === 0) return j;
+      }
+      return masked.length - 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Last line (1-based) of an indentation-delimited Python block whose header is on `line`.
+ */
+function findIndentedBlockEnd(lines, line) {
+  const indentOf = (text) => text.match(/^\s*/)[0].length;
+  const headerIndent = indentOf(lines[line - 1]);
+  let end = line;
+  for (let i = line; i < lines.length; i++) {
+    if (lines[i].trim().length === 0) continue;
+    if (indentOf(lines[i]) <= headerIndent) break;
+    end = i + 1;
+  }
+  return end;
+}
+
+/**
+ * Definitions with their line spans, found with the same patterns as extractDefinitions().
+ * Returns [{ name, kind, startLine, endLine }] sorted by position; methods nest inside
+ * their class span. Line numbers are 1-based and relative to `content`.
+ */
+export function extractDefinitionSpans(content, file) {
+  const language = detectLanguage(file);
+  const patterns = DEFINITION_PATTERNS[language];
+  const masked = maskStringsAndComments(content, language);
+  const lines = masked.split('\n');
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const spans = new Map();
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+      const name = match[1];
+      if (!name || name.length <= 1 || BUILTIN_EXCLUSIONS.has(name.toLowerCase())) continue;
+
+      const header = match[0].trimStart();
+      const startLine = lineAt(lineStarts, match.index + match[0].length - header.length);
+      const key = `${name}:${startLine}`;
+      if (spans.has(key)) continue;
+
+      let endLine;
+      if (language === 'python') {
+        endLine = findIndentedBlockEnd(lines, startLine);
+      } else {
+        const nameEnd = match.index + match[0].indexOf(name) + name.length;
+        const blockEnd = findBlockEnd(masked, nameEnd);
+        if (blockEnd === -1) continue;
+        endLine = lineAt(lineStarts, blockEnd);
+      }
+
+      const kind = /^(?:class|impl)\b/.test(header) ? 'class' : 'function';
+      spans.set(key, { name, kind, startLine, endLine });
+    }
+  }
+
+  return Array.from(spans.values()).sort(
+    (a, b) => a.startLine - b.startLine || b.endLine - a.endLine
+  );
+}
+
 /**
  * Extract function calls from content
  * Exported for testing; treat as internal helper.
@@ -265,6 +455,44 @@ function removeStringsAndComments(content, file) {
   return cleaned;
 }
 
+/**
+ * Extract module import specifiers (unresolved) from a file
+ * Exported for testing; treat as internal helper.
+ */
+export function extractImports(content, file) {
+  const language = detectLanguage(file);
+  const imports = new Set();
+  const masked = maskStringsAndComments(content, language, { keepQuotes: true });
+
+  for (const pattern of IMPORT_PATTERNS[language]) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+      const [start, end] = match.indices[1];
+      const value = content.slice(start, end).trim();
+      if (language === 'python' && !value.startsWith('.') && /[,\s]/.test(value)) {
+        // import a, b.c as d
+        for (const part of value.split(',')) {
+          imports.add(part.trim().split(/\s+/)[0]);
+        }
+      } else if (language === 'go' && value.includes('"')) {
+        // Quotes survive masking, so a grouped import's comments cannot add specs
+        for (const quoted of masked.slice(start, end).matchAll(/"[^"\n]+"/g)) {
+          const from = start + quoted.index + 1;
+          imports.add(content.slice(from, from + quoted[0].length - 2));
+        }
+      } else if (language === 'rust') {
+        // Keep the module path: crate::a::{b, c} -> crate::a, crate::a::* -> crate::a
+        imports.add(value.replace(/\s+/g, '').replace(/::(?:\{.*|\*)$/, ''));
+      } else if (value) {
+        imports.add(value);
+      }
+    }
+  }
+
+  return Array.from(imports);
+}
+
 /**
  * Extract both definitions and calls from a file
  */
@@ -279,9 +507,136 @@ export function extractCallData(content, file) {
   return {
     definitions,
     calls: externalCalls,
+    imports: extractImports(content, file),
   };
 }
 
+function addToListMap(map, key, value) {
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+}
+
+/**
+ * Lookup tables for resolving import specifiers against the indexed files.
+ * `files` are call-graph keys (normalized paths with forward slashes).
+ */
+function buildImportIndex(files) {
+  const fileSet = new Set(files);
+  const modules = new Map(); // last module segment -> [{ file, modulePath }]
+  const goDirs = new Map(); // last directory segment -> [directory]
+  const goFiles = new Map(); // directory -> .go files
+
+  for (const file of files) {
+    const ext = path.posix.extname(file);
+    const dir = path.posix.dirname(file);
+    const stem = path.posix.basename(file, ext);
+    if (ext === '.py') {
+      const modulePath = stem === '__init__' ? dir : `${dir}/${stem}`;
+      addToListMap(modules, path.posix.basename(modulePath), { file, modulePath });
+    } else if (ext === '.go') {
+      if (!goFiles.has(dir)) addToListMap(goDirs, path.posix.basename(dir), dir);
+      addToListMap(goFiles, dir, file);
+    }
+  }
+
+  return { fileSet, modules, goDirs, goFiles };
+}
+
+function resolveJsImport(spec, fromFile, index) {
+  if (!spec.startsWith('.')) return [];
+  const base = path.posix.join(path.posix.dirname(fromFile), spec);
+  const stem = base.replace(/\.[cm]?[jt]sx?$/, '');
+  const candidates = [
+    base,
+    ...JS_IMPORT_EXTENSIONS.map((ext) => stem + ext),
+    ...JS_IMPORT_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+  ];
+  const found = candidates.find((candidate) => index.fileSet.has(candidate));
+  return found ? [found] : [];
+}
+
+function resolvePythonImport(spec, fromFile, index) {
+  const dots = spec.match(/^\.*/)[0].length;
+  const modulePath = spec.slice(dots).split('.').filter(Boolean).join('/');
+  if (dots > 0) {
+    let dir = path.posix.dirname(fromFile);
+    for (let i = 1; i < dots; i++) dir = path.posix.dirname(dir);
+    const base = modulePath ? `${dir}/${modulePath}` : dir;
+    const found = [`${base}.py`, `${base}/__init__.py`].find((c) => index.fileSet.has(c));
+    return found ? [found] : [];
+  }
+  if (!modulePath) return [];
+  const suffix = `/${modulePath}`;
+  const candidates = index.modules.get(path.posix.basename(modulePath)) || [];
+  return candidates.filter((c) => `/${c.modulePath}`.endsWith(suffix)).map((c) => c.file);
+}
+
+function resolveGoImport(spec, index) {
+  const segments = spec.split('/');
+  // Single-segment paths are the standard library (fmt, os, ...)
+  if (segments.length < 2) return [];
+  const dirs = index.goDirs.get(segments[segments.length - 1]) || [];
+  for (let start = 0; start <= segments.length - 2; start++) {
+    const suffix = `/${segments.slice(start).join('/')}`;
+    const matches = dirs.filter((dir) => `/${dir}`.endsWith(suffix));
+    if (matches.length > 0) return matches.flatMap((dir) => index.goFiles.get(dir));
+  }
+  return [];
+}
+
+function resolveRustImport(spec, fromFile, index) {
+  const segments = spec.split('::').filter(Boolean);
+  const fileDir = path.posix.dirname(fromFile);
+  const stem = path.posix.basename(fromFile, '.rs');
+  const selfDir = ['lib', 'main', 'mod'].includes(stem) ? fileDir : `${fileDir}/${stem}`;
+
+  let anchor;
+  if (segments[0] === 'crate') {
+    anchor = fileDir;
+    while (path.posix.basename(anchor) !== 'src' && path.posix.dirname(anchor) !== anchor) {
+      anchor = path.posix.dirname(anchor);
+    }
+    if (path.posix.basename(anchor) !== 'src') anchor = fileDir;
+  } else if (segments[0] === 'self') {
+    anchor = selfDir;
+  } else if (segments[0] === 'super') {
+    anchor = path.posix.dirname(selfDir);
+  } else {
+    // External crate (std, serde, ...)
+    return [];
+  }
+
+  const modules = segments.slice(1);
+  while (modules[0] === 'super') {
+    anchor = path.posix.dirname(anchor);
+    modules.shift();
+  }
+  // The last segments may name items (types, functions) rather than modules.
+  for (let length = modules.length; length > 0; length--) {
+    const base = `${anchor}/${modules.slice(0, length).join('/')}`;
+    const found = [`${base}.rs`, `${base}/mod.rs`].find((c) => index.fileSet.has(c));
+    if (found) return [found];
+  }
+  return [];
+}
+
+/**
+ * Resolve an import specifier from `fromFile` to indexed files.
+ * Package imports that do not point into the workspace resolve to nothing.
+ */
+function resolveImport(spec, fromFile, index) {
+  const language = detectLanguage(fromFile);
+  const normalized = normalizePath(spec);
+  let resolved;
+  if (language === 'python') resolved = resolvePythonImport(normalized, fromFile, index);
+  else if (language === 'go') resolved = resolveGoImport(normalized, index);
+  else if (language === 'rust') resolved = resolveRustImport(normalized, fromFile, index);
+  else if (language === 'javascript') resolved = resolveJsImport(normalized, fromFile, index);
+  else resolved = [];
+  return resolved.filter((file) => file !== fromFile);
+}
+
 /**
  * Build a call graph from file data
  */
@@ -289,6 +644,10 @@ export function buildCallGraph(fileCallData) {
   const defines = new Map(); // symbol -> files that define it
   const calledBy = new Map(); // symbol -> files that call it
   const fileCalls = new Map(); // file -> symbols it calls
+  const imports = new Map(); // file -> files it imports
+  const importedBy = new Map(); // file -> files that import it
+  const importIndex = buildImportIndex(Array.from(fileCallData.keys()));
+  let importEdges = 0;
 
   for (const [file, data] of fileCallData.entries()) {
     // Record definitions
@@ -307,15 +666,62 @@ export function buildCallGraph(fileCallData) {
       }
       calledBy.get(call).push(file);
     }
+
+    // Record resolved imports (call data cached before imports were tracked has none)
+    const targets = new Set();
+    for (const spec of data.imports || []) {
+      for (const target of resolveImport(spec, file, importIndex)) targets.add(target);
+    }
+    if (targets.size > 0) {
+      imports.set(file, Array.from(targets));
+      for (const target of targets) addToListMap(importedBy, target, file);
+      importEdges += targets.size;
+    }
   }
 
-  return { defines, calledBy, fileCalls };
+  return { defines, calledBy, fileCalls, imports, importedBy, importEdges };
+}
+
+// Weight of name-only call links once import edges are known for the seed files;
+// matching call names alone over-links common names like load or save.
+const NAME_ONLY_WEIGHT = 0.5;
+
+/**
+ * Files connected to `seedFiles` by import edges (both directions), scored by hop distance
+ */
+function getImportRelatedFiles(callGraph, seedFiles, maxHops) {
+  const related = new Map();
+  if (!callGraph.imports || !callGraph.importedBy) return related;
+
+  const seeds = new Set(seedFiles);
+  const visited = new Set(seeds);
+  let frontier = Array.from(seeds);
+  for (let hop = 0; hop <= maxHops && frontier.length > 0; hop++) {
+    const score = 1 / (hop + 1);
+    const next = [];
+    for (const file of frontier) {
+      const neighbors = [
+        ...(callGraph.imports.get(file) || []),
+        ...(callGraph.importedBy.get(file) || []),
+      ];
+      for (const neighbor of neighbors) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        related.set(neighbor, score);
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+  }
+  return related;
 }
 
 /**
- * Get files related to a set of symbols (callers + callees)
+ * Get files related to a set of symbols (callers + callees). When `seedFiles` (the files
+ * of the top results) have import edges, files importing or imported by them score
+ * highest and name-only call links are down-weighted.
  */
-export function getRelatedFiles(callGraph, symbols, maxHops = 1) {
+export function getRelatedFiles(callGraph, symbols, maxHops = 1, seedFiles = []) {
   const related = new Map(); // file -> proximity score (1 = direct, 0.5 = indirect)
   const visited = new Set();
 
@@ -354,6 +760,16 @@ export function getRelatedFiles(callGraph, symbols, maxHops = 1) {
   }
 
   explore(symbols, 0);
+
+  const importRelated = getImportRelatedFiles(callGraph, seedFiles, maxHops);
+  if (importRelated.size === 0) return related;
+
+  for (const [file, score] of related) {
+    related.set(file, score * NAME_ONLY_WEIGHT);
+  }
+  for (const [file, score] of importRelated) {
+    related.set(file, Math.max(related.get(file) || 0, score));
+  }
   return related;
 }
 
@@ -0,0 +1,188 @@
+/**
+ * Chunk Context
+ *
+ * Contextual headers for embeddings (`indexing.contextualHeaders`). A chunk taken from the
+ * middle of a method does not say which file or class it belongs to, so the text sent to
+ * the embedding model can start with a short synthetic header:
+ *
+ *   File: lib/cache.js
+ *   Language: javascript
+ *   Symbols: EmbeddingsCache > save
+ *
+ * The stored chunk content stays the original lines. The header lives in
+ * `metadata.header`, and getEmbeddingText() adds it back wherever chunks are embedded,
+ * along with the context kept by the structured chunker (Markdown heading paths, notebook
+ * preambles).
+ *
+ * describeChunk() derives the per-chunk attributes kept in the vector store (language,
+ * defined symbols, kind and content hash).
+ */
+
+import path from 'path';
+import { extractDefinitionSpans } from './call-graph.js';
+import { hashContent } from './utils.js';
+import { decodeNotebookSource } from './structured-chunker.js';
+
+// File extension -> language name shown in headers. Other extensions are shown as-is.
+const LANGUAGE_NAMES = Object.freeze({
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  pyw: 'python',
+  ipynb: 'python',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  kt: 'kotlin',
+  kts: 'kotlin',
+  scala: 'scala',
+  c: 'c',
+  h: 'c',
+  cc: 'cpp',
+  cpp: 'cpp',
+  cxx: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  rb: 'ruby',
+  php: 'php',
+  swift: 'swift',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  md: 'markdown',
+  markdown: 'markdown',
+  mdx: 'markdown',
+  yml: 'yaml',
+  yaml: 'yaml',
+  jsonc: 'json',
+});
+
+// Languages whose definitions extractDefinitionSpans() understands.
+const SYMBOL_LANGUAGES = new Set([
+  'javascript',
+  'typescript',
+  'python',
+  'go',
+  'rust',
+  'java',
+  'kotlin',
+  'scala',
+]);
+
+const MAX_HEADER_SYMBOLS = 4;
+
+const DOC_LANGUAGES = new Set(['markdown', 'txt', 'rst', 'adoc']);
+const CONFIG_LANGUAGES = new Set(['json', 'yaml', 'toml', 'ini', 'xml', 'properties']);
+
+export function getLanguageName(file) {
+  const base = path.basename(file).toLowerCase();
+  if (base === 'dockerfile' || base === 'makefile') return base;
+  const ext = path.extname(base).slice(1);
+  if (!ext) return null;
+  return LANGUAGE_NAMES[ext] ?? ext;
+}
+
+/**
+ * Names of the definitions enclosing `line`, outermost first (e.g. a class, then its
+ * method). `spans` come from extractDefinitionSpans().
+ */
+export function getEnclosingSymbols(spans, line) {
+  const names = [];
+  for (const span of spans) {
+    if (span.startLine > line || span.endLine < line) continue;
+    if (names.at(-1) !== span.name) names.push(span.name);
+  }
+  return names.slice(-MAX_HEADER_SYMBOLS);
+}
+
+function findDefinitionSpans(content, file, language) {
+  if (!SYMBOL_LANGUAGES.has(language) || typeof content !== 'string') return [];
+  try {
+    return extractDefinitionSpans(content, file);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Record a contextual header in `metadata.header` of every chunk when
+ * `config.contextualHeaders` is enabled. Mutates and returns `chunks`.
+ */
+export function addContextualHeaders(chunks, content, file, config) {
+  if (config?.contextualHeaders !== true || !Array.isArray(chunks) || chunks.length === 0) {
+    return chunks;
+  }
+
+  const relativePath = config.searchDirectory
+    ? path.relative(config.searchDirectory, file).split(path.sep).join('/')
+    : path.basename(file);
+  const language = getLanguageName(file);
+  const spans = findDefinitionSpans(content, file, language);
+
+  for (const chunk of chunks) {
+    const lines = [`File: ${relativePath}`];
+    if (language) lines.push(`Language: ${language}`);
+    const symbols = getEnclosingSymbols(spans, chunk.startLine);
+    if (symbols.length > 0) lines.push(`Symbols: ${symbols.join(' > ')}`);
+    chunk.metadata = { ...chunk.metadata, header: lines.join('\n') };
+  }
+  return chunks;
+}
+
+/**
+ * Attributes stored with a chunk: `language`, the `symbols` defined in it, its `kind`
+ * (code, function, class, doc or config) and the `hash` of its content. `metadata` is the chunker's
+ * metadata, used to tell documentation and config chunks apart.
+ */
+export function describeChunk(file, content, metadata) {
+  const text = typeof content === 'string' ? content : '';
+  const language = getLanguageName(file);
+  const spans = findDefinitionSpans(text, file, language);
+  const symbols = [...new Set(spans.map((span) => span.name))];
+
+  let kind = 'code';
+  if (metadata?.kind === 'config-keys' || CONFIG_LANGUAGES.has(language)) {
+    kind = 'config';
+  } else if (
+    metadata?.kind === 'markdown-section' ||
+    metadata?.cellType === 'markdown' ||
+    DOC_LANGUAGES.has(language)
+  ) {
+    kind = 'doc';
+  } else if (spans.some((span) => span.kind === 'class')) {
+    kind = 'class';
+  } else if (spans.length > 0) {
+    kind = 'function';
+  }
+
+  return { language, symbols, kind, hash: hashContent(text) };
+}
+
+/**
+ * Text to embed for a chunk: its contextual header and heading path (if any) followed by
+ * the content. Notebook cells are embedded as their decoded source, without the blob lines
+ * the chunker dropped, after any preamble.
+ */
+export function getEmbeddingText(chunk) {
+  const metadata = chunk?.metadata;
+  let text = chunk.text;
+  if (metadata?.kind === 'notebook-cell') {
+    const source = decodeNotebookSource(text);
+    if (source !== null) {
+      const dropped = new Set(metadata.droppedLines ?? []);
+      text = source
+        .split('\n')
+        .map((line, index) => (dropped.has(index) ? '' : line))
+        .join('\n');
+    }
+    if (metadata.preamble) text = `${metadata.preamble}\n\n${text}`;
+  }
+  const context = [metadata?.header, metadata?.headingPath].filter(Boolean).join('\n');
+  return context ? `${context}\n\n${text}` : text;
+}
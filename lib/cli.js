@@ -5,6 +5,7 @@ const FLAG_ARGS_WITH_VALUES = new Set([
   '--start',
   '--register',
   '--clear',
+  '--threshold',
 ]);
 const COMMAND_ALIASES = Object.freeze({
   status: '--status',
@@ -20,6 +21,8 @@ const COMMAND_ALIASES = Object.freeze({
   clean: '--clear',
   mem: '--mem',
   memory: '--mem',
+  duplicates: '--duplicates',
+  dupes: '--duplicates',
   version: '--version',
   help: '--help',
   register: '--register',
@@ -43,6 +46,9 @@ Options:
   --clear-cache            Remove cache for current workspace (and stale global caches)
   --logs                   Tail server logs (defaults to last 200 lines, follows)
   --mem                    Show last memory snapshot from logs (requires verbose logging)
+  --duplicates             Print a duplicate code report for the indexed workspace
+  --threshold <n>          Minimum similarity 0-1 for --duplicates (default: 0.9)
+  --json                   Print the --duplicates report as JSON
   --tail <lines>           Lines to show with --logs (default: ${defaultTailLines})
   --no-follow              Do not follow log output with --logs
   --start [ide]            Register + enable in IDE config (antigravity|codex|cursor|vscode|windsurf|warp|"Claude Desktop")
@@ -181,6 +187,8 @@ export function parseArgs(
   const wantsStop = args.includes('--stop');
   const wantsFix = args.includes('--fix');
   const wantsNoFollow = args.includes('--no-follow');
+  const wantsDuplicates = args.includes('--duplicates');
+  const wantsJson = args.includes('--json');
 
   const isServerMode = !(
     wantsCache ||
@@ -188,6 +196,7 @@ export function parseArgs(
     wantsClearCache ||
     wantsLogs ||
     wantsMem ||
+    wantsDuplicates ||
     wantsStart ||
     wantsStop ||
     wantsHelp ||
@@ -207,6 +216,17 @@ export function parseArgs(
     }
   }
 
+  let duplicateThreshold = null;
+  if (wantsDuplicates) {
+    const thresholdIndex = args.indexOf('--threshold');
+    if (thresholdIndex !== -1 && args[thresholdIndex + 1]) {
+      const parsed = parseFloat(args[thresholdIndex + 1]);
+      if (!isNaN(parsed) && parsed >= 0 && parsed <= 1) {
+        duplicateThreshold = parsed;
+      }
+    }
+  }
+
   let startFilter = null;
   if (wantsStart) {
     const getFilter = (flag) => {
@@ -226,6 +246,9 @@ export function parseArgs(
     '--clear-cache',
     '--logs',
     '--mem',
+    '--duplicates',
+    '--threshold',
+    '--json',
     '--tail',
     '--no-follow',
     '--start',
@@ -258,7 +281,10 @@ export function parseArgs(
     wantsStop,
     wantsFix,
     wantsNoFollow,
+    wantsDuplicates,
+    wantsJson,
     tailLines,
+    duplicateThreshold,
     startFilter,
     unknownFlags,
   };
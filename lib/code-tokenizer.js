@@ -0,0 +1,49 @@
+/**
+ * Code-aware Tokenizer
+ *
+ * Shared by the lexical index and query parsing so that identifiers written in
+ * different styles (getUserById, get_user_by_id, get-user-by-id) produce the
+ * same terms.
+ */
+
+const WORD_PATTERN = /[A-Za-z0-9_$-]+/g;
+
+// Lowercase runs, Capitalized words, ACRONYM runs (stopping before a Capitalized word), digits
+const SUB_TOKEN_PATTERN = /[A-Z]+(?=[A-Z][a-z])|[A-Z]?[a-z]+|[A-Z]+|[0-9]+/g;
+
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Split a single identifier into lowercase sub-tokens.
+ * splitIdentifier('parseHTTPResponse_v2') -> ['parse', 'http', 'response', 'v', '2']
+ */
+export function splitIdentifier(identifier) {
+  if (typeof identifier !== 'string' || identifier.length === 0) return [];
+  const parts = identifier.match(SUB_TOKEN_PATTERN);
+  return parts ? parts.map((part) => part.toLowerCase()) : [];
+}
+
+/**
+ * Tokenize code or a search query into lexical terms.
+ * Each identifier yields its sub-tokens plus the joined compound form
+ * (e.g. "get_user_by_id" -> get, user, by, id, getuserbyid), so whole-identifier
+ * matches score higher than matches on individual words.
+ */
+export function tokenizeCode(text) {
+  if (typeof text !== 'string' || text.length === 0) return [];
+  const terms = [];
+  const words = text.match(WORD_PATTERN);
+  if (!words) return terms;
+
+  for (const word of words) {
+    const parts = splitIdentifier(word);
+    for (const part of parts) {
+      if (part.length >= MIN_TERM_LENGTH) terms.push(part);
+    }
+    if (parts.length > 1) {
+      const compound = parts.join('');
+      if (compound.length >= MIN_TERM_LENGTH) terms.push(compound);
+    }
+  }
+  return terms;
+}
@@ -31,6 +31,8 @@ const DEFAULT_INDEXING_CONFIG = {
   smartIndexing: true, // Enable automatic project type detection and smart ignore patterns
   chunkSize: 16, // Lines per chunk (tuned for speed/memory balance)
   chunkOverlap: 4, // Overlap between chunks for context continuity
+  chunkingMode: 'smart', // smart (regex/brace heuristics) | ast (tree-sitter, falls back to smart)
+  contextualHeaders: false, // Embed chunks with a file/language/enclosing-symbol header (changing it reindexes)
   batchSize: 50, // Number of files to process in a single indexing batch
   maxFileSize: 1048576, // 1MB - skip files larger than this
   prefilterContentMaxBytes: 512 * 1024, // 512KB - cache content during prefilter to avoid double reads
@@ -57,6 +59,9 @@ const DEFAULT_CACHE_CONFIG = {
   cacheVectorNoMutation: false, // Avoid mutating vectors during serialization
   cacheVectorJoinThreshold: 8192, // Join threshold for JSON array chunks
   cacheVectorJoinChunkSize: 2048, // Chunk size for JSON join optimization
+  queryEmbeddingCacheSize: 200, // Query vectors kept in the LRU shared by search tools (0 = off)
+  queryEmbeddingCachePersist: true, // Persist cached query vectors in the cache directory
+  searchHistorySize: 100, // Recent searches kept in search-history.json (0 = off; saved searches still work)
 };
 
 const DEFAULT_WORKER_CONFIG = {
@@ -92,12 +97,31 @@ const DEFAULT_VECTOR_STORE_CONFIG = {
   vectorCacheEntries: 0, // In-memory vector cache entries for disk-backed loads
 };
 
+const DEFAULT_RERANK_CONFIG = {
+  enabled: false, // Re-score the top candidates with a cross-encoder (adds latency)
+  model: 'Xenova/ms-marco-MiniLM-L-6-v2', // ONNX cross-encoder model ID
+  topN: 50, // Number of top candidates to re-rank
+  batchSize: 8, // (query, passage) pairs scored per model call
+  maxLength: 512, // Token limit per (query, passage) pair
+};
+
 const DEFAULT_SEARCH_CONFIG = {
   semanticWeight: 0.7, // Balance between semantic and keyword scores (0.0 to 1.0)
   exactMatchBoost: 1.5, // Multiplier applied when an exact string match is found
   recencyBoost: 0.1, // Boost for recently modified files (max 0.1 added to score)
   recencyDecayDays: 30, // After this many days, recency boost is 0
+  recencySource: 'mtime', // mtime | git (last change per line range from git blame)
   textMatchMaxCandidates: 2000, // Max candidates for full text matching before deferring
+  bm25Enabled: true, // Score keyword matches with BM25 over the persisted lexical index
+  bm25K1: 1.2, // BM25 term-frequency saturation
+  bm25B: 0.75, // BM25 document-length normalization (0 = none, 1 = full)
+  lexicalWeight: 0.3, // Weight of the normalized BM25 score in "weighted" fusion
+  fusionMode: 'weighted', // weighted | rrf (reciprocal rank fusion of semantic and BM25 ranks)
+  rrfK: 60, // RRF rank constant (higher = flatter rank contribution)
+  resultCacheTtlMs: 300000, // Keep scored rankings this long for offset/cursor paging (0 = off)
+  mergeOverlappingResults: true, // Fold overlapping chunks of the same file into one result
+  maxResultsPerFile: 0, // Cap results per file (0 = unlimited)
+  rerank: DEFAULT_RERANK_CONFIG, // Optional cross-encoder re-ranking stage
 };
 
 const DEFAULT_CALL_GRAPH_CONFIG = {
@@ -370,6 +394,8 @@ const DEFAULT_CONFIG = {
   ],
   chunkSize: DEFAULT_INDEXING_CONFIG.chunkSize,
   chunkOverlap: DEFAULT_INDEXING_CONFIG.chunkOverlap,
+  chunkingMode: DEFAULT_INDEXING_CONFIG.chunkingMode,
+  contextualHeaders: DEFAULT_INDEXING_CONFIG.contextualHeaders,
   batchSize: DEFAULT_INDEXING_CONFIG.batchSize,
   maxFileSize: DEFAULT_INDEXING_CONFIG.maxFileSize,
   prefilterContentMaxBytes: DEFAULT_INDEXING_CONFIG.prefilterContentMaxBytes,
@@ -394,6 +420,9 @@ const DEFAULT_CONFIG = {
   verbose: DEFAULT_LOGGING_CONFIG.verbose,
   memoryLogIntervalMs: DEFAULT_LOGGING_CONFIG.memoryLogIntervalMs,
   saveReaderWaitTimeoutMs: DEFAULT_CACHE_CONFIG.saveReaderWaitTimeoutMs,
+  queryEmbeddingCacheSize: DEFAULT_CACHE_CONFIG.queryEmbeddingCacheSize,
+  queryEmbeddingCachePersist: DEFAULT_CACHE_CONFIG.queryEmbeddingCachePersist,
+  searchHistorySize: DEFAULT_CACHE_CONFIG.searchHistorySize,
   workerThreads: DEFAULT_WORKER_CONFIG.workerThreads,
   workerDisableHeavyModelOnWindows: DEFAULT_WORKER_CONFIG.workerDisableHeavyModelOnWindows,
   workerBatchTimeoutMs: DEFAULT_WORKER_CONFIG.workerBatchTimeoutMs,
@@ -438,7 +467,18 @@ const DEFAULT_CONFIG = {
   exactMatchBoost: DEFAULT_SEARCH_CONFIG.exactMatchBoost,
   recencyBoost: DEFAULT_SEARCH_CONFIG.recencyBoost,
   recencyDecayDays: DEFAULT_SEARCH_CONFIG.recencyDecayDays,
+  recencySource: DEFAULT_SEARCH_CONFIG.recencySource,
   textMatchMaxCandidates: DEFAULT_SEARCH_CONFIG.textMatchMaxCandidates,
+  bm25Enabled: DEFAULT_SEARCH_CONFIG.bm25Enabled,
+  bm25K1: DEFAULT_SEARCH_CONFIG.bm25K1,
+  bm25B: DEFAULT_SEARCH_CONFIG.bm25B,
+  lexicalWeight: DEFAULT_SEARCH_CONFIG.lexicalWeight,
+  fusionMode: DEFAULT_SEARCH_CONFIG.fusionMode,
+  rrfK: DEFAULT_SEARCH_CONFIG.rrfK,
+  resultCacheTtlMs: DEFAULT_SEARCH_CONFIG.resultCacheTtlMs,
+  mergeOverlappingResults: DEFAULT_SEARCH_CONFIG.mergeOverlappingResults,
+  maxResultsPerFile: DEFAULT_SEARCH_CONFIG.maxResultsPerFile,
+  rerank: { ...DEFAULT_RERANK_CONFIG },
   smartIndexing: DEFAULT_INDEXING_CONFIG.smartIndexing,
   callGraphEnabled: DEFAULT_CALL_GRAPH_CONFIG.callGraphEnabled,
   callGraphBoost: DEFAULT_CALL_GRAPH_CONFIG.callGraphBoost,
@@ -1020,6 +1060,22 @@ export async function loadConfig(workspaceDir = null) {
     }
   }
 
+  if (process.env.SMART_CODING_CHUNKING_MODE !== undefined) {
+    const value = process.env.SMART_CODING_CHUNKING_MODE.trim().toLowerCase();
+    if (value === 'smart' || value === 'ast') {
+      config.chunkingMode = value;
+    } else {
+      console.warn(`[Config] Invalid SMART_CODING_CHUNKING_MODE: ${value}, using default`);
+    }
+  }
+
+  if (process.env.SMART_CODING_CONTEXTUAL_HEADERS !== undefined) {
+    const value = process.env.SMART_CODING_CONTEXTUAL_HEADERS;
+    if (value === 'true' || value === 'false') {
+      config.contextualHeaders = value === 'true';
+    }
+  }
+
   if (process.env.SMART_CODING_MAX_RESULTS !== undefined) {
     const value = parseInt(process.env.SMART_CODING_MAX_RESULTS, 10);
     if (!isNaN(value) && value > 0 && value <= 100) {
@@ -1133,6 +1189,44 @@ export async function loadConfig(workspaceDir = null) {
     }
   }
 
+  if (process.env.SMART_CODING_BM25_ENABLED !== undefined) {
+    const value = process.env.SMART_CODING_BM25_ENABLED;
+    if (value === 'true' || value === 'false') {
+      config.bm25Enabled = value === 'true';
+    } else {
+      console.warn(`[Config] Invalid SMART_CODING_BM25_ENABLED: ${value}, using default`);
+    }
+  }
+
+  if (process.env.SMART_CODING_LEXICAL_WEIGHT !== undefined) {
+    const value = parseFloat(process.env.SMART_CODING_LEXICAL_WEIGHT);
+    if (!isNaN(value) && value >= 0) {
+      config.lexicalWeight = value;
+    } else {
+      console.warn(
+        `[Config] Invalid SMART_CODING_LEXICAL_WEIGHT: ${process.env.SMART_CODING_LEXICAL_WEIGHT}, using default`
+      );
+    }
+  }
+
+  if (process.env.SMART_CODING_FUSION_MODE !== undefined) {
+    const value = process.env.SMART_CODING_FUSION_MODE.trim().toLowerCase();
+    if (value === 'weighted' || value === 'rrf') {
+      config.fusionMode = value;
+    } else {
+      console.warn(`[Config] Invalid SMART_CODING_FUSION_MODE: ${value}, using default`);
+    }
+  }
+
+  if (process.env.SMART_CODING_RECENCY_SOURCE !== undefined) {
+    const value = process.env.SMART_CODING_RECENCY_SOURCE.trim().toLowerCase();
+    if (value === 'mtime' || value === 'git') {
+      config.recencySource = value;
+    } else {
+      console.warn(`[Config] Invalid SMART_CODING_RECENCY_SOURCE: ${value}, using default`);
+    }
+  }
+
   if (process.env.SMART_CODING_EMBEDDING_MODEL !== undefined) {
     const value = process.env.SMART_CODING_EMBEDDING_MODEL.trim();
     if (value.length > 0) {
@@ -1544,6 +1638,21 @@ export async function loadConfig(workspaceDir = null) {
     }
   }
 
+  if (config.fusionMode !== 'weighted' && config.fusionMode !== 'rrf') {
+    console.warn(`[Config] Invalid fusionMode: ${config.fusionMode}, using default`);
+    config.fusionMode = DEFAULT_CONFIG.fusionMode;
+  }
+
+  if (config.chunkingMode !== 'smart' && config.chunkingMode !== 'ast') {
+    console.warn(`[Config] Invalid chunkingMode: ${config.chunkingMode}, using default`);
+    config.chunkingMode = DEFAULT_CONFIG.chunkingMode;
+  }
+
+  if (config.recencySource !== 'mtime' && config.recencySource !== 'git') {
+    console.warn(`[Config] Invalid recencySource: ${config.recencySource}, using default`);
+    config.recencySource = DEFAULT_CONFIG.recencySource;
+  }
+
   if (config.embeddingProcessNumThreads !== null) {
     const value = parseInt(config.embeddingProcessNumThreads, 10);
     if (!isNaN(value) && value > 0 && value <= 32) {
@@ -1614,6 +1723,24 @@ export async function loadConfig(workspaceDir = null) {
     }
   }
 
+  {
+    const rerank = config.rerank && typeof config.rerank === 'object' ? config.rerank : {};
+    config.rerank = { ...DEFAULT_RERANK_CONFIG, ...rerank };
+    if (typeof config.rerank.enabled !== 'boolean') {
+      console.warn(`[Config] Invalid rerank.enabled: ${config.rerank.enabled}, using default`);
+      config.rerank.enabled = DEFAULT_RERANK_CONFIG.enabled;
+    }
+    for (const key of ['topN', 'batchSize', 'maxLength']) {
+      const value = parseInt(config.rerank[key], 10);
+      if (!isNaN(value) && value > 0) {
+        config.rerank[key] = value;
+      } else {
+        console.warn(`[Config] Invalid rerank.${key}: ${config.rerank[key]}, using default`);
+        config.rerank[key] = DEFAULT_RERANK_CONFIG[key];
+      }
+    }
+  }
+
   syncAllNamespaces(config);
   return config;
 }
@@ -93,6 +93,20 @@ export const OVERLAP_TOKEN_RATIO = 0.18;
  */
 export const CHUNKING_PARAMS_CACHE_SIZE = 100;
 
+/**
+ * Largest model_max_length trusted from a model's tokenizer config.
+ * Tokenizers without a real limit report a sentinel such as 1e30; those models keep the
+ * built-in limits.
+ */
+export const TOKENIZER_MAX_MODEL_LENGTH = 32768;
+
+/**
+ * Texts longer than this many characters are counted with the token estimate instead of
+ * the model tokenizer. They are single minified lines that chunking splits anyway, and
+ * tokenizing them is slow.
+ */
+export const TOKENIZER_MAX_TEXT_LENGTH = 10000;
+
 /**
  * JSON files larger than this threshold are parsed in a worker thread.
  * Prevents main thread blocking on large cache files.
@@ -256,14 +270,18 @@ export const EMBEDDING_POOL_IDLE_TIMEOUT_MS = 600000; // 10 minutes
  * Binary vector store format version.
  * Increment when binary format changes to trigger re-indexing.
  * v2: added writeId (4 bytes) + CRC32 (4 bytes) + 8 bytes reserved to all headers.
+ * v3: 64-byte records with language, kind, symbols and content hash. v2 stores are
+ *     still readable; EmbeddingsCache.load() fills in the new fields until the next save.
  */
-export const BINARY_STORE_VERSION = 2;
+export const BINARY_STORE_VERSION = 3;
 
 /**
  * SQLite vector store format version.
  * Increment when schema changes to trigger re-indexing.
+ * v2: added language, kind, symbols (JSON array) and hash columns. v1 databases are still
+ *     readable and are rewritten by the next save.
  */
-export const SQLITE_STORE_VERSION = 1;
+export const SQLITE_STORE_VERSION = 2;
 
 /**
  * Binary vector file header size in bytes.
@@ -285,10 +303,16 @@ export const BINARY_CONTENT_HEADER_SIZE = 32;
 
 /**
  * Size of a single record entry in bytes.
- * Contains: file offset (4) + file length (4) + startLine (4) + endLine (4) +
- *           content offset (4) + content length (4) + reserved (8)
+ * Contains: fileId (4) + startLine (4) + endLine (4) + content offset (8) +
+ *           content length (4) + languageId (4) + kindId (4) + symbols start (4) +
+ *           symbols count (4) + hash (16) + flags (4) + metadata id (4)
+ */
+export const BINARY_RECORD_SIZE = 64;
+
+/**
+ * Record size of v2 binary stores, which end after the content length + reserved (8).
  */
-export const BINARY_RECORD_SIZE = 32;
+export const BINARY_LEGACY_RECORD_SIZE = 32;
 
 // ================================
 // Server Process Constants
@@ -334,6 +358,12 @@ export const ONNX_THREAD_LIMIT = 2;
  */
 export const PARTIAL_MATCH_BOOST = 0.3;
 
+/**
+ * Share of the gap between cosine similarity and 1 that full lexical coverage of the
+ * query closes in the normalized relevance reported by search tools.
+ */
+export const RELEVANCE_LEXICAL_WEIGHT = 0.5;
+
 /**
  * Text match candidate limit for deferred text matching.
  * Limits expensive string operations to top candidates.
@@ -352,6 +382,81 @@ export const STAT_CONCURRENCY_LIMIT = 50;
  */
 export const SEARCH_BATCH_SIZE = 500;
 
+/**
+ * Number of search rankings kept for offset/cursor paging.
+ * Oldest rankings are evicted first.
+ */
+export const SEARCH_RESULT_CACHE_MAX_ENTRIES = 20;
+
+/**
+ * Maximum scored chunks kept per cached ranking (raised to the requested window if larger).
+ */
+export const SEARCH_RESULT_CACHE_MAX_RESULTS = 1000;
+
+/**
+ * Maximum queries (primary + alternate phrasings) fused in one search.
+ * Each query costs a full embedding and scoring pass.
+ */
+export const MAX_SEARCH_QUERIES = 5;
+
+/**
+ * Largest range (in lines) a search hit may be widened to by `expandTo`.
+ * Enclosing definitions longer than this (e.g. big classes) are skipped.
+ */
+export const MAX_EXPANDED_HIT_LINES = 300;
+
+/**
+ * Maximum definitions listed in a file outline attached to search hits.
+ */
+export const MAX_OUTLINE_ENTRIES = 100;
+
+/**
+ * Concurrent `git blame` processes when refreshing git-based recency.
+ */
+export const GIT_BLAME_CONCURRENCY = 4;
+
+/**
+ * Timeout for a single git command (ms).
+ */
+export const GIT_COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Result files recorded per search in the search history.
+ */
+export const SEARCH_HISTORY_TOP_FILES = 5;
+
+/**
+ * Maximum named saved searches per workspace.
+ */
+export const MAX_SAVED_SEARCHES = 100;
+
+/**
+ * Maximum "not like this" snippets embedded per d_find_similar_code call.
+ */
+export const MAX_EXCLUDE_SNIPPETS = 10;
+
+/**
+ * Minimum line overlap (intersection over union) between a d_find_similar_code reference
+ * range and an indexed chunk for the chunk's stored vector to be reused.
+ */
+export const REFERENCE_CHUNK_MIN_OVERLAP = 0.5;
+
+/**
+ * Nearest neighbours fetched from the ANN index per chunk by d_find_duplicates.
+ */
+export const DUPLICATE_ANN_NEIGHBORS = 10;
+
+/**
+ * Largest number of chunks d_find_duplicates compares pairwise when no ANN index is
+ * available (the scan is quadratic).
+ */
+export const DUPLICATE_FULL_SCAN_MAX_CHUNKS = 4000;
+
+/**
+ * Lines of code shown per cluster in the duplicate report.
+ */
+export const DUPLICATE_PREVIEW_LINES = 15;
+
 // ================================
 // MIME Type Constants
 // ================================
@@ -1,5 +1,6 @@
 import { pipeline, env } from '@huggingface/transformers';
 import { configureNativeOnnxBackend } from './onnx-backend.js';
+import { getEmbeddingText } from './chunk-context.js';
 import {
   EMBEDDING_PROCESS_DEFAULT_GC_MAX_REQUESTS_WITHOUT_COLLECTION,
   EMBEDDING_PROCESS_DEFAULT_GC_MIN_INTERVAL_MS,
@@ -261,7 +262,7 @@ async function runEmbedding(payload) {
   for (let batchStart = 0; batchStart < chunks.length; batchStart += BATCH_SIZE) {
     const batchEnd = Math.min(batchStart + BATCH_SIZE, chunks.length);
     const batchChunks = chunks.slice(batchStart, batchEnd);
-    const batchTexts = batchChunks.map((c) => c.text);
+    const batchTexts = batchChunks.map(getEmbeddingText);
 
     try {
       const output = await embedder(batchTexts, { pooling: 'mean', normalize: true });
@@ -280,6 +281,7 @@ async function runEmbedding(payload) {
           startLine: chunk.startLine,
           endLine: chunk.endLine,
           content: chunk.text,
+          ...(chunk.metadata && { metadata: chunk.metadata }),
           vector: Array.from(vector),
           success: true,
         });
@@ -295,7 +297,10 @@ async function runEmbedding(payload) {
       log(`Batch failed, falling back to single: ${error.message}`);
       for (const chunk of batchChunks) {
         try {
-          const output = await embedder(chunk.text, { pooling: 'mean', normalize: true });
+          const output = await embedder(getEmbeddingText(chunk), {
+            pooling: 'mean',
+            normalize: true,
+          });
           const vector = new Float32Array(output.data);
           if (typeof output.dispose === 'function') {
             try {
@@ -308,6 +313,7 @@ async function runEmbedding(payload) {
             startLine: chunk.startLine,
             endLine: chunk.endLine,
             content: chunk.text,
+            ...(chunk.metadata && { metadata: chunk.metadata }),
             vector: Array.from(vector),
             success: true,
           });
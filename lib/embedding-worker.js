@@ -5,6 +5,9 @@ import os from 'os';
 import { pipeline, env } from '@huggingface/transformers';
 import { configureNativeOnnxBackend } from './onnx-backend.js';
 import { smartChunk, hashContent } from './utils.js';
+import { loadAstGrammars } from './ast-chunker.js';
+import { addContextualHeaders, getEmbeddingText } from './chunk-context.js';
+import { loadModelTokenizer } from './tokenizer.js';
 import { extractCallData } from './call-graph.js';
 
 function getGlobalCacheDir() {
@@ -253,7 +256,7 @@ async function processChunks(chunks, batchId) {
 
   for (const chunk of chunks) {
     try {
-      const output = await embedder(chunk.text, {
+      const output = await embedder(getEmbeddingText(chunk), {
         pooling: 'mean',
         normalize: true,
       });
@@ -276,6 +279,7 @@ async function processChunks(chunks, batchId) {
         startLine: chunk.startLine,
         endLine: chunk.endLine,
         content: chunk.text,
+        ...(chunk.metadata && { metadata: chunk.metadata }),
         vector,
         success: true,
       });
@@ -375,7 +379,10 @@ function processFileMetadata(file, content, options) {
     }
   }
 
-  const chunks = smartChunk(content, file, chunkConfig);
+  const chunks = addContextualHeaders(smartChunk(content, file, chunkConfig), content, file, {
+    searchDirectory: workerData.searchDirectory,
+    ...chunkConfig,
+  });
 
   return { status: 'processing', hash, callData, chunks };
 }
@@ -410,6 +417,8 @@ async function processFileTask(message) {
     ...(message.chunkConfig || {}),
   };
   if (!chunkConfig.embeddingModel) chunkConfig.embeddingModel = workerData.embeddingModel;
+  await loadModelTokenizer(chunkConfig.embeddingModel, { cacheDir: env.cacheDir });
+  await loadAstGrammars(chunkConfig, [file]);
 
   const meta = processFileMetadata(file, content, {
     force,
@@ -435,7 +444,7 @@ async function processFileTask(message) {
 
   for (let i = 0; i < chunks.length; i += INFERENCE_BATCH_SIZE) {
     const batchChunks = chunks.slice(i, i + INFERENCE_BATCH_SIZE);
-    const batchTexts = batchChunks.map((c) => c.text);
+    const batchTexts = batchChunks.map(getEmbeddingText);
 
     try {
       const output = await embedder(batchTexts, {
@@ -464,6 +473,7 @@ async function processFileTask(message) {
           startLine: c.startLine,
           endLine: c.endLine,
           text: c.text,
+          ...(c.metadata && { metadata: c.metadata }),
           vectorBuffer: vector.buffer,
         });
         transferList.push(vector.buffer);
@@ -491,7 +501,10 @@ async function processFileTask(message) {
 
       for (const c of batchChunks) {
         try {
-          const output = await embedder(c.text, { pooling: 'mean', normalize: true });
+          const output = await embedder(getEmbeddingText(c), {
+            pooling: 'mean',
+            normalize: true,
+          });
           const { data } = getEmbeddingTensor(output);
           let vector = new Float32Array(data);
 
@@ -509,6 +522,7 @@ async function processFileTask(message) {
             startLine: c.startLine,
             endLine: c.endLine,
             text: c.text,
+            ...(c.metadata && { metadata: c.metadata }),
             vectorBuffer: vector.buffer,
           });
           transferList.push(vector.buffer);
@@ -681,6 +695,8 @@ parentPort.on('message', async (message) => {
             ...(message.chunkConfig || {}),
           };
           if (!chunkConfig.embeddingModel) chunkConfig.embeddingModel = workerData.embeddingModel;
+          await loadModelTokenizer(chunkConfig.embeddingModel, { cacheDir: env.cacheDir });
+          await loadAstGrammars(chunkConfig, [file]);
 
           const meta = processFileMetadata(file, content, {
             force,
@@ -718,6 +734,7 @@ parentPort.on('message', async (message) => {
               allPendingChunks.push({
                 fileTaskIndex: taskIndex,
                 text: c.text,
+                ...(c.metadata && { metadata: c.metadata }),
                 startLine: c.startLine,
                 endLine: c.endLine,
                 vectorBuffer: null,
@@ -761,7 +778,7 @@ parentPort.on('message', async (message) => {
 
         for (let i = 0; i < allPendingChunks.length; i += INFERENCE_BATCH_SIZE) {
           const batchSlice = allPendingChunks.slice(i, i + INFERENCE_BATCH_SIZE);
-          const batchTexts = batchSlice.map((c) => c.text);
+          const batchTexts = batchSlice.map(getEmbeddingText);
 
           try {
             const output = await embedder(batchTexts, { pooling: 'mean', normalize: true });
@@ -805,7 +822,10 @@ parentPort.on('message', async (message) => {
 
             for (const item of batchSlice) {
               try {
-                const output = await embedder(item.text, { pooling: 'mean', normalize: true });
+                const output = await embedder(getEmbeddingText(item), {
+                  pooling: 'mean',
+                  normalize: true,
+                });
                 const { data } = getEmbeddingTensor(output);
 
                 const vector = sliceAndNormalize(new Float32Array(data), embeddingDimension);
@@ -852,6 +872,7 @@ parentPort.on('message', async (message) => {
             startLine: chunkItem.startLine,
             endLine: chunkItem.endLine,
             text: chunkItem.text,
+            ...(chunkItem.metadata && { metadata: chunkItem.metadata }),
             vectorBuffer: chunkItem.vectorBuffer,
           });
         }
@@ -874,6 +895,7 @@ parentPort.on('message', async (message) => {
           startLine: r.startLine,
           endLine: r.endLine,
           text: r.text,
+          ...(r.metadata && { metadata: r.metadata }),
           vectorBuffer: r.vectorBuffer,
         })),
       }));
@@ -0,0 +1,217 @@
+/**
+ * Git Recency Index
+ *
+ * Per-line-range "last changed" times read from `git blame`, used by search as the
+ * recency signal instead of filesystem mtimes (which checkouts, rebases and installs
+ * reset). Uses author time, so rebased commits keep their original date. Uncommitted
+ * lines count as changed now. Files without git history fall back to mtime.
+ */
+
+import path from 'path';
+import { execFile } from 'child_process';
+import { normalizePathKey } from './path-utils.js';
+import { GIT_BLAME_CONCURRENCY, GIT_COMMAND_TIMEOUT_MS } from './constants.js';
+
+export const GIT_RECENCY_VERSION = 1;
+
+/**
+ * Run a git command; resolves stdout, or null if git is missing or the command fails.
+ */
+export function runGit(args, cwd, { timeoutMs = GIT_COMMAND_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      'git',
+      args,
+      { cwd, timeout: timeoutMs, maxBuffer: 64 * 1024 * 1024, windowsHide: true },
+      (error, stdout) => resolve(error ? null : stdout)
+    );
+  });
+}
+
+/**
+ * Collapse `git blame --line-porcelain` output into [startLine, endLine, authorTimeSec]
+ * ranges of consecutive lines with the same author time.
+ */
+export function parseBlamePorcelain(output) {
+  const ranges = [];
+  let line = 0;
+  let time = 0;
+  for (const row of output.split('\n')) {
+    if (row.startsWith('\t')) {
+      const last = ranges[ranges.length - 1];
+      if (last && last[2] === time && last[1] === line - 1) {
+        last[1] = line;
+      } else {
+        ranges.push([line, line, time]);
+      }
+      continue;
+    }
+    const header = /^(?:[0-9a-f]{40}|[0-9a-f]{64}) \d+ (\d+)/.exec(row);
+    if (header) {
+      line = Number(header[1]);
+    } else if (row.startsWith('author-time ')) {
+      time = Number(row.slice('author-time '.length)) || 0;
+    }
+  }
+  return ranges;
+}
+
+export class GitRecencyIndex {
+  constructor() {
+    this.files = new Map(); // path key -> [[startLine, endLine, authorTimeSec], ...]
+    this.untracked = new Set(); // path keys with no git history
+    this.head = null;
+    this.root = null;
+    this.prefix = undefined; // root's path inside the repo; null = not a git work tree
+    this.dirty = false;
+  }
+
+  get size() {
+    return this.files.size;
+  }
+
+  clear() {
+    if (this.files.size > 0 || this.untracked.size > 0 || this.head) this.dirty = true;
+    this.files.clear();
+    this.untracked.clear();
+    this.head = null;
+  }
+
+  async resolvePrefix(root) {
+    if (this.prefix === undefined || this.root !== root) {
+      this.root = root;
+      const output = await runGit(['rev-parse', '--show-prefix'], root);
+      this.prefix = output === null ? null : output.trim();
+    }
+    return this.prefix;
+  }
+
+  /**
+   * Newest author time (ms) of the lines in the range, or of the whole file when no
+   * range is given. Null when the file has no git history.
+   */
+  getRecency(file, startLine, endLine) {
+    const ranges = this.files.get(normalizePathKey(file));
+    if (!ranges) return null;
+    let newest = null;
+    for (const [start, end, time] of ranges) {
+      if (Number.isInteger(startLine) && (end < startLine || start > endLine)) continue;
+      if (newest === null || time > newest) newest = time;
+    }
+    return newest === null ? null : newest * 1000;
+  }
+
+  /**
+   * Re-read blame data for specific files (e.g. after the indexer re-indexed them).
+   */
+  async refresh(root, files) {
+    const prefix = await this.resolvePrefix(root);
+    if (prefix === null || files.length === 0) return 0;
+
+    let next = 0;
+    const worker = async () => {
+      while (next < files.length) {
+        const file = files[next++];
+        const key = normalizePathKey(file);
+        if (!key) continue;
+        const output = await runGit(
+          ['blame', '--line-porcelain', '--', path.relative(root, file)],
+          root
+        );
+        if (output === null) {
+          this.files.delete(key);
+          this.untracked.add(key);
+        } else {
+          this.files.set(key, parseBlamePorcelain(output));
+          this.untracked.delete(key);
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(GIT_BLAME_CONCURRENCY, files.length) }, () => worker())
+    );
+    this.dirty = true;
+    return files.length;
+  }
+
+  /**
+   * Bring the index in line with the workspace: drop files that are gone, and blame files
+   * that changed, that are new, or that changed in commits since the last update.
+   * Returns the number of files refreshed.
+   */
+  async update(root, currentFiles, changedFiles = []) {
+    const prefix = await this.resolvePrefix(root);
+    if (prefix === null) {
+      this.clear();
+      return 0;
+    }
+
+    const head = (await runGit(['rev-parse', 'HEAD'], root))?.trim() || null;
+    const stale = new Set(changedFiles.map((file) => normalizePathKey(file)));
+    let refreshAll = false;
+    if (head !== this.head) {
+      const diff =
+        this.head && head
+          ? await runGit(['diff', '--name-only', '-z', this.head, head], root)
+          : null;
+      if (diff === null) {
+        refreshAll = true;
+      } else {
+        // Keyed under the workspace path the indexer uses, not git's resolved top level.
+        for (const repoPath of diff.split('\0')) {
+          if (repoPath && repoPath.startsWith(prefix)) {
+            stale.add(normalizePathKey(path.join(root, repoPath.slice(prefix.length))));
+          }
+        }
+      }
+    }
+
+    const currentKeys = new Set();
+    const toRefresh = [];
+    for (const file of currentFiles) {
+      const key = normalizePathKey(file);
+      if (!key || currentKeys.has(key)) continue;
+      currentKeys.add(key);
+      const known = this.files.has(key) || this.untracked.has(key);
+      if (refreshAll || !known || stale.has(key)) toRefresh.push(file);
+    }
+    for (const key of [...this.files.keys(), ...this.untracked]) {
+      if (!currentKeys.has(key)) {
+        this.files.delete(key);
+        this.untracked.delete(key);
+        this.dirty = true;
+      }
+    }
+
+    await this.refresh(root, toRefresh);
+    if (this.head !== head) {
+      this.head = head;
+      this.dirty = true;
+    }
+    return toRefresh.length;
+  }
+
+  toJSON() {
+    return {
+      version: GIT_RECENCY_VERSION,
+      head: this.head,
+      files: Object.fromEntries(this.files),
+      untracked: Array.from(this.untracked),
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new GitRecencyIndex();
+    if (!data || data.version !== GIT_RECENCY_VERSION || typeof data.files !== 'object') {
+      return index;
+    }
+    index.head = typeof data.head === 'string' ? data.head : null;
+    for (const [key, ranges] of Object.entries(data.files)) {
+      if (Array.isArray(ranges)) index.files.set(key, ranges);
+    }
+    if (Array.isArray(data.untracked)) {
+      for (const key of data.untracked) index.untracked.add(key);
+    }
+    return index;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Git Scope
+ *
+ * Resolves the `scope` argument of a_semantic_search ("changed", "staged" or
+ * "since:<ref>") to the set of files it covers in the local git work tree. Paths are
+ * returned relative to the search directory, in the form createPathFilter() compares.
+ */
+
+import { runGit } from './git-recency.js';
+
+export const SCOPE_HELP = '"all", "changed", "staged" or "since:<ref>"';
+
+/**
+ * Parse a scope argument. Returns { type, ref } or null when the value is not a scope.
+ */
+export function parseScope(value) {
+  if (value === undefined || value === null) return { type: 'all', ref: null };
+  if (typeof value !== 'string') return null;
+  const scope = value.trim();
+  if (scope === '' || scope === 'all') return { type: 'all', ref: null };
+  if (scope === 'changed' || scope === 'staged') return { type: scope, ref: null };
+  if (scope.startsWith('since:')) {
+    const ref = scope.slice('since:'.length).trim();
+    // A leading dash would be read as a git option.
+    if (ref && !ref.startsWith('-')) return { type: 'since', ref };
+  }
+  return null;
+}
+
+/**
+ * Parse `git status --porcelain=v1 -z` output into { index, worktree, path } entries.
+ * Renames and copies report their new path.
+ */
+export function parseStatusPorcelain(output) {
+  const entries = [];
+  const tokens = output.split('\0');
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.length < 4) continue;
+    const index = token[0];
+    entries.push({ index, worktree: token[1], path: token.slice(3) });
+    if (index === 'R' || index === 'C') i++; // skip the original path
+  }
+  return entries;
+}
+
+/**
+ * Files in scope, relative to `directory` with forward slashes. Resolves { files: null }
+ * for "all", and { error } when git is unavailable or the ref is unknown.
+ */
+export async function resolveScopeFiles(directory, value) {
+  const scope = parseScope(value);
+  if (!scope) return { files: null, error: `Invalid scope: ${value}. Use ${SCOPE_HELP}.` };
+  if (scope.type === 'all') return { files: null, error: null };
+
+  const prefix = await runGit(['rev-parse', '--show-prefix'], directory);
+  if (prefix === null) {
+    return {
+      files: null,
+      error: `Scope "${value}" needs a git work tree, but ${directory} is not inside one.`,
+    };
+  }
+
+  const status = await runGit(
+    ['status', '--porcelain=v1', '-z', '--untracked-files=all'],
+    directory
+  );
+  if (status === null) return { files: null, error: 'Failed to read git status.' };
+  const entries = parseStatusPorcelain(status);
+
+  let repoPaths;
+  if (scope.type === 'changed') {
+    repoPaths = entries.map((entry) => entry.path);
+  } else if (scope.type === 'staged') {
+    repoPaths = entries
+      .filter((entry) => entry.index !== ' ' && entry.index !== '?' && entry.index !== '!')
+      .map((entry) => entry.path);
+  } else {
+    const commit = await runGit(
+      ['rev-parse', '--verify', '--quiet', `${scope.ref}^{commit}`],
+      directory
+    );
+    if (commit === null) return { files: null, error: `Unknown git ref: ${scope.ref}` };
+    const diff = await runGit(['diff', '--name-only', '-z', commit.trim(), '--'], directory);
+    if (diff === null) return { files: null, error: `Failed to diff against ${scope.ref}.` };
+    // Committed and uncommitted changes since the ref, plus files git does not track yet.
+    repoPaths = diff
+      .split('\0')
+      .concat(entries.filter((entry) => entry.index === '?').map((entry) => entry.path));
+  }
+
+  const base = prefix.trim();
+  const files = new Set();
+  for (const repoPath of repoPaths) {
+    if (repoPath && repoPath.startsWith(base)) files.add(repoPath.slice(base.length));
+  }
+  return { files, error: null };
+}
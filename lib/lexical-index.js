@@ -0,0 +1,185 @@
+/**
+ * Lexical Index
+ *
+ * In-memory inverted index over chunk text with BM25 scoring.
+ * Documents are chunks addressed by file + line range, so the index stays
+ * valid when vector-store positions shift after a file is removed.
+ */
+
+import { normalizePathKey } from './path-utils.js';
+import { tokenizeCode } from './code-tokenizer.js';
+
+export const LEXICAL_INDEX_VERSION = 2;
+
+/**
+ * Stable document key for a chunk location.
+ */
+export function lexicalDocKey(file, startLine, endLine) {
+  return `${normalizePathKey(file)}:${startLine}:${endLine}`;
+}
+
+export class LexicalIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = new Map(); // docId -> { key, file, startLine, endLine, length, terms }
+    this.docIdsByFile = new Map();
+    this.postings = new Map(); // term -> Map(docId -> tf)
+    this.totalLength = 0;
+    this.nextDocId = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  clear() {
+    this.docs.clear();
+    this.docIdsByFile.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.nextDocId = 0;
+  }
+
+  addDocument(file, startLine, endLine, text) {
+    return this.addTermCounts(file, startLine, endLine, countTerms(tokenizeCode(text)));
+  }
+
+  addTermCounts(file, startLine, endLine, termCounts) {
+    const fileKey = normalizePathKey(file);
+    if (!fileKey) return null;
+    const key = lexicalDocKey(file, startLine, endLine);
+
+    const docId = this.nextDocId++;
+    let length = 0;
+    for (const [term, tf] of termCounts) {
+      length += tf;
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(term, posting);
+      }
+      posting.set(docId, tf);
+    }
+
+    this.docs.set(docId, {
+      key,
+      file: fileKey,
+      startLine,
+      endLine,
+      length,
+      terms: Array.from(termCounts.keys()),
+    });
+    let fileDocs = this.docIdsByFile.get(fileKey);
+    if (!fileDocs) {
+      fileDocs = new Set();
+      this.docIdsByFile.set(fileKey, fileDocs);
+    }
+    fileDocs.add(docId);
+    this.totalLength += length;
+    return docId;
+  }
+
+  removeDocument(docId) {
+    const doc = this.docs.get(docId);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(docId);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(docId);
+    const fileDocs = this.docIdsByFile.get(doc.file);
+    if (fileDocs) {
+      fileDocs.delete(docId);
+      if (fileDocs.size === 0) this.docIdsByFile.delete(doc.file);
+    }
+  }
+
+  removeFile(file) {
+    const fileDocs = this.docIdsByFile.get(normalizePathKey(file));
+    if (!fileDocs) return;
+    for (const docId of Array.from(fileDocs)) {
+      this.removeDocument(docId);
+    }
+  }
+
+  /**
+   * Score every document containing at least one query term.
+   * Returns a Map of lexicalDocKey -> BM25 score.
+   */
+  score(queryTerms) {
+    const scores = new Map();
+    const total = this.docs.size;
+    if (total === 0 || !Array.isArray(queryTerms) || queryTerms.length === 0) return scores;
+
+    const avgLength = this.totalLength / total || 1;
+    const byDoc = new Map();
+    for (const term of new Set(queryTerms)) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const df = posting.size;
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      for (const [docId, tf] of posting) {
+        const doc = this.docs.get(docId);
+        const norm = this.k1 * (1 - this.b + (this.b * doc.length) / avgLength);
+        const contribution = (idf * tf * (this.k1 + 1)) / (tf + norm);
+        byDoc.set(docId, (byDoc.get(docId) ?? 0) + contribution);
+      }
+    }
+
+    for (const [docId, value] of byDoc) {
+      scores.set(this.docs.get(docId).key, value);
+    }
+    return scores;
+  }
+
+  toJSON() {
+    const docIds = Array.from(this.docs.keys());
+    const compactIds = new Map(docIds.map((docId, i) => [docId, i]));
+    const docs = docIds.map((docId) => {
+      const doc = this.docs.get(docId);
+      return [doc.file, doc.startLine, doc.endLine];
+    });
+    const postings = {};
+    for (const [term, posting] of this.postings) {
+      const flat = [];
+      for (const [docId, tf] of posting) {
+        flat.push(compactIds.get(docId), tf);
+      }
+      postings[term] = flat;
+    }
+    return { version: LEXICAL_INDEX_VERSION, docs, postings };
+  }
+
+  static fromJSON(data, options = {}) {
+    const index = new LexicalIndex(options);
+    if (!data || data.version !== LEXICAL_INDEX_VERSION || !Array.isArray(data.docs)) {
+      return index;
+    }
+
+    const termCountsByDoc = data.docs.map(() => new Map());
+    for (const [term, flat] of Object.entries(data.postings || {})) {
+      if (!Array.isArray(flat)) continue;
+      for (let i = 0; i + 1 < flat.length; i += 2) {
+        const counts = termCountsByDoc[flat[i]];
+        if (counts) counts.set(term, flat[i + 1]);
+      }
+    }
+
+    data.docs.forEach(([file, startLine, endLine], i) => {
+      index.addTermCounts(file, startLine, endLine, termCountsByDoc[i]);
+    });
+    return index;
+  }
+}
+
+function countTerms(terms) {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) ?? 0) + 1);
+  }
+  return counts;
+}
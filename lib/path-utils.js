@@ -16,3 +16,57 @@ export function isPathInside(basePath, targetPath) {
 export function normalizePathKey(filePath) {
   return normalizePath(filePath);
 }
+
+export function globToRegExp(pattern) {
+  let regex = '^';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if ('\\.[]{}()+-^$|'.includes(char)) {
+      regex += `\\${char}`;
+    } else {
+      regex += char;
+    }
+  }
+  regex += '$';
+  return new RegExp(regex);
+}
+
+export function buildGlobMatchers(patterns) {
+  if (!Array.isArray(patterns)) return [];
+  return patterns
+    .filter((pattern) => typeof pattern === 'string' && pattern.length > 0)
+    .map((pattern) => {
+      const normalized = pattern.replace(/\\/g, '/');
+      const matchBase = !normalized.includes('/');
+      return {
+        pattern: normalized,
+        matchBase,
+        regex: globToRegExp(normalized),
+      };
+    });
+}
+
+export function matchesGlobPatterns(filePath, matchers) {
+  if (!filePath || matchers.length === 0) return false;
+  const normalized = filePath.split(path.sep).join('/');
+  const base = path.posix.basename(normalized);
+  for (const matcher of matchers) {
+    const target = matcher.matchBase ? base : normalized;
+    if (matcher.regex.test(target)) return true;
+  }
+  return false;
+}
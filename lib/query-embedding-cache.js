@@ -0,0 +1,129 @@
+/**
+ * Query Embedding Cache
+ *
+ * LRU of query vectors so repeated searches skip the embedding model (and, with
+ * unloadModelAfterSearch, a child-process model reload). Keys combine model,
+ * dimension and whitespace-normalized text. Optionally persisted as JSON.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const QUERY_EMBEDDING_CACHE_VERSION = 1;
+
+export function queryEmbeddingKey(model, dimension, text) {
+  const normalized = String(text ?? '')
+    .trim()
+    .replace(/\s+/g, ' ');
+  return JSON.stringify([model ?? null, dimension ?? null, normalized]);
+}
+
+export class QueryEmbeddingCache {
+  constructor({ maxEntries = 200, saveDebounceMs = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.saveDebounceMs = saveDebounceMs;
+    this.filePath = null;
+    this.entries = new Map(); // key -> Float32Array, least recently used first
+    this._saveTimer = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const vector = this.entries.get(key);
+    if (!vector) return null;
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    return vector;
+  }
+
+  set(key, vector) {
+    if (!vector || typeof vector.length !== 'number' || vector.length === 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, Float32Array.from(vector));
+    this.evict();
+    this.scheduleSave();
+  }
+
+  clear() {
+    this.entries.clear();
+    this.cancelSave();
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Attach to a persistence file (null = memory only) and merge its entries
+   * behind the ones already in memory.
+   */
+  async load(filePath) {
+    this.cancelSave();
+    this.filePath = filePath ?? null;
+    if (!this.filePath) return;
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch {
+      return;
+    }
+    if (!data || data.version !== QUERY_EMBEDDING_CACHE_VERSION || !Array.isArray(data.entries)) {
+      return;
+    }
+
+    const current = Array.from(this.entries);
+    this.entries = new Map();
+    for (const entry of data.entries) {
+      if (!Array.isArray(entry)) continue;
+      const [key, values] = entry;
+      if (typeof key === 'string' && Array.isArray(values) && values.length > 0) {
+        this.entries.set(key, Float32Array.from(values));
+      }
+    }
+    for (const [key, vector] of current) {
+      this.entries.delete(key);
+      this.entries.set(key, vector);
+    }
+    this.evict();
+  }
+
+  scheduleSave() {
+    if (!this.filePath) return;
+    this.cancelSave();
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.save().catch((error) => {
+        console.warn(`[Cache] Failed to save query embeddings: ${error.message}`);
+      });
+    }, this.saveDebounceMs);
+    this._saveTimer.unref?.();
+  }
+
+  cancelSave() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+  }
+
+  async flush() {
+    if (this._saveTimer) await this.save();
+  }
+
+  async save() {
+    this.cancelSave();
+    if (!this.filePath) return;
+    const entries = Array.from(this.entries, ([key, vector]) => [key, Array.from(vector)]);
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(
+      this.filePath,
+      JSON.stringify({ version: QUERY_EMBEDDING_CACHE_VERSION, entries })
+    );
+  }
+}
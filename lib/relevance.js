@@ -0,0 +1,47 @@
+/**
+ * Relevance
+ *
+ * Calibrated [0,1] relevance shared by a_semantic_search and d_find_similar_code.
+ * Composite ranking scores depend on the configured weights, the fusion mode and priors
+ * such as recency, so they can exceed 1 and are not comparable across queries. Relevance
+ * only looks at how well a chunk matches the query: its cosine similarity, raised toward 1
+ * by lexical evidence. A low value means no chunk is a good answer, whatever its rank.
+ */
+
+import { tokenizeCode } from './code-tokenizer.js';
+import { RELEVANCE_LEXICAL_WEIGHT } from './constants.js';
+
+export function clampUnit(value) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Share of the query found in `content`: 1 for an exact (case-insensitive) substring,
+ * otherwise the fraction of query terms present.
+ */
+export function lexicalCoverage(content, query) {
+  if (typeof content !== 'string' || typeof query !== 'string') return 0;
+  const lowerQuery = query.trim().toLowerCase();
+  if (lowerQuery.length === 0) return 0;
+  const lowerContent = content.toLowerCase();
+  if (lowerContent.includes(lowerQuery)) return 1;
+
+  const queryTerms = new Set(tokenizeCode(query));
+  if (queryTerms.size === 0) return 0;
+  const contentTerms = new Set(tokenizeCode(content));
+  let matched = 0;
+  for (const term of queryTerms) {
+    if (contentTerms.has(term)) matched++;
+  }
+  return matched / queryTerms.size;
+}
+
+/**
+ * Combine cosine similarity with lexical coverage: lexical evidence closes part of the
+ * gap between the similarity and 1, so it never lowers relevance.
+ */
+export function computeRelevance(similarity, lexical = 0) {
+  const semantic = clampUnit(similarity);
+  return semantic + (1 - semantic) * RELEVANCE_LEXICAL_WEIGHT * clampUnit(lexical);
+}
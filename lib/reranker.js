@@ -0,0 +1,123 @@
+/**
+ * Cross-Encoder Re-ranker
+ *
+ * Scores (query, passage) pairs with a small ONNX cross-encoder loaded through the
+ * @huggingface/transformers pipeline. Used by HybridSearch to reorder the top candidates
+ * after bi-encoder retrieval. The model is loaded lazily on first use.
+ */
+
+import { DEFAULT_CONFIG } from './config.js';
+
+function toRelevance(logits) {
+  if (logits.length === 1) return 1 / (1 + Math.exp(-logits[0]));
+  const max = Math.max(...logits);
+  const exps = logits.map((logit) => Math.exp(logit - max));
+  return exps[exps.length - 1] / exps.reduce((sum, value) => sum + value, 0);
+}
+
+export class CrossEncoderReranker {
+  /**
+   * @param {object} config - Server config; reads `rerank`
+   * @param {object} deps
+   * @param {Function} deps.loadTransformers - Resolves the @huggingface/transformers module
+   * @param {Function} [deps.prepareBackend] - Called before the model is loaded (ONNX backend setup)
+   */
+  constructor(config, { loadTransformers, prepareBackend = null } = {}) {
+    this.config = config;
+    this.loadTransformers = loadTransformers;
+    this.prepareBackend = prepareBackend;
+    this.modelPromise = null;
+    this.modelName = null;
+  }
+
+  get settings() {
+    return { ...DEFAULT_CONFIG.rerank, ...this.config.rerank };
+  }
+
+  get enabled() {
+    return this.settings.enabled === true;
+  }
+
+  async load() {
+    const { model } = this.settings;
+    if (this.modelPromise && this.modelName !== model) {
+      await this.unload();
+    }
+    if (!this.modelPromise) {
+      this.modelName = model;
+      this.modelPromise = (async () => {
+        const loadStart = Date.now();
+        console.info(`[Search] Loading re-ranking model: ${model}...`);
+        if (typeof this.prepareBackend === 'function') this.prepareBackend();
+        const { pipeline } = await this.loadTransformers();
+        const classifier = await pipeline('text-classification', model, {
+          quantized: true,
+          dtype: 'fp32',
+          session_options: {
+            numThreads: 2,
+            intraOpNumThreads: 2,
+            interOpNumThreads: 2,
+          },
+        });
+        const loadSeconds = ((Date.now() - loadStart) / 1000).toFixed(1);
+        console.info(`[Search] Re-ranking model ready: ${model} (${loadSeconds}s)`);
+        return classifier;
+      })().catch((err) => {
+        this.modelPromise = null;
+        this.modelName = null;
+        throw err;
+      });
+    }
+    return this.modelPromise;
+  }
+
+  /**
+   * Relevance of each passage to the query, in [0,1]. Single-logit models (ms-marco style)
+   * go through a sigmoid; multi-label models use the softmax probability of the last label.
+   */
+  async score(query, passages) {
+    if (passages.length === 0) return [];
+    const { batchSize, maxLength } = this.settings;
+    const classifier = await this.load();
+    const scores = [];
+
+    for (let i = 0; i < passages.length; i += batchSize) {
+      const batch = passages.slice(i, i + batchSize);
+      const inputs = classifier.tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true,
+        max_length: maxLength,
+      });
+      const { logits } = await classifier.model(inputs);
+      try {
+        const data = logits.data;
+        const width = logits.dims[logits.dims.length - 1] || 1;
+        for (let row = 0; row < batch.length; row++) {
+          const rowLogits = Array.prototype.slice.call(data, row * width, (row + 1) * width);
+          scores.push(toRelevance(rowLogits));
+        }
+      } finally {
+        if (typeof logits.dispose === 'function') logits.dispose();
+      }
+    }
+    return scores;
+  }
+
+  async unload() {
+    if (!this.modelPromise) return false;
+    const pending = this.modelPromise;
+    this.modelPromise = null;
+    this.modelName = null;
+    try {
+      const classifier = await pending;
+      if (classifier && typeof classifier.dispose === 'function') {
+        await classifier.dispose();
+      }
+      return true;
+    } catch (err) {
+      console.warn(`[Search] Error unloading re-ranking model: ${err.message}`);
+      return false;
+    }
+  }
+}
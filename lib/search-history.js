@@ -0,0 +1,152 @@
+/**
+ * Search History
+ *
+ * Bounded log of recent a_semantic_search calls (query, time, top result files) plus
+ * named saved searches that can be re-run. Persisted as JSON in the workspace cache
+ * directory and exposed as the heuristic://history MCP resource.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MAX_SAVED_SEARCHES } from './constants.js';
+
+export const SEARCH_HISTORY_VERSION = 1;
+export const SEARCH_HISTORY_URI = 'heuristic://history';
+
+export class SearchHistory {
+  constructor({ maxEntries = 100, saveDebounceMs = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.saveDebounceMs = saveDebounceMs;
+    this.filePath = null;
+    this.entries = []; // oldest first
+    this.saved = new Map(); // name -> { name, args, createdAt, updatedAt }
+    this._saveTimer = null;
+  }
+
+  /**
+   * Append a search. `args` are the tool arguments other than the query.
+   */
+  record(query, args = {}, topFiles = []) {
+    if (this.maxEntries <= 0) return;
+    this.entries.push({ query, timestamp: new Date().toISOString(), args, topFiles });
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Most recent searches first.
+   */
+  getRecent(limit = this.maxEntries) {
+    return this.entries.slice(-Math.max(0, limit)).reverse();
+  }
+
+  getSaved(name) {
+    return this.saved.get(name) ?? null;
+  }
+
+  listSaved() {
+    return Array.from(this.saved.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create or replace a saved search. Throws when the limit is reached.
+   */
+  saveSearch(name, args) {
+    const existing = this.saved.get(name);
+    if (!existing && this.saved.size >= MAX_SAVED_SEARCHES) {
+      throw new Error(`Saved search limit reached (${MAX_SAVED_SEARCHES}); delete one first.`);
+    }
+    const now = new Date().toISOString();
+    const entry = { name, args, createdAt: existing?.createdAt ?? now, updatedAt: now };
+    this.saved.set(name, entry);
+    this.scheduleSave();
+    return entry;
+  }
+
+  deleteSaved(name) {
+    const deleted = this.saved.delete(name);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  toJSON() {
+    return {
+      version: SEARCH_HISTORY_VERSION,
+      entries: this.entries,
+      saved: Array.from(this.saved.values()),
+    };
+  }
+
+  /**
+   * Attach to a persistence file (null = memory only) and replace the in-memory state
+   * with its contents. Saves pending for the previous file are written first.
+   */
+  async load(filePath) {
+    if (this._saveTimer) {
+      await this.save().catch((error) => {
+        console.warn(`[Cache] Failed to save search history: ${error.message}`);
+      });
+    }
+    const nextPath = filePath ?? null;
+    if (nextPath !== this.filePath) {
+      this.entries = [];
+      this.saved = new Map();
+    }
+    this.filePath = nextPath;
+    if (!this.filePath) return;
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch {
+      return;
+    }
+    if (!data || data.version !== SEARCH_HISTORY_VERSION) return;
+
+    if (Array.isArray(data.entries)) {
+      this.entries = data.entries
+        .filter((entry) => entry && typeof entry.query === 'string')
+        .slice(-Math.max(0, this.maxEntries));
+    }
+    if (Array.isArray(data.saved)) {
+      this.saved = new Map();
+      for (const entry of data.saved) {
+        if (entry && typeof entry.name === 'string' && typeof entry.args?.query === 'string') {
+          this.saved.set(entry.name, entry);
+        }
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (!this.filePath) return;
+    this.cancelSave();
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.save().catch((error) => {
+        console.warn(`[Cache] Failed to save search history: ${error.message}`);
+      });
+    }, this.saveDebounceMs);
+    this._saveTimer.unref?.();
+  }
+
+  cancelSave() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+  }
+
+  async flush() {
+    if (this._saveTimer) await this.save();
+  }
+
+  async save() {
+    this.cancelSave();
+    if (!this.filePath) return;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.toJSON()));
+  }
+}
@@ -0,0 +1,491 @@
+/**
+ * Structured Chunker
+ *
+ * Format-aware chunking for notebooks, Markdown and config files, tried by smartChunk()
+ * before its line heuristics:
+ * - Jupyter notebooks: one chunk per code or markdown cell, over the cell's source rows.
+ *   Outputs are never indexed. Short cells are kept in `metadata.preamble` of the next one.
+ * - Markdown: one chunk per section, split at headings. `metadata.headingPath` holds the
+ *   heading path (e.g. "Guide > Configuration > Chunking").
+ * - JSON and YAML: top-level keys packed up to the token budget. A key too large for one
+ *   chunk is split at its child keys. `metadata.keyPaths` lists the keys a chunk covers.
+ *
+ * Chunk text is always the file's lines startLine..endLine; the heading path, the preamble
+ * and the decoded notebook source are only added to the embedded text (getEmbeddingText()).
+ * Every chunk records `metadata.kind`. structuredChunk() returns null when a file does not
+ * fit its format (invalid notebook JSON, cells that cannot be mapped to rows, a JSON array,
+ * Markdown without headings), and the caller falls back to the regular chunker.
+ */
+
+import path from 'path';
+import { countTokens, getChunkingParams } from './tokenizer.js';
+import { MIN_CHUNK_TEXT_LENGTH } from './constants.js';
+
+const SPECIAL_TOKENS = 2;
+
+// File extension -> structured format.
+export const STRUCTURED_FORMATS = Object.freeze({
+  ipynb: 'notebook',
+  md: 'markdown',
+  markdown: 'markdown',
+  mdx: 'markdown',
+  json: 'json',
+  jsonc: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+});
+
+export function getStructuredFormat(file) {
+  return STRUCTURED_FORMATS[path.extname(file).slice(1).toLowerCase()] ?? null;
+}
+
+/**
+ * Consecutive line windows of about `targetTokens` over rows start..end, each repeating up
+ * to `overlapTokens` of the previous window's last rows. Returns [start, end] pairs.
+ */
+function lineWindows(lineTokens, start, end, targetTokens, overlapTokens) {
+  const windows = [];
+  let windowStart = start;
+  while (windowStart <= end) {
+    let windowEnd = windowStart;
+    let tokens = lineTokens[windowStart];
+    while (windowEnd < end && tokens + lineTokens[windowEnd + 1] + SPECIAL_TOKENS <= targetTokens) {
+      windowEnd++;
+      tokens += lineTokens[windowEnd];
+    }
+    windows.push([windowStart, windowEnd]);
+    if (windowEnd >= end) break;
+
+    let next = windowEnd + 1;
+    let overlap = 0;
+    while (next - 1 > windowStart && overlap + lineTokens[next - 1] <= overlapTokens) {
+      next--;
+      overlap += lineTokens[next];
+    }
+    windowStart = next;
+  }
+  return windows;
+}
+
+function sumTokens(lineTokens, start, end) {
+  let tokens = 0;
+  for (let row = start; row <= end; row++) tokens += lineTokens[row];
+  return tokens;
+}
+
+/**
+ * File row of each cell's source. nbformat pretty-prints one source line per array
+ * element, so element i of a cell sits at `first + i`. Minified notebooks map every cell
+ * to the first row.
+ */
+function locateCellSources(lines, cellCount) {
+  const cellRows = [];
+  for (let row = 0; row < lines.length; row++) {
+    if (/"cell_type"\s*:/.test(lines[row])) cellRows.push(row);
+  }
+  if (cellRows.length !== cellCount) return null;
+
+  return cellRows.map((cellRow, index) => {
+    const limit = index + 1 < cellRows.length ? cellRows[index + 1] : lines.length;
+    for (let row = cellRow; row < limit; row++) {
+      if (!/"(source|input)"\s*:/.test(lines[row])) continue;
+      const isArray = lines[row].trimEnd().endsWith('[');
+      return { first: isArray ? row + 1 : row, perLine: isArray };
+    }
+    return { first: cellRow, perLine: false };
+  });
+}
+
+// A notebook source row: an optional `"source": [` prefix, a JSON string, then `]` or `,`.
+const NOTEBOOK_SOURCE_ROW =
+  /^\s*(?:"(?:source|input)"\s*:\s*\[?\s*)?("(?:[^"\\]|\\.)*")\s*\]?\s*,?\s*$/;
+
+/**
+ * Cell source text of notebook rows: each row's JSON string, decoded and concatenated.
+ * Returns null if a row is not a source string.
+ */
+export function decodeNotebookSource(text) {
+  let source = '';
+  for (const row of text.split('\n')) {
+    const match = NOTEBOOK_SOURCE_ROW.exec(row);
+    if (!match) return null;
+    try {
+      source += JSON.parse(match[1]);
+    } catch {
+      return null;
+    }
+  }
+  return source.replace(/\n$/, '');
+}
+
+function chunkNotebook(content, lines, budget) {
+  let notebook;
+  try {
+    notebook = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  const cells = notebook?.cells ?? notebook?.worksheets?.[0]?.cells;
+  if (!Array.isArray(cells)) return null;
+
+  // Chunk text is the cell's rows in the file, so cells must map to rows.
+  const locations = locateCellSources(lines, cells.length);
+  if (!locations) return null;
+  const chunks = [];
+  let preamble = null;
+
+  for (const [index, cell] of cells.entries()) {
+    const cellType = cell?.cell_type;
+    if (cellType !== 'code' && cellType !== 'markdown') continue;
+    const rawSource = cell.source ?? cell.input ?? '';
+    const source = Array.isArray(rawSource) ? rawSource.join('') : String(rawSource);
+    // Lines over the model limit are embedded images or data blobs.
+    const rawLines = source.replace(/\n$/, '').split('\n');
+    const sourceLines = rawLines.map((line) =>
+      budget.count(line) + SPECIAL_TOKENS > budget.maxTokens ? '' : line
+    );
+    if (sourceLines.join('').trim().length === 0) continue;
+
+    const { first, perLine } = locations[index];
+    const rowCount = perLine ? sourceLines.length : 1;
+    const rows = lines.slice(first, first + rowCount).join('\n');
+    if (decodeNotebookSource(rows) !== source.replace(/\n$/, '')) return null;
+    const metadata = { kind: 'notebook-cell', cell: index + 1, cellType };
+
+    const text = sourceLines.join('\n');
+    if (text.trim().length <= MIN_CHUNK_TEXT_LENGTH) {
+      // Embedded ahead of the next cell, e.g. a one-line import or a "## Setup" heading.
+      preamble = preamble ? `${preamble}\n\n${text}` : text;
+      continue;
+    }
+
+    const lineTokens = sourceLines.map(budget.count);
+    const tokens = sumTokens(lineTokens, 0, sourceLines.length - 1);
+    const windows =
+      !perLine || tokens + SPECIAL_TOKENS <= budget.targetTokens
+        ? [[0, sourceLines.length - 1]]
+        : lineWindows(
+            lineTokens,
+            0,
+            sourceLines.length - 1,
+            budget.targetTokens,
+            budget.overlapTokens
+          );
+
+    for (const [start, end] of windows) {
+      const startRow = perLine ? first + start : first;
+      const endRow = perLine ? first + end : first;
+      const preambleTokens = preamble ? budget.count(preamble) : 0;
+      // Source lines (relative to the chunk) left out of the embedding text.
+      const droppedLines = [];
+      for (let line = start; line <= end; line++) {
+        if (sourceLines[line] !== rawLines[line]) {
+          droppedLines.push(line - start);
+        }
+      }
+      const chunkMetadata = { ...metadata };
+      if (preamble) chunkMetadata.preamble = preamble;
+      if (droppedLines.length > 0) chunkMetadata.droppedLines = droppedLines;
+      chunks.push({
+        text: lines.slice(startRow, endRow + 1).join('\n'),
+        startLine: startRow + 1,
+        endLine: endRow + 1,
+        tokenCount: sumTokens(lineTokens, start, end) + preambleTokens + SPECIAL_TOKENS,
+        metadata: chunkMetadata,
+      });
+      preamble = null;
+    }
+  }
+  return chunks;
+}
+
+function findMarkdownSections(lines) {
+  const sections = [{ start: 0, headings: [] }];
+  const stack = [];
+  let fence = null;
+
+  for (let row = 0; row < lines.length; row++) {
+    const line = lines[row];
+    const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) {
+        fence = marker;
+      } else if (marker[0] === fence[0] && marker.length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence) continue;
+
+    const heading = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+    if (!heading) continue;
+    const level = heading[1].length;
+    while (stack.length > 0 && stack.at(-1).level >= level) stack.pop();
+    stack.push({ level, title: heading[2].trim() });
+    sections.push({ start: row, headings: stack.map((h) => h.title) });
+  }
+
+  if (sections.length === 1) return null;
+  return sections
+    .map((section, index) => ({
+      ...section,
+      end: index + 1 < sections.length ? sections[index + 1].start - 1 : lines.length - 1,
+    }))
+    .filter((section) => section.end >= section.start);
+}
+
+function chunkMarkdown(lines, lineTokens, budget) {
+  const sections = findMarkdownSections(lines);
+  if (!sections) return null;
+
+  const chunks = [];
+  let pendingStart = null;
+  for (const section of sections) {
+    const start = pendingStart ?? section.start;
+    const body = lines.slice(start, section.end + 1).join('\n');
+    if (body.trim().length <= MIN_CHUNK_TEXT_LENGTH) {
+      // A heading directly followed by a subheading joins the subsection.
+      pendingStart = start;
+      continue;
+    }
+    pendingStart = null;
+
+    const headingPath = section.headings.join(' > ');
+    const prefixTokens = headingPath ? budget.count(headingPath) : 0;
+    const tokens = sumTokens(lineTokens, start, section.end);
+    const windows =
+      tokens + prefixTokens + SPECIAL_TOKENS <= budget.targetTokens
+        ? [[start, section.end]]
+        : lineWindows(
+            lineTokens,
+            start,
+            section.end,
+            Math.max(1, budget.targetTokens - prefixTokens),
+            budget.overlapTokens
+          );
+
+    for (const [windowStart, windowEnd] of windows) {
+      chunks.push({
+        text: lines.slice(windowStart, windowEnd + 1).join('\n'),
+        startLine: windowStart + 1,
+        endLine: windowEnd + 1,
+        tokenCount: sumTokens(lineTokens, windowStart, windowEnd) + prefixTokens + SPECIAL_TOKENS,
+        metadata: { kind: 'markdown-section', headingPath },
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Object keys in JSON (or JSONC) text with their row and nesting depth (1 = top level).
+ * Returns null unless the document is an object.
+ */
+function scanJsonKeys(content) {
+  if (!content.trimStart().startsWith('{')) return null;
+  const keys = [];
+  const stack = [];
+  let row = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === '\n') {
+      row++;
+    } else if (ch === '/' && content[i + 1] === '/') {
+      while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+    } else if (ch === '/' && content[i + 1] === '*') {
+      i += 2;
+      while (i < content.length && !(content[i] === '*' && content[i + 1] === '/')) {
+        if (content[i] === '\n') row++;
+        i++;
+      }
+      i++;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch);
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === '"') {
+      const keyRow = row;
+      let j = i + 1;
+      while (j < content.length && content[j] !== '"') {
+        if (content[j] === '\\') j++;
+        else if (content[j] === '\n') row++;
+        j++;
+      }
+      const name = content.slice(i + 1, j);
+      i = j;
+      if (stack.at(-1) !== '{') continue;
+      let k = j + 1;
+      while (k < content.length && /\s/.test(content[k])) k++;
+      if (content[k] === ':') keys.push({ name, row: keyRow, depth: stack.length });
+    }
+  }
+  return keys;
+}
+
+const YAML_KEY = /^( *)("[^"]*"|'[^']*'|[\w$./][\w$./ -]*?)\s*:(?:\s|$)/;
+const YAML_LIST_ITEM = /^( *)-(?:\s|$)/;
+const YAML_BLOCK_SCALAR = /:\s*[|>][-+0-9]*\s*(#.*)?$/;
+
+/**
+ * Mapping keys in YAML text with their row and indentation (`depth`). List items are
+ * recorded with `listItem: true`; block scalar contents (`key: |`) are skipped.
+ */
+function scanYamlKeys(lines) {
+  const keys = [];
+  let scalarIndent = null;
+  for (let row = 0; row < lines.length; row++) {
+    const line = lines[row];
+    if (line.trim().length === 0) continue;
+    const indent = line.length - line.trimStart().length;
+    if (scalarIndent !== null) {
+      if (indent > scalarIndent) continue;
+      scalarIndent = null;
+    }
+    if (YAML_LIST_ITEM.test(line)) {
+      keys.push({ name: '-', row, depth: indent, listItem: true });
+      continue;
+    }
+    const match = YAML_KEY.exec(line);
+    if (!match) continue;
+    keys.push({ name: match[2].replace(/^(["'])(.*)\1$/, '$2'), row, depth: indent });
+    if (YAML_BLOCK_SCALAR.test(line)) scalarIndent = indent;
+  }
+  return keys;
+}
+
+/**
+ * Turn sibling keys into nodes spanning rows start..end: each node runs to the row before
+ * the next sibling, the first one also takes the rows before it (an opening brace or a
+ * parent key) and the last one the rows after it.
+ */
+function toKeyNodes(siblings, start, end, parentPath) {
+  const unique = siblings.filter((key, index) => index === 0 || key.row > siblings[index - 1].row);
+  return unique.map((key, index) => ({
+    ...key,
+    path: parentPath ? `${parentPath}.${key.name}` : key.name,
+    start: index === 0 ? start : key.row,
+    end: index + 1 < unique.length ? unique[index + 1].row - 1 : end,
+  }));
+}
+
+function childKeys(format, keys, node) {
+  if (format === 'json') {
+    return keys.filter(
+      (key) => key.depth === node.depth + 1 && key.row >= node.row && key.row <= node.end
+    );
+  }
+  const nested = keys.filter(
+    (key) => key.row > node.row && key.row <= node.end && key.depth > node.depth
+  );
+  if (nested.length === 0) return [];
+  const depth = Math.min(...nested.map((key) => key.depth));
+  const children = nested.filter((key) => key.depth === depth);
+  // A list is cut into line windows rather than at the keys of its items.
+  return children.some((key) => key.listItem) ? [] : children;
+}
+
+function chunkConfigFile(format, content, lines, lineTokens, budget) {
+  const keys = format === 'json' ? scanJsonKeys(content) : scanYamlKeys(lines);
+  if (!keys || keys.length === 0) return null;
+  const topDepth = Math.min(...keys.map((key) => key.depth));
+  const chunks = [];
+
+  const emit = (start, end, keyPaths) => {
+    const text = lines.slice(start, end + 1).join('\n');
+    if (text.trim().length <= MIN_CHUNK_TEXT_LENGTH) return;
+    chunks.push({
+      text,
+      startLine: start + 1,
+      endLine: end + 1,
+      tokenCount: sumTokens(lineTokens, start, end) + SPECIAL_TOKENS,
+      metadata: { kind: 'config-keys', keyPaths },
+    });
+  };
+
+  const chunkNodes = (nodes) => {
+    let group = [];
+    let groupTokens = 0;
+    const flush = () => {
+      if (group.length > 0) {
+        emit(
+          group[0].start,
+          group.at(-1).end,
+          group.map((node) => node.path)
+        );
+      }
+      group = [];
+      groupTokens = 0;
+    };
+
+    for (const node of nodes) {
+      const tokens = sumTokens(lineTokens, node.start, node.end);
+      if (tokens + SPECIAL_TOKENS > budget.targetTokens) {
+        flush();
+        const children = childKeys(format, keys, node);
+        if (children.length > 0) {
+          chunkNodes(toKeyNodes(children, node.start, node.end, node.path));
+        } else {
+          for (const [start, end] of lineWindows(
+            lineTokens,
+            node.start,
+            node.end,
+            budget.targetTokens,
+            budget.overlapTokens
+          )) {
+            emit(start, end, [node.path]);
+          }
+        }
+        continue;
+      }
+      if (group.length > 0 && groupTokens + tokens + SPECIAL_TOKENS > budget.targetTokens) {
+        flush();
+      }
+      group.push(node);
+      groupTokens += tokens;
+    }
+    flush();
+  };
+
+  const topKeys = keys.filter((key) => key.depth === topDepth);
+  if (topKeys.some((key) => key.listItem)) return null;
+  chunkNodes(toKeyNodes(topKeys, 0, lines.length - 1, ''));
+  return chunks;
+}
+
+/**
+ * Chunk notebooks, Markdown, JSON and YAML by their structure. Returns null for other
+ * files, and when the content does not fit the format, so callers can fall back.
+ */
+export function structuredChunk(content, file, config) {
+  const format = getStructuredFormat(file);
+  if (!format || typeof content !== 'string') return null;
+
+  let { maxTokens, targetTokens, overlapTokens } = getChunkingParams(config.embeddingModel);
+  if (config.maxTokens) maxTokens = config.maxTokens;
+  if (config.targetTokens) targetTokens = config.targetTokens;
+  if (config.overlapTokens) overlapTokens = config.overlapTokens;
+  const budget = {
+    maxTokens,
+    targetTokens,
+    overlapTokens,
+    count: (text) => countTokens(text, config.embeddingModel, { includeSpecialTokens: false }),
+  };
+
+  const lines = content.split('\n');
+  let chunks;
+  if (format === 'notebook') {
+    chunks = chunkNotebook(content, lines, budget);
+  } else {
+    const lineTokens = lines.map(budget.count);
+    // Minified files need the line splitting in smartChunk().
+    if (lineTokens.some((tokens) => tokens + SPECIAL_TOKENS > maxTokens)) return null;
+    chunks =
+      format === 'markdown'
+        ? chunkMarkdown(lines, lineTokens, budget)
+        : chunkConfigFile(format, content, lines, lineTokens, budget);
+  }
+  if (!chunks) return null;
+  return chunks.slice(0, config.maxChunksPerFile || 1000);
+}
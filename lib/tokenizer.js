@@ -1,3 +1,9 @@
+import {
+  CHUNKING_PARAMS_CACHE_SIZE as MAX_CACHE_SIZE,
+  TOKENIZER_MAX_MODEL_LENGTH,
+  TOKENIZER_MAX_TEXT_LENGTH,
+} from './constants.js';
+
 const IS_TEST_ENV = process.env.VITEST === 'true' || process.env.NODE_ENV === 'test';
 
 const MODEL_TOKEN_LIMITS_RAW = {
@@ -25,6 +31,9 @@ function getModelTokenLimitFromLower(lowerName, originalName) {
   const exact = MODEL_LIMITS_LC.get(lowerName);
   if (exact !== undefined) return exact;
 
+  const tokenizerLimit = getTokenizerMaxLength(modelTokenizers.get(lowerName));
+  if (tokenizerLimit !== null) return tokenizerLimit;
+
   if (
     lowerName.includes('jina') ||
     lowerName.includes('nomic') ||
@@ -52,9 +61,71 @@ export function getModelTokenLimit(modelName) {
   return getModelTokenLimitFromLower(lower, modelName);
 }
 
-import { CHUNKING_PARAMS_CACHE_SIZE as MAX_CACHE_SIZE } from './constants.js';
 const chunkingParamsCache = new Map();
 
+// Tokenizers shipped with the embedding models, keyed by lowercased model name. null marks
+// a model whose tokenizer is not in the local cache; its counts come from estimateTokens().
+const modelTokenizers = new Map();
+const tokenizerPromises = new Map();
+
+// Tokenizers without a real limit report a huge sentinel (e.g. 1e30) as model_max_length.
+function getTokenizerMaxLength(tokenizer) {
+  const value = Number(tokenizer?.model_max_length);
+  return Number.isInteger(value) && value > 0 && value <= TOKENIZER_MAX_MODEL_LENGTH ? value : null;
+}
+
+/**
+ * Load the tokenizer of `modelName` from the local model cache (never the network), so
+ * countTokens() and getChunkingParams() use real token counts and the model's
+ * model_max_length. Explicit MODEL_TOKEN_LIMITS entries keep precedence over the latter.
+ * Each model is tried once per process; returns the tokenizer or null.
+ */
+export async function loadModelTokenizer(modelName, { cacheDir } = {}) {
+  if (typeof modelName !== 'string' || modelName.length === 0) return null;
+  const key = modelName.toLowerCase();
+  if (!tokenizerPromises.has(key)) {
+    tokenizerPromises.set(
+      key,
+      (async () => {
+        try {
+          const { AutoTokenizer } = await import('@huggingface/transformers');
+          const tokenizer = await AutoTokenizer.from_pretrained(modelName, {
+            local_files_only: true,
+            ...(cacheDir ? { cache_dir: cacheDir } : {}),
+          });
+          modelTokenizers.set(key, tokenizer);
+        } catch (err) {
+          modelTokenizers.set(key, null);
+          console.warn(
+            `[Tokenizer] Tokenizer for ${modelName} unavailable (${err.message}); using estimated token counts`
+          );
+        }
+        chunkingParamsCache.delete(key);
+        return modelTokenizers.get(key);
+      })()
+    );
+  }
+  return tokenizerPromises.get(key);
+}
+
+/**
+ * Count tokens with the model's tokenizer when loadModelTokenizer() has loaded it, and
+ * with estimateTokens() otherwise. Very long texts (minified lines) are always estimated.
+ */
+export function countTokens(text, modelName, { includeSpecialTokens = true } = {}) {
+  if (typeof text !== 'string' || text.length === 0) return 0;
+  const tokenizer =
+    typeof modelName === 'string' ? modelTokenizers.get(modelName.toLowerCase()) : null;
+  if (tokenizer && text.length <= TOKENIZER_MAX_TEXT_LENGTH) {
+    try {
+      return tokenizer.encode(text, { add_special_tokens: includeSpecialTokens }).length;
+    } catch {
+      // Fall back to the estimate below.
+    }
+  }
+  return estimateTokens(text, { includeSpecialTokens });
+}
+
 export function getChunkingParams(modelName) {
   const key = typeof modelName === 'string' && modelName.length ? modelName.toLowerCase() : '';
 
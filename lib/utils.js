@@ -1,8 +1,11 @@
 import crypto from 'crypto';
 import path from 'path';
-import { estimateTokens, getChunkingParams } from './tokenizer.js';
+import { countTokens, getChunkingParams } from './tokenizer.js';
+import { astChunk } from './ast-chunker.js';
+import { structuredChunk } from './structured-chunker.js';
 
 export {
+  countTokens,
   estimateTokens,
   getChunkingParams,
   getModelTokenLimit,
@@ -134,6 +137,13 @@ const patterns = {
 };
 
 export function smartChunk(content, file, config) {
+  const structuredChunks = structuredChunk(content, file, config);
+  if (structuredChunks) return structuredChunks;
+  if (config.chunkingMode === 'ast') {
+    const astChunks = astChunk(content, file, config);
+    if (astChunks) return astChunks;
+  }
+
   const lines = content.split('\n');
   const chunks = [];
   const ext = path.extname(file).toLowerCase();
@@ -144,6 +154,8 @@ export function smartChunk(content, file, config) {
   if (config.maxTokens) maxTokens = config.maxTokens;
   if (config.targetTokens) targetTokens = config.targetTokens;
   if (config.overlapTokens) overlapTokens = config.overlapTokens;
+  const countLineTokens = (text) =>
+    countTokens(text, config.embeddingModel, { includeSpecialTokens: false });
 
   let langPattern = patterns[ext.slice(1)];
   if (!langPattern) {
@@ -181,7 +193,7 @@ export function smartChunk(content, file, config) {
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const lineTokens = estimateTokens(line, { includeSpecialTokens: false });
+    const lineTokens = countLineTokens(line);
 
     let j = 0;
 
@@ -254,7 +266,7 @@ export function smartChunk(content, file, config) {
       const parts = splitOversizedLine(line, lineTokens);
       for (const part of parts) {
         if (part.trim().length <= MIN_CHUNK_TEXT_LENGTH) continue;
-        const partTokens = estimateTokens(part, { includeSpecialTokens: false });
+        const partTokens = countLineTokens(part);
         chunks.push({
           text: part,
           startLine: i + 1,
@@ -337,7 +349,7 @@ export function smartChunk(content, file, config) {
 
       currentChunk = overlapLines;
 
-      lineTokenCounts = overlapLines.map((l) => estimateTokens(l, { includeSpecialTokens: false }));
+      lineTokenCounts = overlapLines.map(countLineTokens);
       currentTokenCount = overlapTokensCount;
 
       chunkStartLine = Math.max(0, i - overlapStartOffset);
@@ -10,12 +10,21 @@ import {
   BINARY_RECORD_HEADER_SIZE as RECORD_HEADER_SIZE,
   BINARY_CONTENT_HEADER_SIZE as CONTENT_HEADER_SIZE,
   BINARY_RECORD_SIZE as RECORD_SIZE,
+  BINARY_LEGACY_RECORD_SIZE as LEGACY_RECORD_SIZE,
 } from './constants.js';
 
 const MAGIC_VECTORS = 'HMCV';
 const MAGIC_RECORDS = 'HMCR';
 const MAGIC_CONTENT = 'HMCC';
 
+// v2 stores lack the chunk attributes but are still readable.
+const LEGACY_STORE_VERSION = 2;
+// Label id for records without a language or kind.
+const NO_LABEL = 0xffffffff;
+const RECORD_FLAG_HASH = 1;
+const RECORD_FLAG_METADATA = 2;
+const HASH_BYTES = 16;
+
 const VECTORS_FILE = 'vectors.bin';
 const RECORDS_FILE = 'records.bin';
 const CONTENT_FILE = 'content.bin';
@@ -490,7 +499,7 @@ function readHeader(buffer, magic, headerSize) {
   }
   const view = getDataView(buffer);
   const version = view.getUint32(4, true);
-  if (version !== STORE_VERSION) {
+  if (version !== STORE_VERSION && version !== LEGACY_STORE_VERSION) {
     throw new Error(`Unsupported binary store version (${version})`);
   }
   return view;
@@ -543,6 +552,17 @@ function normalizeContent(value) {
   return value;
 }
 
+function isStringTable(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+function isMetadataTable(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((item) => item !== null && typeof item === 'object' && !Array.isArray(item))
+  );
+}
+
 export class BinaryVectorStore {
   constructor({
     vectorsBuffer,
@@ -553,6 +573,10 @@ export class BinaryVectorStore {
     contentBuffer,
     contentSize,
     files,
+    labels,
+    symbols,
+    metadata,
+    version,
     dim,
     count,
     contentCacheEntries,
@@ -570,6 +594,11 @@ export class BinaryVectorStore {
         ? Math.max(0, contentBuffer.length - CONTENT_HEADER_SIZE)
         : 0;
     this.files = files;
+    this.labels = labels ?? [];
+    this.symbols = symbols ?? [];
+    this.metadata = metadata ?? [];
+    this.version = version ?? STORE_VERSION;
+    this.recordSize = this.version === LEGACY_STORE_VERSION ? LEGACY_RECORD_SIZE : RECORD_SIZE;
     this.dim = dim;
     this.count = count;
     this.contentCacheEntries = Number.isInteger(contentCacheEntries) ? contentCacheEntries : 256;
@@ -589,6 +618,9 @@ export class BinaryVectorStore {
     this.recordsBuffer = null;
     this.contentBuffer = null;
     this.files = null;
+    this.labels = null;
+    this.symbols = null;
+    this.metadata = null;
     if (this.vectorsHandle) {
       try {
         await this.vectorsHandle.close();
@@ -655,6 +687,7 @@ export class BinaryVectorStore {
       const vectorsPayloadBytes = count * dim * 4;
 
       const recordsView = readHeader(recordsBuffer, MAGIC_RECORDS, RECORD_HEADER_SIZE);
+      const version = recordsView.getUint32(4, true);
       const recordCount = recordsView.getUint32(8, true);
       const fileCount = recordsView.getUint32(12, true);
       const recordsWriteId = recordsView.getUint32(16, true);
@@ -666,6 +699,11 @@ export class BinaryVectorStore {
         );
       }
 
+      const recordSize = version === LEGACY_STORE_VERSION ? LEGACY_RECORD_SIZE : RECORD_SIZE;
+      if (recordsBuffer.length < RECORD_HEADER_SIZE + count * recordSize) {
+        throw new BinaryStoreCorruptionError('Binary store records file truncated');
+      }
+
       // Validate writeId consistency between vectors and records
       if (vectorsWriteId !== recordsWriteId) {
         throw new BinaryStoreCorruptionError(
@@ -778,6 +816,17 @@ export class BinaryVectorStore {
         );
       }
 
+      const labels = version === LEGACY_STORE_VERSION ? [] : filesData.labels;
+      const symbols = version === LEGACY_STORE_VERSION ? [] : filesData.symbols;
+      if (!isStringTable(labels) || !isStringTable(symbols)) {
+        throw new BinaryStoreCorruptionError('Binary store label or symbol table is invalid');
+      }
+      // Stores written before chunk metadata was kept have no metadata table.
+      const metadata = version === LEGACY_STORE_VERSION ? [] : (filesData.metadata ?? []);
+      if (!isMetadataTable(metadata)) {
+        throw new BinaryStoreCorruptionError('Binary store metadata table is invalid');
+      }
+
       // Validate writeId from files.json if present
       if (filesWriteId !== null && filesWriteId !== vectorsWriteId) {
         throw new BinaryStoreCorruptionError(
@@ -793,6 +842,10 @@ export class BinaryVectorStore {
         contentHandle: contentReadHandle,
         contentSize: totalContentBytes,
         files,
+        labels,
+        symbols,
+        metadata,
+        version,
         dim,
         count,
         contentCacheEntries,
@@ -815,7 +868,7 @@ export class BinaryVectorStore {
 
   getRecord(index) {
     if (index < 0 || index >= this.count) return null;
-    const offset = this.recordDataOffset + index * RECORD_SIZE;
+    const offset = this.recordDataOffset + index * this.recordSize;
     const view = getDataView(this.recordsBuffer);
 
     const fileId = view.getUint32(offset, true);
@@ -824,7 +877,7 @@ export class BinaryVectorStore {
     const contentOffset = readBigUint(view, offset + 12);
     const contentLength = view.getUint32(offset + 20, true);
 
-    return {
+    const record = {
       fileId,
       file: this.files[fileId],
       startLine,
@@ -832,6 +885,24 @@ export class BinaryVectorStore {
       contentOffset,
       contentLength,
     };
+    if (this.version === LEGACY_STORE_VERSION) return record;
+
+    const label = (id) => (id === NO_LABEL ? null : (this.labels[id] ?? null));
+    const symbolsStart = view.getUint32(offset + 32, true);
+    const symbolsCount = view.getUint32(offset + 36, true);
+    const flags = view.getUint32(offset + 56, true);
+    record.language = label(view.getUint32(offset + 24, true));
+    record.kind = label(view.getUint32(offset + 28, true));
+    record.symbols = this.symbols.slice(symbolsStart, symbolsStart + symbolsCount);
+    record.hash =
+      flags & RECORD_FLAG_HASH
+        ? this.recordsBuffer.toString('hex', offset + 40, offset + 40 + HASH_BYTES)
+        : null;
+    record.metadata =
+      flags & RECORD_FLAG_METADATA
+        ? (this.metadata[view.getUint32(offset + 60, true)] ?? null)
+        : null;
+    return record;
   }
 
   getVector(index) {
@@ -930,6 +1001,15 @@ export class BinaryVectorStore {
         _index: i,
         _binaryIndex: i,
       };
+      if (record.hash !== undefined) {
+        chunk.language = record.language;
+        chunk.kind = record.kind;
+        chunk.symbols = record.symbols;
+        chunk.hash = record.hash;
+      }
+      if (record.metadata) {
+        chunk.metadata = record.metadata;
+      }
       if (includeVector) {
         chunk.vector = this.getVector(i);
       }
@@ -982,6 +1062,28 @@ export class BinaryVectorStore {
 
     const fileIds = new Map();
     const files = [];
+    const labelIds = new Map();
+    const labels = [];
+    const symbols = [];
+    const metadataIds = new Map();
+    const metadata = [];
+    const metadataId = (value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+      const key = JSON.stringify(value);
+      if (!metadataIds.has(key)) {
+        metadataIds.set(key, metadata.length);
+        metadata.push(value);
+      }
+      return metadataIds.get(key);
+    };
+    const labelId = (value) => {
+      if (typeof value !== 'string' || value.length === 0) return NO_LABEL;
+      if (!labelIds.has(value)) {
+        labelIds.set(value, labels.length);
+        labels.push(value);
+      }
+      return labelIds.get(value);
+    };
     const denseChunks = [];
     const denseSourceIndices = [];
     for (let i = 0; i < chunks.length; i += 1) {
@@ -1043,13 +1145,26 @@ export class BinaryVectorStore {
       const contentValue = await resolveContent(chunk, sourceIndex);
       const contentLength = Buffer.byteLength(contentValue, 'utf-8');
 
+      const chunkSymbols = Array.isArray(chunk.symbols)
+        ? chunk.symbols.filter((name) => typeof name === 'string')
+        : [];
+      const hash =
+        typeof chunk.hash === 'string' && /^[0-9a-f]{32}$/i.test(chunk.hash) ? chunk.hash : null;
+
       recordEntries[i] = {
         fileId: fileIds.get(file),
         startLine: chunk.startLine ?? 0,
         endLine: chunk.endLine ?? 0,
         contentOffset,
         contentLength,
+        languageId: labelId(chunk.language),
+        kindId: labelId(chunk.kind),
+        symbolsStart: symbols.length,
+        symbolsCount: chunkSymbols.length,
+        hash,
+        metadataId: metadataId(chunk.metadata),
       };
+      symbols.push(...chunkSymbols);
 
       contentOffset += contentLength;
     }
@@ -1059,7 +1174,7 @@ export class BinaryVectorStore {
 
     const writeId = generateWriteId();
 
-    await fs.writeFile(filesTmp, JSON.stringify({ writeId, files }));
+    await fs.writeFile(filesTmp, JSON.stringify({ writeId, files, labels, symbols, metadata }));
 
     let vectorsHandle = null;
     let recordsHandle = null;
@@ -1102,8 +1217,20 @@ export class BinaryVectorStore {
         view.setUint32(8, entry.endLine, true);
         view.setBigUint64(12, BigInt(entry.contentOffset), true);
         view.setUint32(20, entry.contentLength, true);
-        view.setUint32(24, 0, true);
-        view.setUint32(28, 0, true);
+        view.setUint32(24, entry.languageId, true);
+        view.setUint32(28, entry.kindId, true);
+        view.setUint32(32, entry.symbolsStart, true);
+        view.setUint32(36, entry.symbolsCount, true);
+        let flags = 0;
+        if (entry.hash) {
+          recordBuffer.write(entry.hash, 40, HASH_BYTES, 'hex');
+          flags |= RECORD_FLAG_HASH;
+        }
+        if (entry.metadataId !== null) {
+          view.setUint32(60, entry.metadataId, true);
+          flags |= RECORD_FLAG_METADATA;
+        }
+        view.setUint32(56, flags, true);
 
         await recordsHandle.write(recordBuffer, 0, recordBuffer.length, recordPos);
         recordPos += recordBuffer.length;
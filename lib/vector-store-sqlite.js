@@ -9,6 +9,41 @@ import {
 
 const SQLITE_FILE = 'vectors.sqlite';
 
+// v1 databases lack the chunk attribute columns but are still readable.
+const LEGACY_STORE_VERSION = 1;
+const ATTRIBUTE_COLUMNS = ', language, kind, symbols, hash, metadata';
+
+function parseSymbols(value) {
+  if (typeof value !== 'string' || value.length === 0) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((name) => typeof name === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function parseMetadata(value) {
+  if (typeof value !== 'string' || value.length === 0) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function readAttributes(row) {
+  const metadata = parseMetadata(row.metadata);
+  return {
+    language: row.language ?? null,
+    kind: row.kind ?? null,
+    symbols: parseSymbols(row.symbols),
+    hash: row.hash ?? null,
+    ...(metadata && { metadata }),
+  };
+}
+
 async function retryUnlink(targetPath, retries = SQLITE_FILE_RETRY_COUNT) {
   for (let attempt = 0; attempt <= retries; attempt += 1) {
     try {
@@ -55,13 +90,16 @@ async function retryRename(fromPath, toPath, retries = SQLITE_FILE_RETRY_COUNT)
 }
 
 export class SqliteVectorStore {
-  constructor({ db, dim, count }) {
+  constructor({ db, dim, count, version = STORE_VERSION }) {
     this.db = db;
     this.dim = dim;
     this.count = count;
+    this.version = version;
+    this.hasAttributes = version !== LEGACY_STORE_VERSION;
 
+    const attributeColumns = this.hasAttributes ? ATTRIBUTE_COLUMNS : '';
     this._stmtGetChunk = db.prepare(`
-      SELECT file, startLine, endLine, content, vector FROM chunks WHERE id = ?
+      SELECT file, startLine, endLine, content, vector${attributeColumns} FROM chunks WHERE id = ?
     `);
     this._stmtGetVector = db.prepare(`SELECT vector FROM chunks WHERE id = ?`);
     this._stmtGetContent = db.prepare(`SELECT content FROM chunks WHERE id = ?`);
@@ -111,7 +149,7 @@ export class SqliteVectorStore {
     const metaMap = new Map(meta.map((r) => [r.key, r.value]));
 
     const version = parseInt(metaMap.get('version') || '0', 10);
-    if (version !== STORE_VERSION) {
+    if (version !== STORE_VERSION && version !== LEGACY_STORE_VERSION) {
       db.close();
       return null;
     }
@@ -119,7 +157,7 @@ export class SqliteVectorStore {
     const dim = parseInt(metaMap.get('dim') || '0', 10);
     const count = parseInt(metaMap.get('count') || '0', 10);
 
-    return new SqliteVectorStore({ db, dim, count });
+    return new SqliteVectorStore({ db, dim, count, version });
   }
 
   length() {
@@ -136,6 +174,7 @@ export class SqliteVectorStore {
       file: row.file,
       startLine: row.startLine,
       endLine: row.endLine,
+      ...(this.hasAttributes && readAttributes(row)),
     };
   }
 
@@ -162,7 +201,7 @@ export class SqliteVectorStore {
   toChunkViews({ includeContent = false, includeVector = true } = {}) {
     const views = [];
     const stmt = this.db.prepare(`
-      SELECT id, file, startLine, endLine${includeContent ? ', content' : ''}${includeVector ? ', vector' : ''}
+      SELECT id, file, startLine, endLine${this.hasAttributes ? ATTRIBUTE_COLUMNS : ''}${includeContent ? ', content' : ''}${includeVector ? ', vector' : ''}
       FROM chunks ORDER BY id
     `);
 
@@ -175,6 +214,10 @@ export class SqliteVectorStore {
         _sqliteIndex: row.id,
       };
 
+      if (this.hasAttributes) {
+        Object.assign(view, readAttributes(row));
+      }
+
       if (includeContent) {
         view.content = row.content;
       }
@@ -299,7 +342,12 @@ export class SqliteVectorStore {
         startLine INTEGER NOT NULL,
         endLine INTEGER NOT NULL,
         content TEXT,
-        vector BLOB
+        vector BLOB,
+        language TEXT,
+        kind TEXT,
+        symbols TEXT,
+        hash TEXT,
+        metadata TEXT
       );
 
       CREATE INDEX idx_chunks_file ON chunks(file);
@@ -312,8 +360,8 @@ export class SqliteVectorStore {
     insertMeta.run('createdAt', new Date().toISOString());
 
     const insertChunk = db.prepare(`
-      INSERT INTO chunks (id, file, startLine, endLine, content, vector)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO chunks (id, file, startLine, endLine, content, vector${ATTRIBUTE_COLUMNS})
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     db.exec('BEGIN');
@@ -336,7 +384,12 @@ export class SqliteVectorStore {
           chunk.startLine ?? 0,
           chunk.endLine ?? 0,
           content,
-          Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength)
+          Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength),
+          chunk.language ?? null,
+          chunk.kind ?? null,
+          Array.isArray(chunk.symbols) ? JSON.stringify(chunk.symbols) : null,
+          chunk.hash ?? null,
+          chunk.metadata ? JSON.stringify(chunk.metadata) : null
         );
       }
       db.exec('COMMIT');
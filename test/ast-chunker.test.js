@@ -0,0 +1,197 @@
+import { createRequire } from 'module';
+import { describe, it, expect } from 'vitest';
+import { astChunk, chunkSyntaxTree, getAstGrammar, loadAstGrammars } from '../lib/ast-chunker.js';
+import { estimateTokens } from '../lib/tokenizer.js';
+import { smartChunk } from '../lib/utils.js';
+
+function hasTreeSitter() {
+  try {
+    const require = createRequire(import.meta.url);
+    require.resolve('web-tree-sitter');
+    require.resolve('tree-sitter-wasms/package.json');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const node = (type, start, end, namedChildren = []) => ({
+  type,
+  startPosition: { row: start, column: 0 },
+  endPosition: { row: end, column: 0 },
+  namedChildren,
+});
+
+const method = (name) => [
+  `  ${name}(items) {`,
+  '    const results = items.map((item) => item.value * 2);',
+  '    return results.filter((value) => value > 10);',
+  '  }',
+];
+
+// 0: comment, 1-3: helper, 4: class header, 5-8 / 9-12 / 13-16: methods, 17: closing brace
+const lines = [
+  '// Doubles every value and keeps the large ones.',
+  'function helper(values) {',
+  '  return values.map((value) => value * 2);',
+  '}',
+  'class Processor {',
+  ...method('first'),
+  ...method('second'),
+  ...method('third'),
+  '}',
+];
+const tree = node('program', 0, 17, [
+  node('comment', 0, 0),
+  node('function_declaration', 1, 3),
+  node('class_declaration', 4, 17, [
+    node('identifier', 4, 4),
+    node('class_body', 4, 17, [
+      node('method_definition', 5, 8),
+      node('method_definition', 9, 12),
+      node('method_definition', 13, 16),
+    ]),
+  ]),
+]);
+
+const tokensOf = (start, end) =>
+  lines
+    .slice(start, end + 1)
+    .reduce((sum, line) => sum + estimateTokens(line, { includeSpecialTokens: false }), 0);
+
+describe('chunkSyntaxTree', () => {
+  it('keeps a file that fits the budget in one chunk', () => {
+    const chunks = chunkSyntaxTree(tree, lines, {
+      maxTokens: 1000,
+      targetTokens: 900,
+      overlapTokens: 0,
+    });
+
+    expect(chunks.map((c) => [c.startLine, c.endLine])).toEqual([[1, 18]]);
+  });
+
+  it('splits an oversized class at its methods', () => {
+    const targetTokens = tokensOf(9, 12) + 4;
+    const chunks = chunkSyntaxTree(tree, lines, {
+      maxTokens: 1000,
+      targetTokens,
+      overlapTokens: 0,
+    });
+    const ranges = chunks.map((c) => [c.startLine, c.endLine]);
+
+    for (const [start, end] of [
+      [10, 13],
+      [14, 17],
+    ]) {
+      expect(ranges.some(([s, e]) => s <= start && e >= end)).toBe(true);
+    }
+    for (const [s, e] of ranges) {
+      // No chunk starts or ends in the middle of a method.
+      for (const [start, end] of [
+        [6, 9],
+        [10, 13],
+        [14, 17],
+      ]) {
+        expect(s > start && s <= end).toBe(false);
+        expect(e >= start && e < end).toBe(false);
+      }
+    }
+    expect(chunks.every((c) => c.tokenCount <= targetTokens + 2)).toBe(true);
+  });
+
+  it('keeps a leading comment with the definition after it', () => {
+    const chunks = chunkSyntaxTree(tree, lines, {
+      maxTokens: 1000,
+      targetTokens: tokensOf(0, 3) + 4,
+      overlapTokens: 0,
+    });
+
+    expect(chunks[0].startLine).toBe(1);
+    expect(chunks[0].endLine).toBeGreaterThanOrEqual(4);
+  });
+
+  it('cuts an oversized leaf into overlapping line windows', () => {
+    const body = Array.from({ length: 40 }, (_, i) => `  total += compute(values[${i}]);`);
+    const leaf = ['function big(values) {', ...body, '}'];
+    const chunks = chunkSyntaxTree(node('program', 0, 41, [node('leaf', 0, 41)]), leaf, {
+      maxTokens: 1000,
+      targetTokens: 80,
+      overlapTokens: 30,
+    });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks[0].startLine).toBe(1);
+    expect(chunks.at(-1).endLine).toBe(42);
+    expect(chunks[1].startLine).toBeLessThanOrEqual(chunks[0].endLine);
+  });
+
+  it('gives up on lines longer than maxTokens', () => {
+    const minified = ['x'.repeat(5000)];
+    expect(
+      chunkSyntaxTree(node('program', 0, 0), minified, {
+        maxTokens: 100,
+        targetTokens: 80,
+        overlapTokens: 0,
+      })
+    ).toBeNull();
+  });
+});
+
+describe('AST chunking mode', () => {
+  it('maps extensions to grammars', () => {
+    expect(getAstGrammar('src/app.tsx')).toBe('tsx');
+    expect(getAstGrammar('main.PY')).toBe('python');
+    expect(getAstGrammar('README.md')).toBeNull();
+  });
+
+  it('falls back to smartChunk when no grammar is loaded', () => {
+    const content = lines.join('\n');
+    const config = { embeddingModel: 'jinaai/jina-embeddings-v2-base-code' };
+
+    expect(astChunk(content, 'notes.txt', { ...config, chunkingMode: 'ast' })).toBeNull();
+    expect(smartChunk(content, 'notes.txt', { ...config, chunkingMode: 'ast' })).toEqual(
+      smartChunk(content, 'notes.txt', config)
+    );
+  });
+});
+
+describe.skipIf(!hasTreeSitter())('tree-sitter grammars', () => {
+  const config = {
+    chunkingMode: 'ast',
+    embeddingModel: 'jinaai/jina-embeddings-v2-base-code',
+    maxTokens: 200,
+    targetTokens: 60,
+    overlapTokens: 10,
+  };
+
+  it('chunks Python at function and method boundaries', async () => {
+    await loadAstGrammars(config, ['service.py']);
+    const content = [
+      'import os',
+      '',
+      'def load(path):',
+      '    with open(path) as handle:',
+      '        return handle.read()',
+      '',
+      'class Service:',
+      '    def first(self, items):',
+      '        total = 0',
+      '        for item in items:',
+      '            total += item.value * item.weight',
+      '        return total',
+      '',
+      '    def second(self, items):',
+      '        names = [item.name.strip().lower() for item in items]',
+      '        return sorted(set(names))',
+      '',
+    ].join('\n');
+
+    const chunks = astChunk(content, 'service.py', config);
+
+    expect(chunks).not.toBeNull();
+    expect(chunks.some((c) => c.text.trimStart().startsWith('def second'))).toBe(true);
+    expect(chunks.every((c) => !c.text.includes('for item in items:\n') || c.endLine >= 12)).toBe(
+      true
+    );
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { crc32 } from 'zlib';
 import {
   BinaryVectorStore,
   BinaryStoreCorruptionError,
@@ -219,6 +220,103 @@ describe('BinaryVectorStore smoke', () => {
   });
 });
 
+describe('BinaryVectorStore chunk attributes', () => {
+  const attributeChunks = (dir) => [
+    {
+      file: path.join(dir, 'a.js'),
+      startLine: 1,
+      endLine: 9,
+      content: 'class Store { save() {} }',
+      vector: new Float32Array([0.1, 0.2]),
+      language: 'javascript',
+      kind: 'class',
+      symbols: ['Store', 'save'],
+      hash: '0123456789abcdef0123456789abcdef',
+    },
+    {
+      file: path.join(dir, 'README.md'),
+      startLine: 1,
+      endLine: 3,
+      content: '# Usage',
+      vector: new Float32Array([0.3, 0.4]),
+      language: 'markdown',
+      kind: 'doc',
+      symbols: [],
+      hash: 'fedcba9876543210fedcba9876543210',
+      metadata: { kind: 'markdown-section', headingPath: 'Usage' },
+    },
+  ];
+
+  it('round-trips language, kind, symbols and hash', async () => {
+    await withTempDir(async (dir) => {
+      const store = await BinaryVectorStore.write(dir, attributeChunks(dir));
+      await store.close();
+
+      const loaded = await BinaryVectorStore.load(dir);
+      const views = await loaded.toChunkViews();
+      expect(
+        views.map(({ language, kind, symbols, hash }) => [language, kind, symbols, hash])
+      ).toEqual([
+        ['javascript', 'class', ['Store', 'save'], '0123456789abcdef0123456789abcdef'],
+        ['markdown', 'doc', [], 'fedcba9876543210fedcba9876543210'],
+      ]);
+      expect(loaded.getRecord(0).symbols).toEqual(['Store', 'save']);
+      await loaded.close();
+    });
+  });
+
+  it('round-trips chunk metadata', async () => {
+    await withTempDir(async (dir) => {
+      const store = await BinaryVectorStore.write(dir, attributeChunks(dir));
+      await store.close();
+
+      const loaded = await BinaryVectorStore.load(dir);
+      const views = await loaded.toChunkViews();
+      expect(views[0]).not.toHaveProperty('metadata');
+      expect(views[1].metadata).toEqual({ kind: 'markdown-section', headingPath: 'Usage' });
+      expect(loaded.getRecord(1).metadata).toEqual(views[1].metadata);
+      await loaded.close();
+    });
+  });
+
+  it('reads v2 stores, which have no chunk attributes', async () => {
+    await withTempDir(async (dir) => {
+      const store = await BinaryVectorStore.write(dir, attributeChunks(dir));
+      await store.close();
+
+      // Rewrite the store in the v2 layout: 32-byte records and a plain file table.
+      const recordsPath = path.join(dir, 'records.bin');
+      const records = await fs.readFile(recordsPath);
+      const legacy = Buffer.alloc(32 + 2 * 32);
+      records.copy(legacy, 0, 0, 32);
+      for (let i = 0; i < 2; i++) {
+        records.copy(legacy, 32 + i * 32, 32 + i * 64, 32 + i * 64 + 24);
+      }
+      legacy.writeUInt32LE(crc32(legacy.subarray(32)), 20);
+      await fs.writeFile(recordsPath, legacy);
+      for (const name of ['records.bin', 'vectors.bin', 'content.bin']) {
+        const buf = await fs.readFile(path.join(dir, name));
+        buf.writeUInt32LE(2, 4);
+        await fs.writeFile(path.join(dir, name), buf);
+      }
+      const filesPath = path.join(dir, 'files.json');
+      const { writeId, files } = JSON.parse(await fs.readFile(filesPath, 'utf-8'));
+      await fs.writeFile(filesPath, JSON.stringify({ writeId, files }));
+
+      const loaded = await BinaryVectorStore.load(dir);
+      const [view] = await loaded.toChunkViews({ includeContent: true });
+      expect(view).toMatchObject({
+        startLine: 1,
+        endLine: 9,
+        content: 'class Store { save() {} }',
+      });
+      expect(view).not.toHaveProperty('hash');
+      expect(loaded.getRecord(1).file).toBe(path.join(dir, 'README.md'));
+      await loaded.close();
+    });
+  });
+});
+
 describe('BinaryVectorStore integrity checks', () => {
   it('detects CRC32 payload corruption', async () => {
     await withTempDir(async (dir) => {
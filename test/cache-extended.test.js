@@ -51,7 +51,7 @@ describe('EmbeddingsCache additional coverage', () => {
     vi.resetModules();
   });
 
-  it('logs missing metadata, version mismatch, model mismatch, and call-graph loads', async () => {
+  it('logs missing metadata, version, model and header mismatches, and call-graph loads', async () => {
     await withTempDir(async (dir) => {
       const { EmbeddingsCache } = await import('../lib/cache.js');
       const cache = new EmbeddingsCache(makeConfig(dir));
@@ -76,6 +76,17 @@ describe('EmbeddingsCache additional coverage', () => {
       await cache.load();
       expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Embedding model changed'));
 
+      await fs.writeFile(
+        path.join(dir, 'meta.json'),
+        JSON.stringify({ version: 1, embeddingModel: 'test-model', contextualHeaders: true })
+      );
+      await cache.load();
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'Contextual headers setting changed, ignoring cache (true -> false)'
+        )
+      );
+
       await fs.writeFile(
         path.join(dir, 'meta.json'),
         JSON.stringify({ version: 1, embeddingModel: 'test-model' })
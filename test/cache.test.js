@@ -409,6 +409,37 @@ describe('EmbeddingsCache', () => {
     });
   });
 
+  it.each(['binary', 'sqlite'])('keeps chunk metadata across save and load (%s)', async (format) => {
+    await withTempDir(async (dir) => {
+      const config = await createConfig(dir);
+      config.vectorStoreFormat = format;
+      const cache = new EmbeddingsCache(config);
+      const filePath = path.join(dir, 'guide.md');
+      const metadata = { kind: 'markdown-section', headingPath: 'Guide > Setup', header: 'File: guide.md' };
+
+      cache.vectorStore = [
+        {
+          file: filePath,
+          startLine: 3,
+          endLine: 8,
+          content: '## Setup\nRun the installer.',
+          vector: new Float32Array([0.6, 0.8]),
+          metadata,
+        },
+      ];
+      cache.setFileHash(filePath, 'hash-guide', { mtimeMs: 10, size: 20 });
+      await cache.save();
+
+      const reloaded = new EmbeddingsCache(config);
+      await reloaded.load();
+      expect(reloaded.getVectorStore()[0].metadata).toEqual(metadata);
+      expect(reloaded.getChunk(0).metadata).toEqual(metadata);
+
+      await reloaded.close();
+      await cache.close();
+    });
+  });
+
   it('keeps filename-allowed entries when loading sqlite cache', async () => {
     await withTempDir(async (dir) => {
       const config = await createConfig(dir);
@@ -503,6 +534,56 @@ describe('EmbeddingsCache', () => {
     });
   });
 
+  it('derives chunk attributes for older caches and persists them on save', async () => {
+    await withTempDir(async (dir) => {
+      const config = await createConfig(dir);
+      config.vectorStoreFormat = 'binary';
+      config.vectorStoreContentMode = 'external';
+
+      const filePath = path.join(dir, 'legacy.js');
+      const meta = { version: 1, embeddingModel: config.embeddingModel };
+      const cacheData = [
+        {
+          file: filePath,
+          startLine: 1,
+          endLine: 3,
+          content: 'export function loadLegacy() {\n  return 1;\n}',
+          vector: [0.3, 0.4],
+        },
+      ];
+
+      await fs.writeFile(path.join(dir, 'meta.json'), JSON.stringify(meta));
+      await fs.writeFile(path.join(dir, 'embeddings.json'), JSON.stringify(cacheData));
+      await fs.writeFile(path.join(dir, 'file-hashes.json'), JSON.stringify({}));
+
+      const cache = new EmbeddingsCache(config);
+      await cache.load();
+      expect(cache.getVectorStore()[0]).toMatchObject({
+        language: 'javascript',
+        kind: 'function',
+        symbols: ['loadLegacy'],
+      });
+      expect(cache.getVectorStore()[0].hash).toMatch(/^[0-9a-f]{32}$/);
+      expect(cache.describedLegacyChunks).toBe(true);
+
+      await cache.save();
+      expect(cache.describedLegacyChunks).toBe(false);
+      await fs.rm(path.join(dir, 'embeddings.json'));
+
+      const reloaded = new EmbeddingsCache(config);
+      await reloaded.load();
+      expect(reloaded.describedLegacyChunks).toBe(false);
+      expect(reloaded.getVectorStore()[0]).toMatchObject({
+        kind: 'function',
+        symbols: ['loadLegacy'],
+        hash: cache.getVectorStore()[0].hash,
+      });
+
+      await reloaded.close();
+      await cache.close();
+    });
+  });
+
   it('reuses cached ANN vectors', async () => {
     await withTempDir(async (dir) => {
       const config = await createConfig(dir);
@@ -519,6 +600,23 @@ describe('EmbeddingsCache', () => {
     });
   });
 
+  it('advances the index generation when the store changes', async () => {
+    await withTempDir(async (dir) => {
+      const config = await createConfig(dir);
+      const cache = new EmbeddingsCache(config);
+
+      const initial = cache.indexGeneration;
+      cache.addToStore({ file: 'a.js', startLine: 1, endLine: 2, vector: [1, 0] });
+      const afterAdd = cache.indexGeneration;
+      await cache.removeFileFromStore('a.js');
+
+      expect(afterAdd).toBeGreaterThan(initial);
+      expect(cache.indexGeneration).toBeGreaterThan(afterAdd);
+
+      await cache.close();
+    });
+  });
+
   it('loads ANN index from disk and applies efSearch', async () => {
     await withTempDir(async (dir) => {
       const config = await createConfig(dir);
@@ -6,6 +6,8 @@ import {
   buildCallGraph,
   getRelatedFiles,
   extractSymbolsFromContent,
+  extractDefinitionSpans,
+  extractImports,
 } from '../lib/call-graph.js';
 
 describe('Call Graph Extractor', () => {
@@ -224,6 +226,113 @@ describe('Call Graph Extractor', () => {
     });
   });
 
+  describe('extractImports', () => {
+    it('should extract ES imports, re-exports and require calls', () => {
+      const content = [
+        "import fs from 'fs';",
+        "import { load,\n  save } from './store.js';",
+        "import './polyfill';",
+        "export * from '../lib/utils';",
+        "const cfg = require('./config.json');",
+        "const lazy = await import('./lazy.ts');",
+      ].join('\n');
+
+      expect(extractImports(content, 'src/app.ts')).toEqual([
+        'fs',
+        './store.js',
+        './polyfill',
+        '../lib/utils',
+        './config.json',
+        './lazy.ts',
+      ]);
+    });
+
+    it('should extract Python, Go and Rust imports', () => {
+      const python = 'import os, pkg.models as m\nfrom .util import helper\nfrom . import views';
+      expect(extractImports(python, 'pkg/app.py')).toEqual(['.util', '.', 'os', 'pkg.models']);
+
+      const go = 'import "fmt"\nimport (\n  "net/http"\n  st "example.com/app/store"\n)';
+      expect(extractImports(go, 'main.go')).toEqual(['fmt', 'net/http', 'example.com/app/store']);
+
+      const rust = 'use std::io;\nuse crate::store::{Cache, load};\npub use super::util::*;';
+      expect(extractImports(rust, 'src/app.rs')).toEqual([
+        'std::io',
+        'crate::store',
+        'super::util',
+      ]);
+    });
+
+    it('should ignore imports inside comments and string literals', () => {
+      const js = [
+        "// import old from './old.js';",
+        "/* const x = require('./commented'); */",
+        'const msg = "import(\'./in-string\')";',
+        "const tpl = `export * from './in-template'`;",
+        "import real from './real.js';",
+      ].join('\n');
+      expect(extractImports(js, 'src/app.js')).toEqual(['./real.js']);
+
+      const python = '# import secret\ndoc = """\nfrom .ghost import x\n"""\nimport os';
+      expect(extractImports(python, 'pkg/app.py')).toEqual(['os']);
+
+      const go = 'import (\n  "fmt" // was "log"\n)\n// import "unused"';
+      expect(extractImports(go, 'main.go')).toEqual(['fmt']);
+
+      const rust = '// use crate::old;\nlet s = "use crate::fake;";\nuse crate::store;';
+      expect(extractImports(rust, 'src/app.rs')).toEqual(['crate::store']);
+    });
+  });
+
+  describe('import graph', () => {
+    it('should resolve imports to workspace files', () => {
+      const data = (imports) => ({ definitions: [], calls: [], imports });
+      const graph = buildCallGraph(
+        new Map([
+          ['/w/src/app.ts', data(['./store.js', 'react', './ui'])],
+          ['/w/src/store.ts', data([])],
+          ['/w/src/ui/index.tsx', data([])],
+          ['/w/pkg/app.py', data(['.util', 'pkg.models', 'os'])],
+          ['/w/pkg/util.py', data([])],
+          ['/w/pkg/models/__init__.py', data([])],
+          ['/w/cmd/main.go', data(['example.com/app/internal/store', 'fmt'])],
+          ['/w/internal/store/store.go', data([])],
+          ['/w/rs/src/lib.rs', data(['crate::cache::Cache', 'std::io'])],
+          ['/w/rs/src/cache/mod.rs', data(['super::lib'])],
+        ])
+      );
+
+      expect(graph.imports.get('/w/src/app.ts')).toEqual([
+        '/w/src/store.ts',
+        '/w/src/ui/index.tsx',
+      ]);
+      expect(graph.imports.get('/w/pkg/app.py')).toEqual([
+        '/w/pkg/util.py',
+        '/w/pkg/models/__init__.py',
+      ]);
+      expect(graph.imports.get('/w/cmd/main.go')).toEqual(['/w/internal/store/store.go']);
+      expect(graph.imports.get('/w/rs/src/lib.rs')).toEqual(['/w/rs/src/cache/mod.rs']);
+      expect(graph.importedBy.get('/w/src/store.ts')).toEqual(['/w/src/app.ts']);
+      expect(graph.imports.get('/w/rs/src/cache/mod.rs')).toEqual(['/w/rs/src/lib.rs']);
+      expect(graph.importEdges).toBe(7);
+    });
+
+    it('should prefer import neighbours over name-only call links', () => {
+      const graph = buildCallGraph(
+        new Map([
+          ['/w/app.js', { definitions: ['main'], calls: ['load'], imports: ['./store.js'] }],
+          ['/w/store.js', { definitions: ['load'], calls: [], imports: [] }],
+          ['/w/plugin.js', { definitions: ['load'], calls: [], imports: [] }],
+        ])
+      );
+
+      const related = getRelatedFiles(graph, ['load'], 1, ['/w/app.js']);
+
+      expect(related.get('/w/store.js')).toBe(1);
+      expect(related.get('/w/plugin.js')).toBe(0.5);
+      expect(getRelatedFiles(graph, ['load'], 1).get('/w/plugin.js')).toBe(1);
+    });
+  });
+
   describe('extractSymbolsFromContent', () => {
     it('should extract symbols from result snippets', () => {
       const content = `
@@ -237,4 +346,50 @@ describe('Call Graph Extractor', () => {
       expect(symbols).toContain('gamma');
     });
   });
+
+  describe('extractDefinitionSpans', () => {
+    it('should find nested JavaScript definition spans', () => {
+      const content = [
+        "import x from 'y';",
+        'export class Runner extends Base {',
+        '  constructor(a) {',
+        '    this.s = "}{"; // }',
+        '  }',
+        '  async run(items) {',
+        '    return items.map((i) => {',
+        '      return `${i}}`;',
+        '    });',
+        '  }',
+        '}',
+        'const add = (a, b) => a + b;',
+      ].join('\n');
+
+      expect(extractDefinitionSpans(content, 'test.js')).toEqual([
+        { name: 'Runner', kind: 'class', startLine: 2, endLine: 11 },
+        { name: 'constructor', kind: 'function', startLine: 3, endLine: 5 },
+        { name: 'run', kind: 'function', startLine: 6, endLine: 10 },
+        { name: 'add', kind: 'function', startLine: 12, endLine: 12 },
+      ]);
+    });
+
+    it('should use indentation for Python definition spans', () => {
+      const content = [
+        'class Parser:',
+        '    def parse(self):',
+        '        text = """',
+        'def fake():',
+        '"""',
+        '        return text',
+        '',
+        'def main():',
+        '    pass',
+      ].join('\n');
+
+      expect(extractDefinitionSpans(content, 'test.py')).toEqual([
+        { name: 'Parser', kind: 'class', startLine: 1, endLine: 6 },
+        { name: 'parse', kind: 'function', startLine: 2, endLine: 6 },
+        { name: 'main', kind: 'function', startLine: 8, endLine: 9 },
+      ]);
+    });
+  });
 });
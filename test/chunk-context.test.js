@@ -0,0 +1,97 @@
+import path from 'path';
+import { describe, it, expect } from 'vitest';
+import {
+  addContextualHeaders,
+  describeChunk,
+  getEmbeddingText,
+  getLanguageName,
+} from '../lib/chunk-context.js';
+
+const root = path.join(path.sep, 'repo');
+const file = path.join(root, 'lib', 'cache.js');
+const content = [
+  'import fs from "fs";', // 1
+  '', // 2
+  'export class EmbeddingsCache {', // 3
+  '  constructor(config) {', // 4
+  '    this.config = config;', // 5
+  '  }', // 6
+  '', // 7
+  '  async save() {', // 8
+  '    const snapshot = [...this.vectorStore];', // 9
+  '    await fs.promises.writeFile(this.file, JSON.stringify(snapshot));', // 10
+  '  }', // 11
+  '}', // 12
+].join('\n');
+
+const chunksOf = () => [
+  { text: 'import fs from "fs";', startLine: 1, endLine: 2 },
+  { text: 'const snapshot = [...this.vectorStore];', startLine: 9, endLine: 11 },
+];
+
+describe('contextual chunk headers', () => {
+  it('names languages by extension', () => {
+    expect(getLanguageName('src/app.tsx')).toBe('typescript');
+    expect(getLanguageName('Dockerfile')).toBe('dockerfile');
+    expect(getLanguageName('build.gradle')).toBe('gradle');
+    expect(getLanguageName('LICENSE')).toBeNull();
+  });
+
+  it('records file, language and enclosing symbols in metadata', () => {
+    const chunks = addContextualHeaders(chunksOf(), content, file, {
+      contextualHeaders: true,
+      searchDirectory: root,
+    });
+
+    expect(chunks[0].metadata.header).toBe('File: lib/cache.js\nLanguage: javascript');
+    expect(chunks[1].metadata.header).toBe(
+      'File: lib/cache.js\nLanguage: javascript\nSymbols: EmbeddingsCache > save'
+    );
+    expect(chunks[1].text).toBe('const snapshot = [...this.vectorStore];');
+  });
+
+  it('embeds the header while keeping existing metadata', () => {
+    const [chunk] = addContextualHeaders(
+      [{ text: '## Usage\nRun it.', startLine: 1, endLine: 2, metadata: { kind: 'markdown' } }],
+      '## Usage\nRun it.',
+      path.join(root, 'README.md'),
+      { contextualHeaders: true, searchDirectory: root }
+    );
+
+    expect(chunk.metadata).toEqual({
+      kind: 'markdown',
+      header: 'File: README.md\nLanguage: markdown',
+    });
+    expect(getEmbeddingText(chunk)).toBe(
+      'File: README.md\nLanguage: markdown\n\n## Usage\nRun it.'
+    );
+  });
+
+  it('leaves chunks untouched when disabled', () => {
+    const chunks = addContextualHeaders(chunksOf(), content, file, { searchDirectory: root });
+
+    expect(chunks[1]).not.toHaveProperty('metadata');
+    expect(getEmbeddingText(chunks[1])).toBe(chunks[1].text);
+  });
+});
+
+describe('describeChunk', () => {
+  it('derives language, symbols, kind and hash', () => {
+    const described = describeChunk(file, content.split('\n').slice(2).join('\n'));
+
+    expect(described).toMatchObject({
+      language: 'javascript',
+      symbols: ['EmbeddingsCache', 'constructor', 'save'],
+      kind: 'class',
+    });
+    expect(described.hash).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  it('classifies functions, documentation, config and plain code', () => {
+    expect(describeChunk('a.py', 'def run():\n    return 1').kind).toBe('function');
+    expect(describeChunk('README.md', '# Usage').kind).toBe('doc');
+    expect(describeChunk('a.ipynb', 'Notes', { cellType: 'markdown' }).kind).toBe('doc');
+    expect(describeChunk('compose.yml', 'services:').kind).toBe('config');
+    expect(describeChunk('a.js', 'const x = 1;')).toMatchObject({ kind: 'code', symbols: [] });
+  });
+});
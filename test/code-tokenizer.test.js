@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { splitIdentifier, tokenizeCode } from '../lib/code-tokenizer.js';
+import { LexicalIndex, lexicalDocKey } from '../lib/lexical-index.js';
+import { HybridSearch } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub } from './helpers.js';
+
+describe('splitIdentifier', () => {
+  it('splits camelCase, PascalCase and acronyms', () => {
+    expect(splitIdentifier('getUserById')).toEqual(['get', 'user', 'by', 'id']);
+    expect(splitIdentifier('XMLHttpRequest')).toEqual(['xml', 'http', 'request']);
+    expect(splitIdentifier('parseHTTPResponse')).toEqual(['parse', 'http', 'response']);
+  });
+
+  it('splits snake_case, kebab-case and digits', () => {
+    expect(splitIdentifier('get_user_by_id')).toEqual(['get', 'user', 'by', 'id']);
+    expect(splitIdentifier('MAX_RETRY_COUNT')).toEqual(['max', 'retry', 'count']);
+    expect(splitIdentifier('get-user-by-id')).toEqual(['get', 'user', 'by', 'id']);
+    expect(splitIdentifier('utf8Decode')).toEqual(['utf', '8', 'decode']);
+  });
+
+  it('handles empty input', () => {
+    expect(splitIdentifier('')).toEqual([]);
+    expect(splitIdentifier(null)).toEqual([]);
+  });
+});
+
+describe('tokenizeCode', () => {
+  it('emits sub-tokens plus the joined identifier', () => {
+    expect(tokenizeCode('getUserById(id)')).toEqual([
+      'get',
+      'user',
+      'by',
+      'id',
+      'getuserbyid',
+      'id',
+    ]);
+  });
+
+  it('normalizes identifiers across naming styles', () => {
+    const camel = tokenizeCode('getUserById');
+    expect(tokenizeCode('get_user_by_id')).toEqual(camel);
+    expect(tokenizeCode('get-user-by-id')).toEqual(camel);
+  });
+
+  it('drops single-character terms and punctuation', () => {
+    expect(tokenizeCode('a = b + c; // x')).toEqual([]);
+    expect(tokenizeCode('parse json config')).toEqual(['parse', 'json', 'config']);
+  });
+});
+
+describe('identifier-aware lexical scoring', () => {
+  it('matches a camelCase query against snake_case code via BM25', () => {
+    const index = new LexicalIndex();
+    index.addDocument(
+      '/p/users.py',
+      1,
+      3,
+      'def get_user_by_id(user_id):\n    return db.get(user_id)'
+    );
+    index.addDocument('/p/other.py', 1, 3, 'def list_orders():\n    return []');
+
+    const scores = index.score(tokenizeCode('getUserById'));
+
+    expect(scores.get(lexicalDocKey('/p/users.py', 1, 3))).toBeGreaterThan(0);
+    expect(scores.has(lexicalDocKey('/p/other.py', 1, 3))).toBe(false);
+  });
+
+  it('boosts camelCase identifiers for space-separated queries without BM25', async () => {
+    const cache = createHybridSearchCacheStub({
+      vectorStore: [
+        {
+          file: '/mock/a.js',
+          startLine: 1,
+          endLine: 2,
+          content: 'function renderView() {}',
+          vector: new Float32Array([1, 0]),
+        },
+        {
+          file: '/mock/b.js',
+          startLine: 1,
+          endLine: 2,
+          content: 'function parseJsonConfig() {}',
+          vector: new Float32Array([1, 0]),
+        },
+      ],
+    });
+    const hybrid = new HybridSearch(async () => ({ data: new Float32Array([1, 0]) }), cache, {
+      annEnabled: false,
+      semanticWeight: 1,
+      exactMatchBoost: 1,
+      recencyBoost: 0,
+      callGraphEnabled: false,
+      searchDirectory: '/mock',
+    });
+
+    const { results } = await hybrid.search('parse json config', 2);
+
+    expect(results[0].file).toBe('/mock/b.js');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+});
@@ -177,6 +177,83 @@ describe('Configuration Loading', () => {
     });
   });
 
+  it('merges a partial search.rerank object over the defaults', async () => {
+    await withTempDir(async (dir) => {
+      const configData = {
+        smartIndexing: false,
+        search: { rerank: { enabled: true, topN: 20, batchSize: 'many' } },
+      };
+
+      await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify(configData));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const config = await loadConfig(dir);
+
+      expect(config.rerank).toEqual({
+        ...DEFAULT_CONFIG.rerank,
+        enabled: true,
+        topN: 20,
+      });
+      expect(config.search.rerank).toBe(config.rerank);
+    });
+  });
+
+  it('accepts search.recencySource=git and rejects unknown sources', async () => {
+    await withTempDir(async (dir) => {
+      await fs.writeFile(
+        path.join(dir, 'config.json'),
+        JSON.stringify({ smartIndexing: false, search: { recencySource: 'git' } })
+      );
+      const config = await loadConfig(dir);
+      expect(config.recencySource).toBe('git');
+      expect(config.search.recencySource).toBe('git');
+
+      await fs.writeFile(
+        path.join(dir, 'config.json'),
+        JSON.stringify({ smartIndexing: false, search: { recencySource: 'ctime' } })
+      );
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const fallback = await loadConfig(dir);
+      expect(fallback.recencySource).toBe('mtime');
+      expect(console.warn).toHaveBeenCalledWith(
+        '[Config] Invalid recencySource: ctime, using default'
+      );
+    });
+  });
+
+  it('accepts indexing.chunkingMode=ast and rejects unknown modes', async () => {
+    await withTempDir(async (dir) => {
+      await fs.writeFile(
+        path.join(dir, 'config.json'),
+        JSON.stringify({ smartIndexing: false, indexing: { chunkingMode: 'ast' } })
+      );
+      const config = await loadConfig(dir);
+      expect(config.chunkingMode).toBe('ast');
+
+      await fs.writeFile(
+        path.join(dir, 'config.json'),
+        JSON.stringify({ smartIndexing: false, indexing: { chunkingMode: 'lsp' } })
+      );
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const fallback = await loadConfig(dir);
+      expect(fallback.chunkingMode).toBe('smart');
+      expect(console.warn).toHaveBeenCalledWith('[Config] Invalid chunkingMode: lsp, using default');
+    });
+  });
+
+  it('reads indexing.contextualHeaders and its environment override', async () => {
+    await withTempDir(async (dir) => {
+      await fs.writeFile(
+        path.join(dir, 'config.json'),
+        JSON.stringify({ smartIndexing: false, indexing: { contextualHeaders: true } })
+      );
+      expect(DEFAULT_CONFIG.contextualHeaders).toBe(false);
+      expect((await loadConfig(dir)).contextualHeaders).toBe(true);
+
+      process.env.SMART_CODING_CONTEXTUAL_HEADERS = 'false';
+      expect((await loadConfig(dir)).contextualHeaders).toBe(false);
+    });
+  });
+
   it('falls back to legacy top-level keys when grouped namespaces are not provided', async () => {
     await withTempDir(async (dir) => {
       const configData = {
@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { describe, it, expect, vi } from 'vitest';
+import { DuplicateFinder, handleToolCall } from '../features/find-duplicates.js';
+import { parseArgs, normalizeCliArgs } from '../lib/cli.js';
+import { loadConfig } from '../lib/config.js';
+import { EmbeddingsCache } from '../lib/cache.js';
+import { createChunkStub, createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+const root = path.join(path.sep, 'repo');
+
+function chunk(name, startLine, endLine, vector) {
+  return createChunkStub(path.join(root, name), {
+    startLine,
+    endLine,
+    content: `${name}:${startLine}`,
+    vector,
+  });
+}
+
+// Three copies of one block (two overlapping in a.js), a pair of another, and noise.
+const store = [
+  chunk('a.js', 1, 10, [1, 0, 0]),
+  chunk('a.js', 6, 15, [1, 0, 0]),
+  chunk('b.js', 20, 29, [0.995, 0.0999, 0]),
+  chunk('c.js', 1, 10, [0.99, 0, 0.141]),
+  chunk('d.js', 1, 8, [0, 1, 0]),
+  chunk('e.js', 40, 47, [0, 0.98, 0.199]),
+  chunk('f.js', 1, 9, [0, 0, 1]),
+  chunk('g.js', 1, 2, [0, 1, 0]),
+];
+
+function createFinder(overrides = {}, config = {}) {
+  const cache = createHybridSearchCacheStub({ vectorStore: store, ...overrides });
+  return new DuplicateFinder(cache, { searchDirectory: root, annEnabled: false, ...config });
+}
+
+describe('DuplicateFinder', () => {
+  it('clusters copies across files and merges overlapping chunks of one file', async () => {
+    const report = await createFinder().findClusters({ threshold: 0.9, minLines: 5 });
+
+    expect(report.retrieval).toBe('full-scan');
+    expect(report.chunksScanned).toBe(7);
+    expect(report.clusters).toHaveLength(2);
+    expect(
+      report.clusters[0].members.map((m) => [path.basename(m.file), m.startLine, m.endLine])
+    ).toEqual([
+      ['a.js', 1, 15],
+      ['b.js', 20, 29],
+      ['c.js', 1, 10],
+    ]);
+    expect(report.clusters[1].members.map((m) => path.basename(m.file))).toEqual(['d.js', 'e.js']);
+    expect(report.clusters[0].maxSimilarity).toBeGreaterThan(report.clusters[0].avgSimilarity);
+  });
+
+  it('skips short chunks and same-file pairs unless asked', async () => {
+    const sameFile = [chunk('a.js', 1, 6, [1, 0]), chunk('a.js', 20, 25, [1, 0])];
+    const finder = createFinder({
+      getStoreSize: () => sameFile.length,
+      getChunk: (i) => sameFile[i],
+    });
+
+    expect((await finder.findClusters({ minLines: 5 })).clusters).toEqual([]);
+    const report = await finder.findClusters({ minLines: 5, includeSameFile: true });
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0].members.map((m) => m.startLine)).toEqual([1, 20]);
+    expect((await finder.findClusters({ minLines: 7, includeSameFile: true })).clusters).toEqual(
+      []
+    );
+  });
+
+  it('uses ANN neighbours when the index is available', async () => {
+    const queryAnn = vi.fn(async (vector) =>
+      vector[1] > 0.5 ? [4, 5] : vector[2] > 0.5 ? [6] : [0, 1, 2, 3]
+    );
+    const finder = createFinder({ queryAnn }, { annEnabled: true });
+
+    const report = await finder.findClusters({ threshold: 0.9, maxClusters: 1 });
+
+    expect(report.retrieval).toBe('ann');
+    expect(report.totalClusters).toBe(2);
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0].size).toBe(3);
+  });
+
+  it('applies path filters', async () => {
+    const report = await createFinder().findClusters({ excludeGlobs: ['c.js', 'e.js'] });
+
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0].members.map((m) => path.basename(m.file))).toEqual(['a.js', 'b.js']);
+  });
+});
+
+describe('d_find_duplicates tool', () => {
+  it('renders a markdown report with a code preview', async () => {
+    const result = await handleToolCall(
+      createMockRequest('d_find_duplicates', { threshold: 0.9 }),
+      createFinder()
+    );
+    const text = result.content[0].text;
+
+    expect(text).toContain('2 clusters at similarity >= 90%');
+    expect(text).toContain('## Cluster 1: 3 copies');
+    expect(text).toContain('- `a.js` lines 1-15');
+    expect(text).toContain('```js\na.js:1\n```');
+  });
+
+  it('reads the preview under the read lock', async () => {
+    let reading = false;
+    const getChunkContent = vi.fn(async (entry) => (reading ? entry.content : 'stale'));
+    const finder = createFinder({
+      startRead: () => {
+        reading = true;
+      },
+      endRead: () => {
+        reading = false;
+      },
+      getChunkContent,
+    });
+
+    const report = await finder.findClusters({ threshold: 0.9 });
+    const text = finder.formatMarkdown(report);
+
+    expect(getChunkContent).toHaveBeenCalledTimes(2);
+    expect(text).toContain('```js\na.js:1\n```');
+    expect(text).not.toContain('stale');
+  });
+
+  it('returns JSON with workspace-relative paths', async () => {
+    const result = await handleToolCall(
+      createMockRequest('d_find_duplicates', { format: 'json', maxClusters: 1 }),
+      createFinder()
+    );
+    const data = JSON.parse(result.content[0].text);
+
+    expect(data).toMatchObject({ threshold: 0.9, totalClusters: 2, chunksScanned: 7 });
+    expect(data.clusters[0]).toMatchObject({ id: 1, size: 3 });
+    expect(data.clusters[0].members[1]).toMatchObject({
+      relativePath: 'b.js',
+      startLine: 20,
+      endLine: 29,
+    });
+  });
+
+  it('reports an empty index', async () => {
+    const finder = new DuplicateFinder(createHybridSearchCacheStub(), { searchDirectory: root });
+    const result = await handleToolCall(createMockRequest('d_find_duplicates'), finder);
+
+    expect(result.content[0].text).toMatch(/No code has been indexed/);
+  });
+});
+
+describe('--duplicates CLI flags', () => {
+  it('parses the command, threshold and json output', () => {
+    expect(normalizeCliArgs(['dupes', '--threshold', '0.85'])).toEqual([
+      '--duplicates',
+      '--threshold',
+      '0.85',
+    ]);
+
+    const parsed = parseArgs(['node', 'index.js', 'duplicates', '--threshold', '0.85', '--json']);
+    expect(parsed.wantsDuplicates).toBe(true);
+    expect(parsed.duplicateThreshold).toBe(0.85);
+    expect(parsed.wantsJson).toBe(true);
+    expect(parsed.isServerMode).toBe(false);
+    expect(parsed.unknownFlags).toEqual([]);
+  });
+
+  it('ignores out-of-range thresholds', () => {
+    expect(
+      parseArgs(['node', 'index.js', '--duplicates', '--threshold', '2']).duplicateThreshold
+    ).toBeNull();
+  });
+
+  it('writes nothing but the JSON report to stdout with --json', async () => {
+    const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-dupes-')));
+    try {
+      await fs.writeFile(path.join(dir, 'config.json'), '{ "cacheDirectory": ".cache" }');
+      const config = await loadConfig(dir);
+      const chunks = ['a.js', 'b.js'].map((name) =>
+        createChunkStub(path.join(dir, name), {
+          endLine: 10,
+          content: 'function copy() {}\n'.repeat(10),
+          vector: [1, 0, 0, 0],
+        })
+      );
+      for (const chunk of chunks) await fs.writeFile(chunk.file, chunk.content);
+      const cache = new EmbeddingsCache(config);
+      await cache.setVectorStore(chunks);
+      await cache.save();
+      await cache.close();
+
+      const env = { ...process.env };
+      delete env.VITEST;
+      delete env.NODE_ENV;
+      const indexPath = fileURLToPath(new URL('../index.js', import.meta.url));
+      const { stdout } = await promisify(execFile)(
+        process.execPath,
+        [indexPath, '--duplicates', '--json', '--workspace', dir],
+        { env, timeout: 60000 }
+      );
+
+      expect(JSON.parse(stdout).clusters).toHaveLength(1);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, 60000);
+});
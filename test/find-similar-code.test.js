@@ -1,9 +1,12 @@
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
-import { describe, expect, it, vi } from 'vitest';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
 import {
   FindSimilarCode,
   getToolDefinition,
   handleToolCall,
+  parseSourceRef,
 } from '../features/find-similar-code.js';
 
 const makeEmbedder = (vector) => vi.fn().mockResolvedValue({ data: Float32Array.from(vector) });
@@ -223,6 +226,204 @@ describe('FindSimilarCode', () => {
     const definition = getToolDefinition();
 
     expect(definition.name).toBe('d_find_similar_code');
-    expect(definition.inputSchema.required).toContain('code');
+    expect(definition.inputSchema.properties.code.type).toBe('string');
+    expect(definition.inputSchema.properties.symbol.type).toBe('string');
+  });
+});
+
+describe('FindSimilarCode exclusions', () => {
+  const VECTORS = {
+    'known pattern': [0.6, 0, -0.8],
+  };
+
+  function createTool() {
+    const embedder = vi.fn(async (text) => ({
+      data: Float32Array.from(VECTORS[text] ?? [1, 0, 0]),
+    }));
+    const vectorStore = [
+      { file: '/repo/lib/canonical.js', content: 'canonical', vector: [1, 0, 0] },
+      { file: '/repo/lib/copy.js', content: 'copy', vector: [0.95, 0, 0.31] },
+      { file: '/repo/lib/variant.js', content: 'variant', vector: [0.8, 0, 0.6] },
+      { file: '/repo/legacy/old.js', content: 'old', vector: [0.99, 0, 0.14] },
+    ].map((chunk) => ({ startLine: 1, endLine: 5, ...chunk }));
+    const cache = {
+      getVectorStore: () => vectorStore,
+      getChunkVector: (chunk) => chunk.vector,
+      getChunkContent: (chunk) => chunk.content,
+    };
+    const tool = new FindSimilarCode(embedder, cache, { searchDirectory: '/repo' });
+    return { tool, embedder };
+  }
+
+  it('ranks candidates close to excluded snippets lower', async () => {
+    const { tool, embedder } = createTool();
+
+    const plain = await tool.execute({ code: 'find me', maxResults: 4, minSimilarity: 0 });
+    expect(plain.results[0].file).toBe('/repo/lib/canonical.js');
+
+    const { results } = await tool.execute({
+      code: 'find me',
+      maxResults: 4,
+      minSimilarity: 0,
+      excludeSnippets: ['known pattern'],
+    });
+
+    expect(embedder).toHaveBeenCalledWith('known pattern', expect.anything());
+    expect(results.map((r) => r.file)).toEqual([
+      '/repo/lib/variant.js',
+      '/repo/lib/copy.js',
+      '/repo/legacy/old.js',
+      '/repo/lib/canonical.js',
+    ]);
+    expect(results[3].similarity).toBeCloseTo(1);
+    expect(results[3].negativeSimilarity).toBeCloseTo(0.6);
+    expect(results[3].score).toBeCloseTo(1 - 0.5 * 0.6);
+    const text = await tool.formatResults(results);
+    expect(text).toContain('## Similar Code 4 (Relevance: 70.0%)');
+    expect(text).toContain('**Similarity:** 100.0% (closest excluded snippet: 60.0%)');
+    expect(text).toContain('## Similar Code 1 (Relevance:');
+  });
+
+  it('drops chunks identical to an excluded snippet', async () => {
+    const { tool } = createTool();
+
+    const { results } = await tool.execute({
+      code: 'find me',
+      maxResults: 4,
+      minSimilarity: 0,
+      excludeSnippets: ['canonical'],
+    });
+
+    expect(results.map((r) => r.file)).not.toContain('/repo/lib/canonical.js');
+  });
+
+  it('skips excluded files and the file of a source reference', async () => {
+    const { tool } = createTool();
+
+    const response = await handleToolCall(
+      {
+        params: {
+          arguments: {
+            code: 'find me',
+            minSimilarity: 0,
+            excludeFiles: ['legacy/**'],
+            source: 'lib/canonical.js:1-5',
+          },
+        },
+      },
+      tool
+    );
+
+    const text = response.content[0].text;
+    expect(text).toContain('lib/copy.js');
+    expect(text).not.toContain('lib/canonical.js');
+    expect(text).not.toContain('legacy/old.js');
+  });
+
+  it('parses file:line references', () => {
+    expect(parseSourceRef('src/a.js:12')).toEqual({ file: 'src/a.js', startLine: 12, endLine: 12 });
+    expect(parseSourceRef('C:/repo/a.js:3-9')).toEqual({
+      file: 'C:/repo/a.js',
+      startLine: 3,
+      endLine: 9,
+    });
+    expect(parseSourceRef('src/a.js')).toBeNull();
+  });
+});
+
+describe('FindSimilarCode references', () => {
+  let dir;
+  const SOURCE = [
+    'export function parseConfig(text) {', // 1
+    '  const data = JSON.parse(text);', // 2
+    '  return data;', // 3
+    '}', // 4
+    '', // 5
+    'export function other() {', // 6
+    '  return 1;', // 7
+    '}', // 8
+  ].join('\n');
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-similar-ref-'));
+    await fs.writeFile(path.join(dir, 'config.js'), SOURCE);
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function createTool({ callData = {} } = {}) {
+    const embedder = makeEmbedder([0, 1]);
+    const vectorStore = [
+      { file: path.join(dir, 'config.js'), startLine: 1, endLine: 4, vector: [1, 0] },
+      { file: path.join(dir, 'config.js'), startLine: 3, endLine: 8, vector: [0.9, 0.1] },
+      { file: path.join(dir, 'loader.js'), startLine: 1, endLine: 9, vector: [0.95, 0.3] },
+      { file: path.join(dir, 'util.js'), startLine: 1, endLine: 9, vector: [0.1, 1] },
+    ].map((chunk, i) => ({ content: `chunk ${i}`, ...chunk }));
+    const cache = {
+      getVectorStore: () => vectorStore,
+      getChunkVector: (chunk) => chunk.vector,
+      getChunkContent: (chunk) => chunk.content,
+      getFileCallDataKeys: () => Object.keys(callData),
+      getFileCallData: (file) => callData[file],
+    };
+    return { tool: new FindSimilarCode(embedder, cache, { searchDirectory: dir }), embedder };
+  }
+
+  it('reuses the stored vector of a matching chunk and skips the range itself', async () => {
+    const { tool, embedder } = createTool();
+
+    const { results, reference } = await tool.execute({
+      file: 'config.js',
+      startLine: 1,
+      endLine: 4,
+      minSimilarity: 0,
+    });
+
+    expect(embedder).not.toHaveBeenCalled();
+    expect(reference).toMatchObject({ source: 'index', chunkStartLine: 1, chunkEndLine: 4 });
+    expect(results.map((r) => path.basename(r.file))).toEqual(['loader.js', 'util.js']);
+  });
+
+  it('resolves a symbol through the call graph definitions', async () => {
+    const { tool, embedder } = createTool({
+      callData: { [path.join(dir, 'config.js')]: { definitions: ['parseConfig', 'other'] } },
+    });
+
+    const response = await handleToolCall(
+      { params: { arguments: { symbol: 'parseConfig', minSimilarity: 0 } } },
+      tool
+    );
+
+    expect(embedder).not.toHaveBeenCalled();
+    expect(response.content[0].text).toContain(
+      '**Reference:** `config.js` lines 1-4 (`parseConfig`), stored vector of indexed chunk 1-4'
+    );
+  });
+
+  it('embeds ranges that do not match an indexed chunk', async () => {
+    const { tool, embedder } = createTool();
+
+    const { results, reference } = await tool.execute({
+      file: 'config.js',
+      startLine: 2,
+      minSimilarity: 0,
+    });
+
+    expect(embedder).toHaveBeenCalledWith('  const data = JSON.parse(text);', expect.anything());
+    expect(reference.source).toBe('embedded');
+    expect(results[0].file).toBe(path.join(dir, 'util.js'));
+  });
+
+  it('reports unknown or ambiguous symbols', async () => {
+    const callData = {
+      [path.join(dir, 'a.js')]: { definitions: ['run'] },
+      [path.join(dir, 'b.js')]: { definitions: ['run'] },
+    };
+    const { tool } = createTool({ callData });
+
+    expect((await tool.execute({ symbol: 'missing' })).message).toContain('was not found');
+    expect((await tool.execute({ symbol: 'run' })).message).toContain('defined in 2 files');
   });
 });
@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import { GitRecencyIndex, parseBlamePorcelain } from '../lib/git-recency.js';
+import { HybridSearch } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub } from './helpers.js';
+
+const SHA_A = 'a'.repeat(40);
+const SHA_B = 'b'.repeat(40);
+
+function blameEntry(sha, finalLine, time, text) {
+  return [
+    `${sha} ${finalLine} ${finalLine} 1`,
+    'author Dev',
+    `author-time ${time}`,
+    'author-tz +0000',
+    'filename file.js',
+    `\t${text}`,
+  ].join('\n');
+}
+
+function hasGit() {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('parseBlamePorcelain', () => {
+  it('merges consecutive lines with the same author time', () => {
+    const output = [
+      blameEntry(SHA_A, 1, 100, 'one'),
+      blameEntry(SHA_A, 2, 100, 'two'),
+      blameEntry(SHA_B, 3, 200, 'three'),
+      blameEntry(SHA_A, 4, 100, 'four'),
+      '',
+    ].join('\n');
+
+    expect(parseBlamePorcelain(output)).toEqual([
+      [1, 2, 100],
+      [3, 3, 200],
+      [4, 4, 100],
+    ]);
+  });
+
+  it('accepts SHA-256 commit hashes', () => {
+    const output = [
+      blameEntry('c'.repeat(64), 1, 100, 'one'),
+      blameEntry('d'.repeat(64), 2, 200, 'two'),
+      '',
+    ].join('\n');
+
+    expect(parseBlamePorcelain(output)).toEqual([
+      [1, 1, 100],
+      [2, 2, 200],
+    ]);
+  });
+});
+
+describe('GitRecencyIndex', () => {
+  function createIndex() {
+    const index = new GitRecencyIndex();
+    index.files.set(path.resolve('/repo/a.js'), [
+      [1, 10, 100],
+      [11, 20, 300],
+    ]);
+    return index;
+  }
+
+  it('returns the newest change time within a line range', () => {
+    const index = createIndex();
+    const file = path.resolve('/repo/a.js');
+
+    expect(index.getRecency(file, 1, 5)).toBe(100_000);
+    expect(index.getRecency(file, 8, 12)).toBe(300_000);
+    expect(index.getRecency(file)).toBe(300_000);
+    expect(index.getRecency(path.resolve('/repo/missing.js'), 1, 5)).toBeNull();
+  });
+
+  it('round-trips through JSON and ignores other versions', () => {
+    const index = createIndex();
+    index.head = SHA_A;
+    index.untracked.add(path.resolve('/repo/new.js'));
+
+    const restored = GitRecencyIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+    expect(restored.head).toBe(SHA_A);
+    expect(restored.getRecency(path.resolve('/repo/a.js'), 11, 11)).toBe(300_000);
+    expect(restored.untracked.has(path.resolve('/repo/new.js'))).toBe(true);
+
+    expect(GitRecencyIndex.fromJSON({ version: 0, files: {} }).size).toBe(0);
+  });
+});
+
+describe.skipIf(!hasGit())('GitRecencyIndex with a repository', () => {
+  let dir;
+
+  function git(...args) {
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: dir,
+      stdio: 'ignore',
+      env: { ...process.env, GIT_AUTHOR_DATE: '2020-01-01T00:00:00Z' },
+    });
+  }
+
+  beforeAll(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-git-recency-')));
+    git('init', '-q');
+    await fs.writeFile(path.join(dir, 'a.js'), 'one\ntwo\n');
+    await fs.writeFile(path.join(dir, 'b.js'), 'three\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('blames committed lines, treats edits as new and refreshes after commits', async () => {
+    const a = path.join(dir, 'a.js');
+    const b = path.join(dir, 'b.js');
+    const index = new GitRecencyIndex();
+
+    expect(await index.update(dir, [a, b])).toBe(2);
+    expect(index.getRecency(a, 1, 2)).toBe(Date.parse('2020-01-01T00:00:00Z'));
+    expect(await index.update(dir, [a, b])).toBe(0);
+
+    await fs.writeFile(a, 'one\ntwo\nthree\n');
+    const before = Date.now() - 60_000;
+    await index.update(dir, [a, b], [a]);
+    expect(index.getRecency(a, 1, 2)).toBe(Date.parse('2020-01-01T00:00:00Z'));
+    expect(index.getRecency(a, 3, 3)).toBeGreaterThan(before);
+
+    await fs.writeFile(b, 'changed\n');
+    git('commit', '-q', '-am', 'second');
+    expect(await index.update(dir, [a])).toBe(1);
+    expect(index.files.has(path.resolve(b))).toBe(false);
+  });
+
+  it('refreshes files with non-ASCII names changed in new commits', async () => {
+    const file = path.join(dir, 'naïve.js');
+    await fs.writeFile(file, 'one\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'add naive');
+    const index = new GitRecencyIndex();
+    await index.update(dir, [file]);
+
+    await fs.writeFile(file, 'two\n');
+    git('commit', '-q', '-am', 'edit naive');
+    expect(await index.update(dir, [file])).toBe(1);
+  });
+
+  it('re-blames committed files when the workspace is a symlinked subdirectory', async () => {
+    await fs.mkdir(path.join(dir, 'sub'));
+    await fs.writeFile(path.join(dir, 'sub', 'c.js'), 'one\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'add sub');
+    const link = `${dir}-link`;
+    await fs.symlink(dir, link, 'dir');
+    try {
+      const root = path.join(link, 'sub');
+      const file = path.join(root, 'c.js');
+      const index = new GitRecencyIndex();
+      await index.update(root, [file]);
+
+      // Edited on disk and refreshed, then committed without further changes.
+      await fs.writeFile(file, 'one\ntwo\n');
+      await index.update(root, [file], [file]);
+      expect(index.getRecency(file, 2, 2)).toBeGreaterThan(Date.parse('2020-01-02T00:00:00Z'));
+      git('commit', '-q', '-am', 'edit sub');
+
+      expect(await index.update(root, [file])).toBe(1);
+      expect(index.getRecency(file, 2, 2)).toBe(Date.parse('2020-01-01T00:00:00Z'));
+    } finally {
+      await fs.rm(link, { force: true });
+    }
+  });
+
+  it('keeps nothing for directories outside a work tree', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-no-git-'));
+    try {
+      const index = new GitRecencyIndex();
+      expect(await index.update(outside, [path.join(outside, 'x.js')])).toBe(0);
+      expect(index.size).toBe(0);
+    } finally {
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('HybridSearch git recency', () => {
+  const config = {
+    annEnabled: false,
+    semanticWeight: 1,
+    exactMatchBoost: 0,
+    recencyBoost: 0.1,
+    recencyDecayDays: 30,
+    callGraphEnabled: false,
+    searchDirectory: '/mock',
+    resultCacheTtlMs: 0,
+  };
+
+  function createSearch(recencySource, getGitRecency) {
+    const cache = createHybridSearchCacheStub({
+      vectorStore: [
+        {
+          file: '/mock/a.js',
+          startLine: 1,
+          endLine: 5,
+          content: 'alpha',
+          vector: new Float32Array([1, 0]),
+        },
+      ],
+      getGitRecency,
+    });
+    const embedder = async () => ({ data: new Float32Array([1, 0]) });
+    return new HybridSearch(embedder, cache, { ...config, recencySource });
+  }
+
+  it('boosts by the blame time of the chunk lines', async () => {
+    const calls = [];
+    const search = createSearch('git', (file, start, end) => {
+      calls.push([file, start, end]);
+      return Date.now();
+    });
+
+    const { results } = await search.search('query', 1, { explain: true });
+
+    expect(calls).toEqual([['/mock/a.js', 1, 5]]);
+    expect(results[0].explain.recencySource).toBe('git');
+    expect(results[0].explain.recency).toBeCloseTo(0.1, 3);
+    expect(await search.formatResults(results)).toContain(', git)');
+  });
+
+  it('ignores blame data when recencySource is mtime', async () => {
+    const calls = [];
+    const search = createSearch('mtime', () => {
+      calls.push(true);
+      return Date.now();
+    });
+
+    const { results } = await search.search('query', 1, { explain: true });
+
+    expect(calls).toHaveLength(0);
+    expect(results[0].explain.recencySource).toBeUndefined();
+  });
+});
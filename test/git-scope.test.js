@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import { parseScope, parseStatusPorcelain, resolveScopeFiles } from '../lib/git-scope.js';
+import { HybridSearch, handleToolCall } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+function hasGit() {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('parseScope', () => {
+  it('accepts the supported scopes', () => {
+    expect(parseScope(undefined)).toEqual({ type: 'all', ref: null });
+    expect(parseScope('changed')).toEqual({ type: 'changed', ref: null });
+    expect(parseScope('staged')).toEqual({ type: 'staged', ref: null });
+    expect(parseScope('since:origin/main')).toEqual({ type: 'since', ref: 'origin/main' });
+  });
+
+  it('rejects unknown scopes and option-like refs', () => {
+    expect(parseScope('dirty')).toBeNull();
+    expect(parseScope('since:')).toBeNull();
+    expect(parseScope('since:--output=x')).toBeNull();
+    expect(parseScope(42)).toBeNull();
+  });
+});
+
+describe('parseStatusPorcelain', () => {
+  it('reads index and worktree states and the new path of renames', () => {
+    const output = ['M  staged.js', ' M edited.js', 'R  new.js', 'old.js', '?? added.js', ''].join(
+      '\0'
+    );
+
+    expect(parseStatusPorcelain(output)).toEqual([
+      { index: 'M', worktree: ' ', path: 'staged.js' },
+      { index: ' ', worktree: 'M', path: 'edited.js' },
+      { index: 'R', worktree: ' ', path: 'new.js' },
+      { index: '?', worktree: '?', path: 'added.js' },
+    ]);
+  });
+});
+
+describe.skipIf(!hasGit())('git scope in a repository', () => {
+  let repo;
+  let dir;
+
+  function git(...args) {
+    return execFileSync(
+      'git',
+      ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+      { cwd: repo, encoding: 'utf8' }
+    ).trim();
+  }
+
+  async function write(name, content) {
+    await fs.mkdir(path.dirname(path.join(repo, name)), { recursive: true });
+    await fs.writeFile(path.join(repo, name), content);
+  }
+
+  beforeAll(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-git-scope-'));
+    dir = path.join(repo, 'src');
+    git('init', '-q');
+    await write('src/auth.js', 'login\n');
+    await write('src/db.js', 'query\n');
+    await write('src/util.js', 'helper\n');
+    await write('README.md', 'readme\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    git('tag', 'base');
+    await write('src/db.js', 'query v2\n');
+    git('commit', '-q', '-am', 'db');
+    await write('src/auth.js', 'login v2\n');
+    git('add', 'src/auth.js');
+    await write('src/util.js', 'helper v2\n');
+    await write('src/new.js', 'new\n');
+    await write('README.md', 'readme v2\n');
+  });
+
+  afterAll(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('resolves changed, staged and since:<ref> relative to the search directory', async () => {
+    const sorted = async (scope) => Array.from((await resolveScopeFiles(dir, scope)).files).sort();
+
+    expect(await sorted('changed')).toEqual(['auth.js', 'new.js', 'util.js']);
+    expect(await sorted('staged')).toEqual(['auth.js']);
+    expect(await sorted('since:base')).toEqual(['auth.js', 'db.js', 'new.js', 'util.js']);
+    expect((await resolveScopeFiles(dir, 'all')).files).toBeNull();
+  });
+
+  it('reports unknown refs and directories outside a work tree', async () => {
+    expect((await resolveScopeFiles(dir, 'since:no-such-ref')).error).toBe(
+      'Unknown git ref: no-such-ref'
+    );
+
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-no-git-'));
+    try {
+      const { error } = await resolveScopeFiles(outside, 'changed');
+      expect(error).toContain('needs a git work tree');
+    } finally {
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+  });
+
+  it('restricts a_semantic_search to files in scope', async () => {
+    const store = ['auth.js', 'db.js', 'util.js'].map((name, i) => ({
+      file: path.join(dir, name),
+      startLine: 1,
+      endLine: 1,
+      content: name,
+      vector: new Float32Array([1 - i * 0.1, 0]),
+    }));
+    const search = new HybridSearch(
+      async () => ({ data: new Float32Array([1, 0]) }),
+      createHybridSearchCacheStub({ vectorStore: store }),
+      {
+        annEnabled: false,
+        semanticWeight: 1,
+        exactMatchBoost: 0,
+        recencyBoost: 0,
+        callGraphEnabled: false,
+        searchDirectory: dir,
+        maxResults: 5,
+      }
+    );
+
+    const staged = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login', scope: 'staged' }),
+      search
+    );
+    expect(staged.structuredContent.results.map((r) => r.relativePath)).toEqual(['auth.js']);
+
+    const changed = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login', scope: 'changed' }),
+      search
+    );
+    expect(changed.structuredContent.results.map((r) => r.relativePath)).toEqual([
+      'auth.js',
+      'util.js',
+    ]);
+
+    const invalid = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login', scope: 'dirty' }),
+      search
+    );
+    expect(invalid.isError).toBe(true);
+  });
+});
@@ -4,6 +4,7 @@ import { CodebaseIndexer } from '../features/index-codebase.js';
 import { CacheClearer } from '../features/clear-cache.js';
 import { HybridSearch } from '../features/hybrid-search.js';
 import { pipeline } from '@huggingface/transformers';
+import { vi } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
@@ -205,6 +206,42 @@ export function createHybridSearchCacheStub({ vectorStore = [], ...overrides } =
   return { ...base, ...overrides };
 }
 
+// Semantic similarity only: no ANN, boosts or call graph.
+export const HYBRID_SEARCH_TEST_CONFIG = {
+  annEnabled: false,
+  semanticWeight: 1,
+  exactMatchBoost: 0,
+  recencyBoost: 0,
+  callGraphEnabled: false,
+  searchDirectory: '/mock',
+  maxResults: 5,
+};
+
+export function createChunkStub(
+  file,
+  { startLine = 1, endLine = startLine, content = `// ${file}`, vector } = {}
+) {
+  const chunk = { file, startLine, endLine, content };
+  if (vector) chunk.vector = Float32Array.from(vector);
+  return chunk;
+}
+
+/**
+ * HybridSearch over a cache stub holding `store`. The embedder is a spy returning
+ * `queryVectors[text]`, or `queryVector` for any other text.
+ */
+export function createHybridSearchFixture(
+  store,
+  { queryVector = [1, 0], queryVectors = {}, config = {}, cache: cacheOverrides = {} } = {}
+) {
+  const embedder = vi.fn(async (text) => ({
+    data: Float32Array.from(queryVectors[text] ?? queryVector),
+  }));
+  const cache = createHybridSearchCacheStub({ vectorStore: store, ...cacheOverrides });
+  const search = new HybridSearch(embedder, cache, { ...HYBRID_SEARCH_TEST_CONFIG, ...config });
+  return { search, cache, embedder };
+}
+
 export async function waitFor(condition, timeout = 5000, interval = 100) {
   const start = Date.now();
   while (Date.now() - start < timeout) {
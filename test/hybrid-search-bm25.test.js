@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { HybridSearch } from '../features/hybrid-search.js';
+import { LexicalIndex } from '../lib/lexical-index.js';
+import { tokenizeCode } from '../lib/code-tokenizer.js';
+import { createHybridSearchCacheStub } from './helpers.js';
+
+const baseConfig = {
+  annEnabled: false,
+  semanticWeight: 0.7,
+  exactMatchBoost: 0,
+  recencyBoost: 0,
+  callGraphEnabled: false,
+  searchDirectory: '/mock',
+  lexicalWeight: 0.3,
+  fusionMode: 'weighted',
+};
+
+const embedder = async () => ({ data: new Float32Array([1, 0]) });
+
+function createStore() {
+  return [
+    {
+      file: '/mock/a.js',
+      startLine: 1,
+      endLine: 5,
+      content: 'handler handler handler',
+      vector: new Float32Array([0.9, 0.1]),
+    },
+    {
+      file: '/mock/b.js',
+      startLine: 1,
+      endLine: 5,
+      content: 'handler resolveSessionToken',
+      vector: new Float32Array([0.85, 0.15]),
+    },
+    {
+      file: '/mock/c.js',
+      startLine: 1,
+      endLine: 5,
+      content: 'unrelated content',
+      vector: new Float32Array([0.8, 0.2]),
+    },
+  ];
+}
+
+function createCache(store) {
+  const index = new LexicalIndex();
+  for (const chunk of store) {
+    index.addDocument(chunk.file, chunk.startLine, chunk.endLine, chunk.content);
+  }
+  return createHybridSearchCacheStub({
+    vectorStore: store,
+    getLexicalScores: (query) => index.score(tokenizeCode(query)),
+  });
+}
+
+describe('HybridSearch BM25 fusion', () => {
+  it('ranks rare query terms above common ones with weighted fusion', async () => {
+    const hybrid = new HybridSearch(embedder, createCache(createStore()), baseConfig);
+
+    const { results } = await hybrid.search('handler resolveSessionToken', 3);
+
+    expect(results[0].file).toBe('/mock/b.js');
+    expect(results[0].lexicalScore).toBeGreaterThan(results[1].lexicalScore);
+    expect(results[2].file).toBe('/mock/c.js');
+  });
+
+  it('fuses semantic and lexical ranks with RRF', async () => {
+    const hybrid = new HybridSearch(embedder, createCache(createStore()), {
+      ...baseConfig,
+      fusionMode: 'rrf',
+      rrfK: 0,
+    });
+
+    const { results } = await hybrid.search('resolveSessionToken', 3);
+
+    // a.js: semantic rank 1 only -> 1; b.js: semantic rank 2 + lexical rank 1 -> 1.5
+    expect(results.map((r) => r.file)).toEqual(['/mock/b.js', '/mock/a.js', '/mock/c.js']);
+    expect(results[0].score).toBeCloseTo(0.75);
+    expect(results[1].score).toBeCloseTo(0.5);
+  });
+
+  it('falls back to substring matching when the cache has no lexical index', async () => {
+    const cache = createHybridSearchCacheStub({
+      vectorStore: createStore(),
+      getLexicalScores: () => null,
+    });
+    const hybrid = new HybridSearch(embedder, cache, { ...baseConfig, exactMatchBoost: 1 });
+
+    const { results } = await hybrid.search('resolveSessionToken', 3);
+
+    expect(results[0].file).toBe('/mock/b.js');
+    expect(results[0].lexicalScore).toBeUndefined();
+  });
+
+  it('adds top BM25 chunks missed by ANN to the candidate set', async () => {
+    const store = createStore();
+    const cache = createCache(store);
+    cache.queryAnn = async () => [0, 2];
+    const hybrid = new HybridSearch(embedder, cache, { ...baseConfig, annEnabled: true });
+
+    const { results } = await hybrid.search('resolveSessionToken', 2);
+
+    expect(results.map((r) => r.file)).toContain('/mock/b.js');
+  });
+});
@@ -92,7 +92,7 @@ describe('HybridSearch Branch Coverage', () => {
     expect(results[0].score).toBe(1);
   });
 
-  it('should skip call graph boost if no symbols from top results', async () => {
+  it('should pass only top-result files to the call graph if they have no symbols', async () => {
     const vectorStore = [
       {
         file: 'no-symbols.js',
@@ -105,7 +105,7 @@ describe('HybridSearch Branch Coverage', () => {
     const cache = createHybridSearchCacheStub({
       vectorStore,
       queryAnn: async () => null,
-      getRelatedFiles: vi.fn(),
+      getRelatedFiles: vi.fn(async () => new Map()),
     });
     const config = {
       annEnabled: false,
@@ -120,7 +120,7 @@ describe('HybridSearch Branch Coverage', () => {
     const hybrid = new HybridSearch(embedder, cache, config);
 
     await hybrid.search('query', 1);
-    expect(cache.getRelatedFiles).not.toHaveBeenCalled();
+    expect(cache.getRelatedFiles).toHaveBeenCalledWith([], ['no-symbols.js']);
   });
 
   it('should skip chunks without content in exact match fallback (line 113)', async () => {
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { handleToolCall } from '../features/hybrid-search.js';
+import { createChunkStub, createHybridSearchFixture, createMockRequest } from './helpers.js';
+
+function chunk(file, startLine, endLine, x) {
+  const lines = [];
+  for (let line = startLine; line <= endLine; line++) lines.push(`line ${line}`);
+  return createChunkStub(file, {
+    startLine,
+    endLine,
+    content: lines.join('\n'),
+    vector: [x, Math.sqrt(1 - x * x)],
+  });
+}
+
+function createStore() {
+  return [
+    chunk('/mock/a.js', 1, 10, 0.99),
+    chunk('/mock/a.js', 8, 18, 0.98),
+    chunk('/mock/a.js', 30, 40, 0.97),
+    chunk('/mock/a.js', 50, 60, 0.96),
+    chunk('/mock/b.js', 1, 5, 0.9),
+  ];
+}
+
+function createSearch(config = {}) {
+  return createHybridSearchFixture(createStore(), { config }).search;
+}
+
+describe('HybridSearch result diversity', () => {
+  it('merges overlapping chunks from the same file into one hit', async () => {
+    const { results } = await createSearch().search('query', 5);
+
+    expect(results.map((r) => [r.file, r.startLine, r.endLine])).toEqual([
+      ['/mock/a.js', 1, 18],
+      ['/mock/a.js', 30, 40],
+      ['/mock/a.js', 50, 60],
+      ['/mock/b.js', 1, 5],
+    ]);
+    const lines = results[0].content.split('\n');
+    expect(lines).toHaveLength(18);
+    expect(lines[0]).toBe('line 1');
+    expect(lines[17]).toBe('line 18');
+  });
+
+  it('keeps overlapping chunks separate when merging is disabled', async () => {
+    const { results } = await createSearch({ mergeOverlappingResults: false }).search('query', 5);
+
+    expect(results).toHaveLength(5);
+    expect(results[1].content).toBe(createStore()[1].content);
+  });
+
+  it('caps results per file', async () => {
+    const { results } = await createSearch({ maxResultsPerFile: 2 }).search('query', 5);
+
+    expect(results.map((r) => r.file)).toEqual(['/mock/a.js', '/mock/a.js', '/mock/b.js']);
+  });
+
+  it('lets the tool argument override the configured per-file cap', async () => {
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'query', maxResultsPerFile: 1 }),
+      createSearch({ maxResultsPerFile: 2 })
+    );
+
+    expect(response.structuredContent.results.map((r) => r.relativePath)).toEqual(['a.js', 'b.js']);
+    expect(response.structuredContent.results[0].endLine).toBe(18);
+  });
+});
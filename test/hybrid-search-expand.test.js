@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { HybridSearch, getToolDefinition, handleToolCall } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+const SOURCE = [
+  "import { load } from './load.js';", // 1
+  '', // 2
+  'export class Loader {', // 3
+  '  constructor(dir) {', // 4
+  '    this.dir = dir;', // 5
+  '  }', // 6
+  '', // 7
+  '  async readAll(files) {', // 8
+  '    const out = [];', // 9
+  '    for (const file of files) {', // 10
+  '      out.push(await load(this.dir, file));', // 11
+  '    }', // 12
+  '    return out;', // 13
+  '  }', // 14
+  '}', // 15
+  '', // 16
+  'export function countLines(text) {', // 17
+  "  return text.split('\\n').length;", // 18
+  '}', // 19
+];
+
+let dir;
+let file;
+
+function lines(start, end) {
+  return SOURCE.slice(start - 1, end).join('\n');
+}
+
+function createSearch(store) {
+  const cache = createHybridSearchCacheStub({ vectorStore: store });
+  return new HybridSearch(async () => ({ data: new Float32Array([1, 0]) }), cache, {
+    annEnabled: false,
+    semanticWeight: 1,
+    exactMatchBoost: 0,
+    recencyBoost: 0,
+    callGraphEnabled: false,
+    searchDirectory: dir,
+    resultCacheTtlMs: 0,
+    maxResults: 5,
+  });
+}
+
+function chunk(startLine, endLine, x, overrides = {}) {
+  return {
+    file,
+    startLine,
+    endLine,
+    content: lines(startLine, endLine),
+    vector: new Float32Array([x, Math.sqrt(1 - x * x)]),
+    ...overrides,
+  };
+}
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-expand-'));
+  file = path.join(dir, 'loader.js');
+  await fs.writeFile(file, SOURCE.join('\n'));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('HybridSearch context expansion', () => {
+  it('leaves hits untouched by default', async () => {
+    const { results } = await createSearch([chunk(10, 12, 0.9)]).search('query', 5);
+
+    expect(results[0]).toMatchObject({ startLine: 10, endLine: 12 });
+    expect(results[0].chunkLines).toBeUndefined();
+  });
+
+  it('widens a hit to its enclosing method', async () => {
+    const { results } = await createSearch([chunk(10, 12, 0.9)]).search('query', 5, {
+      expandTo: 'symbol',
+    });
+
+    expect(results[0]).toMatchObject({
+      startLine: 8,
+      endLine: 14,
+      chunkLines: { startLine: 10, endLine: 12 },
+      symbols: ['readAll'],
+    });
+    expect(results[0].content).toBe(lines(8, 14));
+  });
+
+  it('covers every definition a hit spans and drops hits now inside a better one', async () => {
+    const store = [chunk(13, 18, 0.95), chunk(17, 18, 0.9)];
+    const { results } = await createSearch(store).search('query', 5, { expandTo: 'symbol' });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      startLine: 8,
+      endLine: 19,
+      symbols: ['readAll', 'countLines'],
+    });
+  });
+
+  it('keeps the indexed range when the file changed since indexing', async () => {
+    const stale = chunk(10, 12, 0.9, { content: 'something else' });
+    const { results } = await createSearch([stale]).search('query', 5, { expandTo: 'symbol' });
+
+    expect(results[0]).toMatchObject({ startLine: 10, endLine: 12, content: 'something else' });
+  });
+
+  it('attaches the file outline once per file', async () => {
+    const store = [chunk(4, 6, 0.95), chunk(17, 19, 0.9)];
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'query', expandTo: 'file-outline' }),
+      createSearch(store)
+    );
+
+    const [first, second] = response.structuredContent.results;
+    expect(first.outline.map((entry) => entry.name)).toEqual([
+      'Loader',
+      'constructor',
+      'readAll',
+      'countLines',
+    ]);
+    expect(second.outline).toBeUndefined();
+
+    const text = response.content[0].text;
+    expect(text).toContain('**Lines:** 4-6 (matched 4-6, in `constructor`)');
+    expect(text).toContain('**Outline of `loader.js`:**');
+    expect(text).toContain('- class `Loader` (L3-15)\n  - function `constructor` (L4-6)');
+  });
+
+  it('declares the expandTo parameter', () => {
+    const toolDef = getToolDefinition({ maxResults: 5 });
+    expect(toolDef.inputSchema.properties.expandTo.enum).toEqual([
+      'none',
+      'symbol',
+      'file-outline',
+    ]);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { HybridSearch, createPathFilter, handleToolCall } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+const ROOT = path.resolve('/mock');
+
+const baseConfig = {
+  annEnabled: false,
+  semanticWeight: 1,
+  exactMatchBoost: 0,
+  recencyBoost: 0,
+  callGraphEnabled: false,
+  searchDirectory: ROOT,
+  maxResults: 10,
+};
+
+function chunk(relPath, vector, startLine = 1) {
+  return {
+    file: path.join(ROOT, relPath),
+    startLine,
+    endLine: startLine + 5,
+    content: `content of ${relPath}`,
+    vector: new Float32Array(vector),
+  };
+}
+
+const embedder = async () => ({ data: new Float32Array([1, 0]) });
+
+function buildStore() {
+  return [
+    chunk('src/app.ts', [1, 0]),
+    chunk('src/app.test.ts', [0.95, 0.05]),
+    chunk('lib/util.js', [0.9, 0.1]),
+    chunk('lib/nested/helper.py', [0.85, 0.15]),
+    chunk('README.md', [0.8, 0.2]),
+  ];
+}
+
+describe('createPathFilter', () => {
+  it('returns null when no filters are set', () => {
+    expect(createPathFilter({}, ROOT)).toBeNull();
+    expect(createPathFilter({ includeGlobs: [], languages: [] }, ROOT)).toBeNull();
+  });
+
+  it('matches include globs against workspace-relative paths', () => {
+    const filter = createPathFilter({ includeGlobs: ['src/**/*.ts'] }, ROOT);
+    expect(filter(path.join(ROOT, 'src/app.ts'))).toBe(true);
+    expect(filter(path.join(ROOT, 'lib/util.js'))).toBe(false);
+  });
+
+  it('matches basename-only globs anywhere in the tree', () => {
+    const filter = createPathFilter({ excludeGlobs: ['*.test.ts'] }, ROOT);
+    expect(filter(path.join(ROOT, 'src/app.test.ts'))).toBe(false);
+    expect(filter(path.join(ROOT, 'src/app.ts'))).toBe(true);
+  });
+
+  it('normalizes language extensions', () => {
+    const filter = createPathFilter({ languages: ['.PY', '*.md'] }, ROOT);
+    expect(filter(path.join(ROOT, 'lib/nested/helper.py'))).toBe(true);
+    expect(filter(path.join(ROOT, 'README.md'))).toBe(true);
+    expect(filter(path.join(ROOT, 'lib/util.js'))).toBe(false);
+  });
+
+  it('strips a leading ./ from pathPrefix', () => {
+    const filter = createPathFilter({ pathPrefix: './lib/' }, ROOT);
+    expect(filter(path.join(ROOT, 'lib/nested/helper.py'))).toBe(true);
+    expect(filter(path.join(ROOT, 'src/app.ts'))).toBe(false);
+  });
+
+  it('matches pathPrefix on whole path segments', () => {
+    const filter = createPathFilter({ pathPrefix: 'lib' }, ROOT);
+    expect(filter(path.join(ROOT, 'lib/util.js'))).toBe(true);
+    expect(filter(path.join(ROOT, 'library/util.js'))).toBe(false);
+    expect(
+      createPathFilter({ pathPrefix: 'lib/util.js' }, ROOT)(path.join(ROOT, 'lib/util.js'))
+    ).toBe(true);
+  });
+});
+
+describe('HybridSearch filters', () => {
+  it('applies filters during the full scan before truncation', async () => {
+    const cache = createHybridSearchCacheStub({ vectorStore: buildStore() });
+    const hybrid = new HybridSearch(embedder, cache, baseConfig);
+
+    const { results } = await hybrid.search('anything', 2, {
+      pathPrefix: 'lib/',
+    });
+
+    expect(results.map((r) => path.relative(ROOT, r.file).split(path.sep).join('/'))).toEqual([
+      'lib/util.js',
+      'lib/nested/helper.py',
+    ]);
+  });
+
+  it('combines include, exclude and language filters', async () => {
+    const cache = createHybridSearchCacheStub({ vectorStore: buildStore() });
+    const hybrid = new HybridSearch(embedder, cache, baseConfig);
+
+    const { results } = await hybrid.search('anything', 5, {
+      includeGlobs: ['src/**'],
+      excludeGlobs: ['**/*.test.ts'],
+      languages: ['ts'],
+    });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].file).toBe(path.join(ROOT, 'src/app.ts'));
+  });
+
+  it('filters ANN candidates and falls back to a full scan when too few remain', async () => {
+    const store = buildStore();
+    let annCalls = 0;
+    const cache = createHybridSearchCacheStub({
+      vectorStore: store,
+      queryAnn: async () => {
+        annCalls += 1;
+        return [0, 1, 2];
+      },
+    });
+    const hybrid = new HybridSearch(embedder, cache, { ...baseConfig, annEnabled: true });
+
+    const { results } = await hybrid.search('anything', 2, { languages: ['py', 'md'] });
+
+    expect(annCalls).toBe(1);
+    expect(results.map((r) => path.basename(r.file))).toEqual(['helper.py', 'README.md']);
+  });
+
+  it('keeps filtered ANN candidates when enough remain', async () => {
+    const cache = createHybridSearchCacheStub({
+      vectorStore: buildStore(),
+      queryAnn: async () => [0, 1, 2, 3],
+    });
+    const hybrid = new HybridSearch(embedder, cache, { ...baseConfig, annEnabled: true });
+
+    const { results } = await hybrid.search('anything', 1, { excludeGlobs: ['src/**'] });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].file).toBe(path.join(ROOT, 'lib/util.js'));
+  });
+
+  it('passes filter arguments from the tool call', async () => {
+    const cache = createHybridSearchCacheStub({ vectorStore: buildStore() });
+    const hybrid = new HybridSearch(embedder, cache, baseConfig);
+
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', {
+        query: 'anything',
+        maxResults: 5,
+        languages: ['md'],
+      }),
+      hybrid
+    );
+
+    const text = response.content[0].text;
+    expect(text).toContain('README.md');
+    expect(text).not.toContain('app.ts');
+  });
+});
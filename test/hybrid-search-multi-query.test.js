@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { getToolDefinition, handleToolCall } from '../features/hybrid-search.js';
+import { createChunkStub, createHybridSearchFixture, createMockRequest } from './helpers.js';
+
+const QUERY_VECTORS = {
+  'user login': [1, 0, 0],
+  'sign in': [0, 1, 0],
+  authenticate: [0, 0, 1],
+};
+
+function createSearch() {
+  const store = [
+    ['/mock/login.js', [0.9, 0.1, 0.1]],
+    ['/mock/session.js', [0.55, 0.55, 0.55]],
+    ['/mock/signin.js', [0.1, 0.9, 0.1]],
+    ['/mock/auth.js', [0.1, 0.1, 0.9]],
+  ].map(([file, vector]) => createChunkStub(file, { endLine: 3, vector }));
+  return createHybridSearchFixture(store, {
+    queryVectors: QUERY_VECTORS,
+    config: { resultCacheTtlMs: 0 },
+  });
+}
+
+describe('HybridSearch multi-query fusion', () => {
+  it('ranks chunks that match every phrasing above single-phrasing matches', async () => {
+    const { embedder, search } = createSearch();
+
+    const { results } = await search.search('user login', 4, {
+      queries: ['sign in', 'authenticate'],
+    });
+
+    expect(embedder).toHaveBeenCalledTimes(3);
+    expect(results[0].file).toBe('/mock/session.js');
+    expect(results.map((r) => r.file).sort()).toEqual([
+      '/mock/auth.js',
+      '/mock/login.js',
+      '/mock/session.js',
+      '/mock/signin.js',
+    ]);
+    expect(results[0].score).toBeLessThanOrEqual(1);
+  });
+
+  it('ignores duplicate and blank alternates', async () => {
+    const { embedder, search } = createSearch();
+
+    const { results } = await search.search('user login', 1, {
+      queries: [' User Login ', '', 'user login'],
+    });
+
+    expect(embedder).toHaveBeenCalledTimes(1);
+    expect(results[0].file).toBe('/mock/login.js');
+  });
+
+  it('reports per-query ranks when explain is requested', async () => {
+    const { search } = createSearch();
+
+    const { results } = await search.search('user login', 1, {
+      queries: ['sign in', 'authenticate'],
+      explain: true,
+    });
+
+    expect(results[0].explain.queryRanks).toEqual([2, 2, 2]);
+    expect(results[0].explain.queryFusion).toBe(results[0].score);
+    const text = await search.formatResults(results);
+    expect(text).toContain('queryFusion=');
+    expect(text).toContain('(ranks 2/2/2)');
+  });
+});
+
+describe('a_semantic_search queries argument', () => {
+  it('declares the queries parameter', () => {
+    const toolDef = getToolDefinition({ maxResults: 5 });
+    expect(toolDef.inputSchema.properties.queries.type).toBe('array');
+  });
+
+  it('passes alternate phrasings through to the search', async () => {
+    const { embedder, search } = createSearch();
+
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', {
+        query: 'user login',
+        queries: ['sign in', 'authenticate'],
+        maxResults: 1,
+      }),
+      search
+    );
+
+    expect(embedder).toHaveBeenCalledTimes(3);
+    expect(response.structuredContent.results[0].relativePath).toBe('session.js');
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { HybridSearch, getToolDefinition, handleToolCall } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+const ROOT = path.resolve('/mock');
+
+const config = {
+  annEnabled: false,
+  semanticWeight: 1,
+  exactMatchBoost: 0,
+  recencyBoost: 0,
+  callGraphEnabled: false,
+  searchDirectory: ROOT,
+  maxResults: 5,
+};
+
+const embedder = async () => ({ data: new Float32Array([1, 0]) });
+
+function createSearch(store) {
+  return new HybridSearch(embedder, createHybridSearchCacheStub({ vectorStore: store }), config);
+}
+
+const store = [
+  {
+    file: path.join(ROOT, 'src', 'auth.ts'),
+    startLine: 10,
+    endLine: 20,
+    content: 'export function login() {}',
+    vector: new Float32Array([1, 0]),
+  },
+  {
+    file: path.join(ROOT, 'README.md'),
+    startLine: 1,
+    endLine: 3,
+    content: '# Readme',
+    vector: new Float32Array([0.5, 0.5]),
+  },
+];
+
+describe('a_semantic_search output formats', () => {
+  it('declares an output schema and format argument', () => {
+    const toolDef = getToolDefinition(config);
+    expect(toolDef.outputSchema.type).toBe('object');
+    expect(toolDef.outputSchema.properties.results.type).toBe('array');
+    expect(toolDef.inputSchema.properties.format.enum).toEqual(['markdown', 'json']);
+  });
+
+  it('returns structured hits alongside markdown text by default', async () => {
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login' }),
+      createSearch(store)
+    );
+
+    expect(response.content[0].text).toContain('## Result 1');
+    expect(response.structuredContent.query).toBe('login');
+    expect(response.structuredContent.results[0]).toEqual({
+      rank: 1,
+      file: path.join(ROOT, 'src', 'auth.ts'),
+      relativePath: 'src/auth.ts',
+      startLine: 10,
+      endLine: 20,
+      language: 'ts',
+      score: 1,
+      relevance: 1,
+      scores: { semantic: 1, lexical: null, rerank: null },
+      content: 'export function login() {}',
+    });
+    expect(response.structuredContent.results[1].language).toBe('md');
+  });
+
+  it('returns JSON text when format is json', async () => {
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login', format: 'json' }),
+      createSearch(store)
+    );
+
+    expect(JSON.parse(response.content[0].text)).toEqual(response.structuredContent);
+  });
+
+  it('includes structured content for the not-indexed message', async () => {
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login', format: 'json' }),
+      createSearch([])
+    );
+
+    expect(response.structuredContent.results).toEqual([]);
+    expect(response.structuredContent.message).toContain('No code has been indexed');
+  });
+});
+
+describe('a_semantic_search explain', () => {
+  it('records each score component per result', async () => {
+    const hybrid = new HybridSearch(embedder, createHybridSearchCacheStub({ vectorStore: store }), {
+      ...config,
+      semanticWeight: 0.7,
+      exactMatchBoost: 0.5,
+    });
+
+    const { results } = await hybrid.search('login', 2, { explain: true });
+    const [top] = results;
+
+    expect(top.explain).toMatchObject({
+      retrieval: 'full-scan',
+      semantic: 0.7,
+      textMatch: 0.5,
+      textMatchType: 'exact',
+      recency: 0,
+      callGraph: 0,
+    });
+    const { semantic, lexical, rrf, textMatch, recency, callGraph } = top.explain;
+    expect(semantic + lexical + rrf + textMatch + recency + callGraph).toBeCloseTo(top.score);
+  });
+
+  it('adds the breakdown to markdown and structured output only when requested', async () => {
+    const search = createSearch(store);
+    const explained = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login', explain: true }),
+      search
+    );
+    const plain = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'login' }),
+      search
+    );
+
+    expect(explained.content[0].text).toContain('**Score breakdown:** retrieval=full-scan');
+    expect(explained.structuredContent.results[0].explain.retrieval).toBe('full-scan');
+    expect(plain.content[0].text).not.toContain('Score breakdown');
+    expect(plain.structuredContent.results[0].explain).toBeUndefined();
+  });
+});
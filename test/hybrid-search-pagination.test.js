@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { handleToolCall } from '../features/hybrid-search.js';
+import { createChunkStub, createHybridSearchFixture, createMockRequest } from './helpers.js';
+
+function createStore() {
+  return [0.9, 0.8, 0.7, 0.6, 0.5].map((x, i) =>
+    createChunkStub(`/mock/file${i}.js`, {
+      endLine: 5,
+      content: `chunk ${i}`,
+      vector: [x, Math.sqrt(1 - x * x)],
+    })
+  );
+}
+
+function createSearch(config = {}, store = createStore(), cache = {}) {
+  const { search, ...rest } = createHybridSearchFixture(store, {
+    config: { maxResults: 2, ...config },
+    cache: { indexGeneration: 0, ...cache },
+  });
+  return { hybrid: search, ...rest };
+}
+
+const files = (results) => results.map((r) => r.file);
+
+describe('HybridSearch pagination', () => {
+  it('serves later pages by offset from the cached ranking', async () => {
+    const { hybrid, embedder } = createSearch();
+
+    const first = await hybrid.search('chunk', 2);
+    const second = await hybrid.search('chunk', 2, { offset: 2 });
+
+    expect(files(first.results)).toEqual(['/mock/file0.js', '/mock/file1.js']);
+    expect(files(second.results)).toEqual(['/mock/file2.js', '/mock/file3.js']);
+    expect(second.offset).toBe(2);
+    expect(embedder).toHaveBeenCalledTimes(1);
+  });
+
+  it('follows nextCursor until the ranking is exhausted', async () => {
+    const { hybrid } = createSearch();
+
+    const first = await hybrid.search('chunk', 2);
+    const second = await hybrid.search('chunk', 2, { cursor: first.nextCursor });
+    const third = await hybrid.search('chunk', 2, { cursor: second.nextCursor });
+
+    expect(files(second.results)).toEqual(['/mock/file2.js', '/mock/file3.js']);
+    expect(files(third.results)).toEqual(['/mock/file4.js']);
+    expect(third.offset).toBe(4);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  it('invalidates cursors when the index changes', async () => {
+    const { hybrid, cache, embedder } = createSearch();
+
+    const first = await hybrid.search('chunk', 2);
+    cache.indexGeneration++;
+    const stale = await hybrid.search('chunk', 2, { cursor: first.nextCursor });
+    await hybrid.search('chunk', 2, { offset: 2 });
+
+    expect(stale.results).toEqual([]);
+    expect(stale.message).toContain('Cursor expired');
+    expect(embedder).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a cursor issued for a different query', async () => {
+    const { hybrid } = createSearch();
+
+    const first = await hybrid.search('chunk', 2);
+    const other = await hybrid.search('other', 2, { cursor: first.nextCursor });
+
+    expect(other.message).toContain('Cursor expired');
+  });
+
+  it('keeps paging when the per-file cap shortens an ANN page', async () => {
+    const store = createStore().map((chunk, i) =>
+      i < 2 ? { ...chunk, file: '/mock/a.js' } : chunk
+    );
+    const { hybrid } = createSearch({ annEnabled: true, maxResultsPerFile: 1 }, store, {
+      queryAnn: async (_vector, k) => store.slice(0, k).map((_chunk, i) => i),
+    });
+
+    const first = await hybrid.search('chunk', 2);
+    const second = await hybrid.search('chunk', 2, { cursor: first.nextCursor });
+
+    expect(files(first.results)).toEqual(['/mock/a.js']);
+    expect(first.nextCursor).not.toBeNull();
+    expect(files(second.results)).toEqual(['/mock/file2.js']);
+    expect(second.offset).toBe(1);
+    expect(second.nextCursor).not.toBeNull();
+  });
+
+  it('re-scores every page when the result cache is disabled', async () => {
+    const { hybrid, embedder } = createSearch({ resultCacheTtlMs: 0 });
+
+    const first = await hybrid.search('chunk', 2);
+    const second = await hybrid.search('chunk', 2, { offset: 2 });
+
+    expect(first.nextCursor).toBeNull();
+    expect(files(second.results)).toEqual(['/mock/file2.js', '/mock/file3.js']);
+    expect(embedder).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns offset-based ranks and nextCursor from the tool', async () => {
+    const { hybrid } = createSearch();
+
+    const response = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'chunk', offset: 2 }),
+      hybrid
+    );
+
+    expect(response.content[0].text).toContain('## Result 3');
+    expect(response.content[0].text).toContain(response.structuredContent.nextCursor);
+    expect(response.structuredContent.offset).toBe(2);
+    expect(response.structuredContent.results.map((r) => r.rank)).toEqual([3, 4]);
+  });
+});
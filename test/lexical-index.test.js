@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { LexicalIndex, lexicalDocKey } from '../lib/lexical-index.js';
+import { tokenizeCode } from '../lib/code-tokenizer.js';
+import { EmbeddingsCache } from '../lib/cache.js';
+import { loadConfig } from '../lib/config.js';
+
+describe('LexicalIndex', () => {
+  it('weights rare terms above common ones', () => {
+    const index = new LexicalIndex();
+    index.addDocument('/p/a.js', 1, 5, 'handler handler parseToken');
+    index.addDocument('/p/b.js', 1, 5, 'handler handler handler');
+    index.addDocument('/p/c.js', 1, 5, 'handler other words');
+
+    const scores = index.score(tokenizeCode('handler parseToken'));
+    const rare = scores.get(lexicalDocKey('/p/a.js', 1, 5));
+    const common = scores.get(lexicalDocKey('/p/b.js', 1, 5));
+
+    expect(scores.size).toBe(3);
+    expect(rare).toBeGreaterThan(common);
+  });
+
+  it('removes every chunk of a file', () => {
+    const index = new LexicalIndex();
+    index.addDocument('/p/a.js', 1, 5, 'alpha beta');
+    index.addDocument('/p/a.js', 6, 10, 'gamma');
+    index.addDocument('/p/b.js', 1, 5, 'alpha');
+
+    index.removeFile('/p/a.js');
+
+    expect(index.size).toBe(1);
+    expect(index.postings.has('gamma')).toBe(false);
+    expect(Array.from(index.score(['alpha']).keys())).toEqual([lexicalDocKey('/p/b.js', 1, 5)]);
+  });
+
+  it('round-trips through JSON', () => {
+    const index = new LexicalIndex();
+    index.addDocument('/p/a.js', 1, 5, 'alpha beta beta');
+    index.addDocument('/p/b.js', 3, 9, 'beta gamma');
+    index.removeFile('/p/a.js');
+    index.addDocument('/p/c.js', 2, 4, 'alpha');
+
+    const restored = LexicalIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+
+    expect(restored.size).toBe(2);
+    expect(restored.totalLength).toBe(index.totalLength);
+    expect(restored.score(['alpha', 'beta'])).toEqual(index.score(['alpha', 'beta']));
+  });
+
+  it('ignores data from another index version', () => {
+    const restored = LexicalIndex.fromJSON({ version: 0, docs: [['/p/a.js', 1, 2]] });
+    expect(restored.size).toBe(0);
+  });
+});
+
+describe('EmbeddingsCache lexical index', () => {
+  async function createCache(dir) {
+    const config = await loadConfig();
+    config.cacheDirectory = dir;
+    config.searchDirectory = dir;
+    config.enableCache = true;
+    config.vectorStoreFormat = 'json';
+    config.embeddingModel = 'test-model';
+    config.annEnabled = false;
+    config.bm25Enabled = true;
+    config.saveDebounceMs = 0;
+    return new EmbeddingsCache(config);
+  }
+
+  it('tracks store changes and persists the index', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-lexical-'));
+    try {
+      const fileA = path.join(dir, 'a.js');
+      const fileB = path.join(dir, 'b.js');
+      const cache = await createCache(dir);
+      cache.addToStore({
+        file: fileA,
+        startLine: 1,
+        endLine: 2,
+        content: 'parseToken',
+        vector: [1, 0],
+      });
+      cache.addToStore({
+        file: fileB,
+        startLine: 1,
+        endLine: 2,
+        content: 'renderView',
+        vector: [0, 1],
+      });
+
+      expect(cache.isLexicalIndexComplete()).toBe(true);
+      expect(cache.getLexicalScores('parseToken').has(lexicalDocKey(fileA, 1, 2))).toBe(true);
+
+      await cache.removeFileFromStore(fileA);
+      expect(cache.getLexicalScores('parseToken').size).toBe(0);
+
+      await cache.performSave();
+      const reloaded = await createCache(dir);
+      await reloaded.load();
+
+      expect(reloaded.lexicalIndex.size).toBe(1);
+      expect(reloaded.getLexicalScores('renderView').has(lexicalDocKey(fileB, 1, 2))).toBe(true);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('returns null scores until a stale index is rebuilt', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-lexical-'));
+    try {
+      const cache = await createCache(dir);
+      cache.addToStore({
+        file: path.join(dir, 'a.js'),
+        startLine: 1,
+        endLine: 2,
+        content: 'parseToken',
+        vector: [1, 0],
+      });
+      cache.lexicalIndex.clear();
+
+      expect(cache.getLexicalScores('parseToken')).toBeNull();
+
+      await cache.rebuildLexicalIndex();
+      expect(cache.getLexicalScores('parseToken').size).toBe(1);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
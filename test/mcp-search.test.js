@@ -109,4 +109,23 @@ describe('mcp client search', () => {
     expect(searchText).toContain('example.js');
     expect(searchText).toContain('MCP_SEARCH_UNIQUE_TOKEN_12345');
   });
+
+  it('returns structured results validated against the output schema', async () => {
+    await client.callTool({ name: 'b_index_codebase', arguments: { force: true } });
+
+    const searchResponse = await client.callTool({
+      name: 'a_semantic_search',
+      arguments: { query: 'MCP_SEARCH_UNIQUE_TOKEN_12345', maxResults: 3, format: 'json' },
+    });
+
+    const hits = searchResponse.structuredContent?.results ?? [];
+    expect(hits.length).toBeGreaterThan(0);
+    expect(hits[0]).toMatchObject({
+      rank: 1,
+      relativePath: 'example.js',
+      language: 'js',
+    });
+    expect(hits[0].content).toContain('MCP_SEARCH_UNIQUE_TOKEN_12345');
+    expect(JSON.parse(searchResponse.content[0].text)).toEqual(searchResponse.structuredContent);
+  });
 });
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { QueryEmbeddingCache, queryEmbeddingKey } from '../lib/query-embedding-cache.js';
+import { EmbeddingsCache } from '../lib/cache.js';
+import { loadConfig } from '../lib/config.js';
+import { HybridSearch } from '../features/hybrid-search.js';
+import { FindSimilarCode } from '../features/find-similar-code.js';
+import { createHybridSearchCacheStub } from './helpers.js';
+
+describe('queryEmbeddingKey', () => {
+  it('normalizes whitespace and separates models and dimensions', () => {
+    const key = queryEmbeddingKey('model-a', 256, 'parse  json\n config ');
+    expect(queryEmbeddingKey('model-a', 256, 'parse json config')).toBe(key);
+    expect(queryEmbeddingKey('model-b', 256, 'parse json config')).not.toBe(key);
+    expect(queryEmbeddingKey('model-a', 128, 'parse json config')).not.toBe(key);
+  });
+});
+
+describe('QueryEmbeddingCache', () => {
+  it('evicts the least recently used entry', () => {
+    const lru = new QueryEmbeddingCache({ maxEntries: 2 });
+    lru.set('a', [1, 0]);
+    lru.set('b', [0, 1]);
+    lru.get('a');
+    lru.set('c', [1, 1]);
+
+    expect(lru.get('b')).toBeNull();
+    expect(Array.from(lru.get('a'))).toEqual([1, 0]);
+    expect(lru.size).toBe(2);
+  });
+
+  it('persists entries and merges them behind in-memory ones on load', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-query-cache-'));
+    try {
+      const filePath = path.join(dir, 'query-embeddings.json');
+      const writer = new QueryEmbeddingCache({ maxEntries: 2 });
+      await writer.load(filePath);
+      writer.set('a', [1, 0]);
+      writer.set('b', [0, 1]);
+      await writer.save();
+
+      const reader = new QueryEmbeddingCache({ maxEntries: 2 });
+      reader.set('c', [1, 1]);
+      await reader.load(filePath);
+
+      expect(reader.get('a')).toBeNull();
+      expect(Array.from(reader.get('b'))).toEqual([0, 1]);
+      expect(Array.from(reader.get('c'))).toEqual([1, 1]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('query embedding reuse', () => {
+  function createSharedCache() {
+    const lru = new QueryEmbeddingCache();
+    return createHybridSearchCacheStub({
+      vectorStore: [
+        {
+          file: '/mock/a.js',
+          startLine: 1,
+          endLine: 2,
+          content: 'function a() {}',
+          vector: new Float32Array([1, 0]),
+        },
+      ],
+      getQueryEmbedding: (text) => lru.get(queryEmbeddingKey('m', 2, text)),
+      setQueryEmbedding: (text, vector) => lru.set(queryEmbeddingKey('m', 2, text), vector),
+    });
+  }
+
+  const config = {
+    annEnabled: false,
+    semanticWeight: 1,
+    exactMatchBoost: 0,
+    recencyBoost: 0,
+    callGraphEnabled: false,
+    searchDirectory: '/mock',
+    resultCacheTtlMs: 0,
+  };
+
+  it('embeds a repeated search query once', async () => {
+    const embedder = vi.fn(async () => ({ data: new Float32Array([1, 0]) }));
+    const hybrid = new HybridSearch(embedder, createSharedCache(), config);
+
+    await hybrid.search('find a', 1);
+    const { results } = await hybrid.search(' find   a ', 1);
+
+    expect(embedder).toHaveBeenCalledTimes(1);
+    expect(results[0].file).toBe('/mock/a.js');
+  });
+
+  it('shares vectors between search and find-similar-code', async () => {
+    const embedder = vi.fn(async () => ({ data: new Float32Array([1, 0]) }));
+    const cache = createSharedCache();
+    const hybrid = new HybridSearch(embedder, cache, config);
+    const similar = new FindSimilarCode(embedder, cache, config);
+
+    await hybrid.search('const b = 1;', 1);
+    const result = await similar.execute({ code: 'const b = 1;', minSimilarity: 0 });
+
+    expect(embedder).toHaveBeenCalledTimes(1);
+    expect(result.results).toHaveLength(1);
+  });
+
+  it('is wired into EmbeddingsCache with a per-model key and persisted on close', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-query-cache-'));
+    try {
+      const config = await loadConfig();
+      config.cacheDirectory = dir;
+      config.searchDirectory = dir;
+      config.enableCache = true;
+      config.embeddingModel = 'test-model';
+      config.annEnabled = false;
+
+      const cache = new EmbeddingsCache(config);
+      await cache.load();
+      cache.setQueryEmbedding('parse json', new Float32Array([0.6, 0.8]));
+      await cache.close();
+
+      const reloaded = new EmbeddingsCache(config);
+      await reloaded.load();
+      expect(Array.from(reloaded.getQueryEmbedding('parse json'))).toEqual([
+        Math.fround(0.6),
+        Math.fround(0.8),
+      ]);
+
+      config.embeddingModel = 'other-model';
+      expect(reloaded.getQueryEmbedding('parse json')).toBeNull();
+      await reloaded.close();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
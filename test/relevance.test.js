@@ -0,0 +1,116 @@
+import path from 'path';
+import { describe, it, expect } from 'vitest';
+import { clampUnit, computeRelevance, lexicalCoverage } from '../lib/relevance.js';
+import { HybridSearch, handleToolCall } from '../features/hybrid-search.js';
+import { FindSimilarCode } from '../features/find-similar-code.js';
+import { createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+describe('relevance', () => {
+  it('clamps similarities to [0,1]', () => {
+    expect(clampUnit(-0.2)).toBe(0);
+    expect(clampUnit(1.7)).toBe(1);
+    expect(clampUnit(NaN)).toBe(0);
+    expect(computeRelevance(0.6)).toBeCloseTo(0.6);
+  });
+
+  it('measures keyword coverage of the query', () => {
+    expect(lexicalCoverage('function parseConfig(file) {}', 'parseConfig')).toBe(1);
+    expect(lexicalCoverage('const userId = getUser();', 'get user name')).toBeCloseTo(2 / 3);
+    expect(lexicalCoverage('nothing here', 'database')).toBe(0);
+  });
+
+  it('raises relevance with lexical evidence without exceeding 1', () => {
+    expect(computeRelevance(0.2, 1)).toBeCloseTo(0.6);
+    expect(computeRelevance(0.2, 0.5)).toBeCloseTo(0.4);
+    expect(computeRelevance(1.4, 1)).toBe(1);
+  });
+});
+
+describe('a_semantic_search relevance and minScore', () => {
+  const root = path.join(path.sep, 'repo');
+  const store = [
+    { content: 'function loadConfig() {}', vector: [0.8, 0.6] },
+    { content: 'const cache = new Map();', vector: [0.3, 0.954] },
+  ].map((chunk, i) => ({
+    file: path.join(root, `f${i}.js`),
+    startLine: 1,
+    endLine: 1,
+    ...chunk,
+    vector: Float32Array.from(chunk.vector),
+  }));
+
+  function createSearch() {
+    return new HybridSearch(
+      async () => ({ data: new Float32Array([1, 0]) }),
+      createHybridSearchCacheStub({ vectorStore: store }),
+      {
+        annEnabled: false,
+        semanticWeight: 0.7,
+        exactMatchBoost: 1.5,
+        recencyBoost: 0,
+        callGraphEnabled: false,
+        searchDirectory: root,
+        maxResults: 5,
+      }
+    );
+  }
+
+  it('reports normalized relevance next to the composite score', async () => {
+    const result = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'loadConfig' }),
+      createSearch()
+    );
+    const [first, second] = result.structuredContent.results;
+
+    expect(first.score).toBeGreaterThan(1);
+    expect(first.relevance).toBeCloseTo(0.9);
+    expect(second.relevance).toBeCloseTo(0.3);
+    expect(result.content[0].text).toContain('## Result 1 (Relevance: 90.0%)');
+  });
+
+  it('drops results below minScore and says when nothing qualifies', async () => {
+    const search = createSearch();
+    const filtered = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'loadConfig', minScore: 0.5 }),
+      search
+    );
+    expect(filtered.structuredContent.results.map((r) => r.relativePath)).toEqual(['f0.js']);
+
+    const none = await handleToolCall(
+      createMockRequest('a_semantic_search', { query: 'database pool', minScore: 0.95 }),
+      search
+    );
+    expect(none.structuredContent.results).toEqual([]);
+    expect(none.content[0].text).toBe('No results with relevance >= 95% (best match: 80.0%).');
+  });
+});
+
+describe('d_find_similar_code relevance', () => {
+  it('reports the penalized score as relevance', async () => {
+    const store = [
+      {
+        file: path.join(path.sep, 'repo', 'a.js'),
+        startLine: 1,
+        endLine: 2,
+        content: 'a',
+        vector: [1, 0],
+      },
+    ];
+    const embedder = async (text) => ({
+      data: Float32Array.from(text === 'avoid' ? [0.6, 0.8] : [1, 0]),
+    });
+    const cache = createHybridSearchCacheStub({ vectorStore: store });
+    const tool = new FindSimilarCode(embedder, cache, {
+      searchDirectory: path.join(path.sep, 'repo'),
+    });
+
+    const { results } = await tool.execute({
+      code: 'find me',
+      excludeSnippets: ['avoid'],
+      minSimilarity: 0,
+    });
+
+    expect(results[0].relevance).toBeCloseTo(0.7);
+    expect(await tool.formatResults(results)).toContain('(Relevance: 70.0%)');
+  });
+});
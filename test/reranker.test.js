@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CrossEncoderReranker } from '../lib/reranker.js';
+import { HybridSearch } from '../features/hybrid-search.js';
+import { createHybridSearchCacheStub } from './helpers.js';
+
+/**
+ * Fake text-classification pipeline: the logit of each pair is looked up by passage text.
+ */
+function createTransformers(logitsByPassage, { width = 1 } = {}) {
+  const tokenizer = vi.fn((queries, { text_pair }) => ({ queries, passages: text_pair }));
+  const model = vi.fn(async ({ passages }) => {
+    const data = [];
+    for (const passage of passages) {
+      const logit = logitsByPassage[passage] ?? 0;
+      for (let i = 0; i < width - 1; i++) data.push(0);
+      data.push(logit);
+    }
+    return { logits: { data: Float32Array.from(data), dims: [passages.length, width] } };
+  });
+  const classifier = { tokenizer, model, dispose: vi.fn() };
+  const pipeline = vi.fn(async () => classifier);
+  return { loadTransformers: async () => ({ pipeline }), pipeline, classifier };
+}
+
+describe('CrossEncoderReranker', () => {
+  it('scores passages in batches and maps logits to [0,1]', async () => {
+    const transformers = createTransformers({ a: 0, b: 4, c: -4 });
+    const reranker = new CrossEncoderReranker(
+      { rerank: { enabled: true, batchSize: 2 } },
+      transformers
+    );
+
+    const scores = await reranker.score('query', ['a', 'b', 'c']);
+
+    expect(scores[0]).toBeCloseTo(0.5);
+    expect(scores[1]).toBeGreaterThan(0.98);
+    expect(scores[2]).toBeLessThan(0.02);
+    expect(transformers.classifier.model).toHaveBeenCalledTimes(2);
+    expect(transformers.classifier.tokenizer.mock.calls[0][0]).toEqual(['query', 'query']);
+    expect(transformers.pipeline).toHaveBeenCalledTimes(1);
+    expect(transformers.pipeline.mock.calls[0].slice(0, 2)).toEqual([
+      'text-classification',
+      'Xenova/ms-marco-MiniLM-L-6-v2',
+    ]);
+  });
+
+  it('uses the last label probability for multi-label models', async () => {
+    const transformers = createTransformers({ a: 0, b: 2 }, { width: 2 });
+    const reranker = new CrossEncoderReranker({ rerank: { enabled: true } }, transformers);
+
+    const [a, b] = await reranker.score('query', ['a', 'b']);
+
+    expect(a).toBeCloseTo(0.5);
+    expect(b).toBeCloseTo(Math.exp(2) / (1 + Math.exp(2)));
+  });
+
+  it('disposes the model on unload and reloads on next use', async () => {
+    const transformers = createTransformers({});
+    const reranker = new CrossEncoderReranker({ rerank: { enabled: true } }, transformers);
+
+    await reranker.score('query', ['a']);
+    expect(await reranker.unload()).toBe(true);
+    await reranker.score('query', ['a']);
+
+    expect(transformers.classifier.dispose).toHaveBeenCalledTimes(1);
+    expect(transformers.pipeline).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('HybridSearch re-ranking', () => {
+  const baseConfig = {
+    annEnabled: false,
+    semanticWeight: 1,
+    exactMatchBoost: 0,
+    recencyBoost: 0,
+    callGraphEnabled: false,
+    searchDirectory: '/mock',
+    resultCacheTtlMs: 0,
+  };
+
+  function createStore() {
+    return [
+      { file: '/mock/a.js', startLine: 1, endLine: 2, content: 'alpha', vector: [1, 0] },
+      { file: '/mock/b.js', startLine: 1, endLine: 2, content: 'beta', vector: [0.9, 0.1] },
+      { file: '/mock/c.js', startLine: 1, endLine: 2, content: 'gamma', vector: [0.8, 0.2] },
+    ].map((chunk) => ({ ...chunk, vector: new Float32Array(chunk.vector) }));
+  }
+
+  function createSearch(rerank, reranker) {
+    const cache = createHybridSearchCacheStub({ vectorStore: createStore() });
+    const embedder = async () => ({ data: new Float32Array([1, 0]) });
+    return new HybridSearch(embedder, cache, { ...baseConfig, rerank }, reranker);
+  }
+
+  it('reorders the top candidates by cross-encoder score', async () => {
+    const config = { rerank: { enabled: true, topN: 2 } };
+    const reranker = new CrossEncoderReranker(
+      config,
+      createTransformers({ alpha: -2, beta: 3, gamma: 5 })
+    );
+    const search = createSearch(config.rerank, reranker);
+
+    const { results } = await search.search('query', 3, { explain: true });
+
+    expect(results.map((r) => r.file)).toEqual(['/mock/b.js', '/mock/a.js', '/mock/c.js']);
+    expect(results[0].explain.rerank).toBeGreaterThan(0.9);
+    expect(results[2].rerankScore).toBeUndefined();
+    const structured = await search.toStructuredResults(results);
+    expect(structured[0].scores.rerank).toBe(results[0].rerankScore);
+    expect(structured[2].scores.rerank).toBeNull();
+  });
+
+  it('leaves the order alone when re-ranking is disabled', async () => {
+    const reranker = { enabled: false, score: vi.fn() };
+    const { results } = await createSearch({ enabled: false }, reranker).search('query', 3);
+
+    expect(results.map((r) => r.file)).toEqual(['/mock/a.js', '/mock/b.js', '/mock/c.js']);
+    expect(reranker.score).not.toHaveBeenCalled();
+  });
+
+  it('keeps the original order when the model fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const reranker = {
+      enabled: true,
+      settings: { topN: 50 },
+      score: vi.fn(async () => {
+        throw new Error('model missing');
+      }),
+    };
+    const { results } = await createSearch({ enabled: true }, reranker).search('query', 3);
+
+    expect(results.map((r) => r.file)).toEqual(['/mock/a.js', '/mock/b.js', '/mock/c.js']);
+    expect(console.warn).toHaveBeenCalledWith(
+      '[Search] Re-ranking failed, keeping original order: model missing'
+    );
+  });
+});
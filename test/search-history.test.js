@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { SearchHistory, SEARCH_HISTORY_URI } from '../lib/search-history.js';
+import { HybridSearch, handleToolCall as handleSearch } from '../features/hybrid-search.js';
+import { SavedSearches, getToolDefinition, handleToolCall } from '../features/saved-searches.js';
+import { handleListResources, handleReadResource } from '../features/resources.js';
+import { createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heuristic-history-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('SearchHistory', () => {
+  it('keeps the newest entries up to maxEntries', () => {
+    const history = new SearchHistory({ maxEntries: 2 });
+    history.record('one');
+    history.record('two', { scope: 'changed' }, ['a.js']);
+    history.record('three');
+
+    expect(history.getRecent().map((entry) => entry.query)).toEqual(['three', 'two']);
+    expect(history.getRecent()[1]).toMatchObject({
+      args: { scope: 'changed' },
+      topFiles: ['a.js'],
+    });
+  });
+
+  it('persists history and saved searches, and replaces them when the file changes', async () => {
+    const file = path.join(dir, 'search-history.json');
+    const history = new SearchHistory();
+    await history.load(file);
+    history.record('auth flow', {}, ['auth.js']);
+    history.saveSearch('auth', { query: 'auth flow' });
+    await history.flush();
+
+    const restored = new SearchHistory();
+    await restored.load(file);
+    expect(restored.getRecent()[0].query).toBe('auth flow');
+    expect(restored.getSaved('auth').args).toEqual({ query: 'auth flow' });
+
+    await restored.load(path.join(dir, 'other', 'search-history.json'));
+    expect(restored.getRecent()).toEqual([]);
+    expect(restored.listSaved()).toEqual([]);
+  });
+});
+
+describe('saved searches', () => {
+  function createSearch(history) {
+    const store = ['auth.js', 'db.js'].map((name, i) => ({
+      file: path.join('/mock', name),
+      startLine: 1,
+      endLine: 1,
+      content: name,
+      vector: new Float32Array([1 - i * 0.5, i * 0.5]),
+    }));
+    const cache = createHybridSearchCacheStub({ vectorStore: store, searchHistory: history });
+    const hybridSearch = new HybridSearch(async () => ({ data: new Float32Array([1, 0]) }), cache, {
+      annEnabled: false,
+      semanticWeight: 1,
+      exactMatchBoost: 0,
+      recencyBoost: 0,
+      callGraphEnabled: false,
+      searchDirectory: '/mock',
+      maxResults: 5,
+    });
+    return { hybridSearch, tool: new SavedSearches(hybridSearch, cache) };
+  }
+
+  it('records first-page searches with their top files', async () => {
+    const history = new SearchHistory();
+    const { hybridSearch } = createSearch(history);
+
+    await handleSearch(
+      createMockRequest('a_semantic_search', {
+        query: 'login',
+        pathPrefix: 'auth.js',
+        format: 'json',
+      }),
+      hybridSearch
+    );
+    await handleSearch(
+      createMockRequest('a_semantic_search', { query: 'login', offset: 1 }),
+      hybridSearch
+    );
+
+    expect(history.getRecent()).toHaveLength(1);
+    expect(history.getRecent()[0]).toMatchObject({
+      query: 'login',
+      args: { pathPrefix: 'auth.js' },
+      topFiles: ['auth.js'],
+    });
+  });
+
+  it('saves, lists, runs and deletes searches by name', async () => {
+    const history = new SearchHistory();
+    const { tool } = createSearch(history);
+    const call = (args) => handleToolCall(createMockRequest('g_saved_search', args), tool);
+
+    const saved = await call({ action: 'save', name: 'db', query: 'database', maxResults: 1 });
+    expect(saved.content[0].text).toBe('Saved search **db**: "database"');
+    expect((await call({})).content[0].text).toContain('- **db**: "database" (maxResults)');
+
+    const run = await call({ action: 'run', name: 'db', maxResults: 2 });
+    expect(run.structuredContent.query).toBe('database');
+    expect(run.structuredContent.results).toHaveLength(2);
+
+    expect((await call({ action: 'delete', name: 'db' })).isError).toBeUndefined();
+    expect((await call({ action: 'run', name: 'db' })).isError).toBe(true);
+  });
+
+  it('saves an entry from the recent history', async () => {
+    const history = new SearchHistory();
+    history.record('older');
+    history.record('latest', { languages: ['js'] });
+    const { tool } = createSearch(history);
+
+    await handleToolCall(
+      createMockRequest('g_saved_search', { action: 'save', name: 'last', fromHistory: 1 }),
+      tool
+    );
+
+    expect(history.getSaved('last').args).toEqual({ languages: ['js'], query: 'latest' });
+  });
+
+  it('accepts every saved a_semantic_search argument in its schema', async () => {
+    const history = new SearchHistory();
+    const { tool } = createSearch(history);
+    const args = { maxResultsPerFile: 1, expandTo: 'symbol', explain: true };
+    const { properties } = getToolDefinition().inputSchema;
+
+    await handleToolCall(
+      createMockRequest('g_saved_search', { action: 'save', name: 'x', query: 'x', ...args }),
+      tool
+    );
+
+    expect(Object.keys(properties)).toEqual(expect.arrayContaining(Object.keys(args)));
+    expect(history.getSaved('x').args).toEqual({ query: 'x', ...args });
+  });
+
+  it('rejects saves without a name or query', async () => {
+    const { tool } = createSearch(new SearchHistory());
+
+    const noName = await handleToolCall(
+      createMockRequest('g_saved_search', { action: 'save', query: 'x' }),
+      tool
+    );
+    const noQuery = await handleToolCall(
+      createMockRequest('g_saved_search', { action: 'save', name: 'x' }),
+      tool
+    );
+
+    expect(noName.isError).toBe(true);
+    expect(noQuery.content[0].text).toContain('non-empty query');
+  });
+});
+
+describe('heuristic://history resource', () => {
+  it('is listed and returns recent and saved searches', async () => {
+    const history = new SearchHistory();
+    history.record('auth flow', {}, ['auth.js']);
+    history.saveSearch('auth', { query: 'auth flow' });
+    const config = { searchDirectory: dir, fileExtensions: ['js'], excludePatterns: [] };
+
+    const { resources } = await handleListResources(config, { searchHistory: history });
+    expect(resources[0].uri).toBe(SEARCH_HISTORY_URI);
+
+    const { contents } = await handleReadResource(SEARCH_HISTORY_URI, config, {
+      searchHistory: history,
+    });
+    const data = JSON.parse(contents[0].text);
+    expect(data.recent[0]).toMatchObject({ query: 'auth flow', topFiles: ['auth.js'] });
+    expect(data.saved[0]).toMatchObject({ name: 'auth', args: { query: 'auth flow' } });
+  });
+});
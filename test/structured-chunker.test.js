@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import { getStructuredFormat, structuredChunk } from '../lib/structured-chunker.js';
+import { getEmbeddingText } from '../lib/chunk-context.js';
+import { smartChunk } from '../lib/utils.js';
+
+function expectFileLines(chunks, content) {
+  const lines = content.split('\n');
+  for (const chunk of chunks) {
+    expect(chunk.text).toBe(lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+  }
+}
+
+const config = {
+  embeddingModel: 'jinaai/jina-embeddings-v2-base-code',
+  targetTokens: 60,
+  overlapTokens: 10,
+};
+
+describe('structuredChunk', () => {
+  it('maps extensions to formats', () => {
+    expect(getStructuredFormat('analysis.IPYNB')).toBe('notebook');
+    expect(getStructuredFormat('docs/GUIDE.md')).toBe('markdown');
+    expect(getStructuredFormat('tsconfig.jsonc')).toBe('json');
+    expect(getStructuredFormat('compose.yml')).toBe('yaml');
+    expect(getStructuredFormat('index.js')).toBeNull();
+  });
+
+  it('chunks notebooks per cell and skips outputs', () => {
+    const notebook = JSON.stringify(
+      {
+        cells: [
+          { cell_type: 'markdown', metadata: {}, source: ['# Setup\n'] },
+          {
+            cell_type: 'code',
+            execution_count: 1,
+            metadata: {},
+            outputs: [{ output_type: 'stream', text: ['SECRET OUTPUT\n'] }],
+            source: ['import pandas as pd\n', 'df = pd.read_csv("data.csv")\n', 'df.head()'],
+          },
+          { cell_type: 'raw', metadata: {}, source: ['ignored raw cell'] },
+          {
+            cell_type: 'markdown',
+            metadata: {},
+            source: ['## Analysis\n', 'We compute the mean of every column here.'],
+          },
+        ],
+        metadata: {},
+        nbformat: 4,
+        nbformat_minor: 5,
+      },
+      null,
+      1
+    );
+    const lines = notebook.split('\n');
+
+    const chunks = structuredChunk(notebook, 'a.ipynb', config);
+
+    expect(chunks.map((c) => c.metadata)).toEqual([
+      { kind: 'notebook-cell', cell: 2, cellType: 'code', preamble: '# Setup' },
+      { kind: 'notebook-cell', cell: 4, cellType: 'markdown' },
+    ]);
+    expectFileLines(chunks, notebook);
+    // The one-line heading cell is embedded ahead of the next cell.
+    expect(getEmbeddingText(chunks[0])).toBe(
+      '# Setup\n\nimport pandas as pd\ndf = pd.read_csv("data.csv")\ndf.head()'
+    );
+    expect(chunks.some((c) => c.text.includes('SECRET OUTPUT'))).toBe(false);
+    expect(lines[chunks[1].startLine - 1]).toContain('## Analysis');
+    expect(lines[chunks[1].endLine - 1]).toContain('mean of every column');
+  });
+
+  it('leaves blob lines in notebook cells out of the embedding text', () => {
+    const blob = `img = "data:image/png;base64,iVBORw0KGgo${'QUJD'.repeat(1000)}"\n`;
+    const notebook = JSON.stringify(
+      {
+        cells: [
+          {
+            cell_type: 'code',
+            metadata: {},
+            source: ['from base64 import b64decode\n', blob, 'show(b64decode(img))'],
+          },
+        ],
+      },
+      null,
+      1
+    );
+
+    const chunks = structuredChunk(notebook, 'a.ipynb', config);
+
+    expect(chunks).toHaveLength(1);
+    expectFileLines(chunks, notebook);
+    expect(chunks[0].metadata.droppedLines).toEqual([1]);
+    expect(getEmbeddingText(chunks[0])).toBe(
+      'from base64 import b64decode\n\nshow(b64decode(img))'
+    );
+  });
+
+  it('falls back for invalid notebooks and cells that do not map to rows', () => {
+    expect(structuredChunk('{ not json', 'a.ipynb', config)).toBeNull();
+    const minified = JSON.stringify({
+      cells: [
+        { cell_type: 'code', source: ['print("a long enough first cell")\n'] },
+        { cell_type: 'code', source: ['print("a long enough second cell")\n'] },
+      ],
+    });
+    expect(structuredChunk(minified, 'a.ipynb', config)).toBeNull();
+  });
+
+  it('splits Markdown at headings and embeds the heading path', () => {
+    const markdown = [
+      'Intro text that is long enough to count.',
+      '',
+      '# Guide',
+      '',
+      '## Config',
+      '',
+      '### Env',
+      'Set the SMART_CODING_X variable to enable it.',
+      '```sh',
+      '# not a heading',
+      'export X=1',
+      '```',
+      '## Usage',
+      'Run the thing with some options please.',
+    ].join('\n');
+
+    const chunks = structuredChunk(markdown, 'README.md', config);
+
+    expect(chunks.map((c) => [c.startLine, c.endLine, c.metadata.headingPath])).toEqual([
+      [1, 2, ''],
+      [3, 12, 'Guide > Config > Env'],
+      [13, 14, 'Guide > Usage'],
+    ]);
+    expectFileLines(chunks, markdown);
+    expect(chunks[2].text).toBe('## Usage\nRun the thing with some options please.');
+    expect(getEmbeddingText(chunks[2])).toBe(
+      'Guide > Usage\n\n## Usage\nRun the thing with some options please.'
+    );
+  });
+
+  it('cuts an oversized section into windows that keep the heading path', () => {
+    const body = Array.from({ length: 30 }, (_, i) => `Paragraph line ${i} with some words.`);
+    const markdown = ['# API', '## Search', ...body].join('\n');
+
+    const chunks = structuredChunk(markdown, 'api.md', config);
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expectFileLines(chunks, markdown);
+    expect(chunks.every((c) => getEmbeddingText(c).startsWith('API > Search\n\n'))).toBe(true);
+    expect(chunks.at(-1).endLine).toBe(32);
+  });
+
+  it('packs YAML top-level keys and splits large ones at child keys', () => {
+    const yaml = [
+      'version: "3.8"',
+      'name: demo-app',
+      'services:',
+      '  web:',
+      '    image: nginx:latest',
+      '    ports:',
+      '      - "80:80"',
+      '    environment:',
+      '      A: 1',
+      '      B: 2',
+      '  db:',
+      '    image: postgres:16',
+      '    command: |',
+      '      postgres -c foo: bar',
+      '      -c shared_buffers=256MB',
+      '    volumes:',
+      '      - data:/var/lib/postgresql/data',
+    ].join('\n');
+
+    const chunks = structuredChunk(yaml, 'compose.yml', config);
+
+    expect(chunks.map((c) => [c.startLine, c.endLine, c.metadata.keyPaths])).toEqual([
+      [1, 2, ['version', 'name']],
+      [3, 10, ['services.web']],
+      [11, 17, ['services.db']],
+    ]);
+    expect(chunks[0].metadata.kind).toBe('config-keys');
+  });
+
+  it('records JSON key paths and falls back for arrays', () => {
+    const json = JSON.stringify(
+      {
+        name: 'demo',
+        version: '1.0.0',
+        scripts: {
+          test: 'vitest run --coverage --reporter verbose',
+          lint: 'eslint . --max-warnings 0 --cache',
+          build: 'tsc -p tsconfig.build.json && node scripts/bundle.js',
+        },
+        dependencies: { a: '^1.0.0', b: '^2.0.0' },
+      },
+      null,
+      2
+    );
+
+    const chunks = structuredChunk(json, 'package.json', { ...config, targetTokens: 40 });
+
+    expect(chunks.map((c) => c.metadata.keyPaths)).toEqual([
+      ['name', 'version'],
+      ['scripts.test'],
+      ['scripts.lint'],
+      ['scripts.build'],
+      ['dependencies'],
+    ]);
+    expect(chunks.at(-1).endLine).toBe(json.split('\n').length);
+    expect(structuredChunk('[1, 2, 3]', 'list.json', config)).toBeNull();
+  });
+
+  it('is used by smartChunk for structured files only', () => {
+    const markdown = '# Title\n\nSome documentation text for the title section.';
+    expect(smartChunk(markdown, 'doc.md', config)[0].metadata).toEqual({
+      kind: 'markdown-section',
+      headingPath: 'Title',
+    });
+    expect(
+      smartChunk('const value = computeSomething(input);', 'a.js', config)[0]
+    ).not.toHaveProperty('metadata');
+  });
+});
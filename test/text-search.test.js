@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { TextSearch, getToolDefinition, handleToolCall } from '../features/text-search.js';
+import { createChunkStub, createHybridSearchCacheStub, createMockRequest } from './helpers.js';
+
+const ROOT = path.resolve('/mock');
+
+function createStore() {
+  return [
+    createChunkStub(path.join(ROOT, 'lib', 'config.js'), {
+      startLine: 10,
+      endLine: 13,
+      content: 'const a = 1;\nconfig.maxResults = 5;\nconst b = 2;\nreturn config.MAXRESULTS;',
+    }),
+    // Overlaps the chunk above on lines 12-13
+    createChunkStub(path.join(ROOT, 'lib', 'config.js'), {
+      startLine: 12,
+      endLine: 14,
+      content: 'const b = 2;\nreturn config.MAXRESULTS;\nexport { maxResults };',
+    }),
+    createChunkStub(path.join(ROOT, 'dist', 'bundle.js'), { content: 'var maxResults=5;' }),
+    createChunkStub(path.join(ROOT, 'src', 'search.ts'), {
+      startLine: 3,
+      endLine: 4,
+      content: 'function search(maxResults: number) {\n  return maxResults;',
+    }),
+  ];
+}
+
+function createTextSearch({ excluded = [] } = {}) {
+  const cache = createHybridSearchCacheStub({ vectorStore: createStore() });
+  const indexer = {
+    isExcluded: (file) => excluded.some((dir) => file.startsWith(path.join(ROOT, dir))),
+  };
+  return new TextSearch(cache, { searchDirectory: ROOT }, indexer);
+}
+
+describe('TextSearch', () => {
+  it('reports exact line and column numbers once per line', async () => {
+    const { matches } = await createTextSearch().execute({ pattern: 'maxResults' });
+
+    const configMatches = matches.filter((m) => m.file.endsWith('config.js'));
+    expect(configMatches.map((m) => [m.line, m.column])).toEqual([
+      [11, 8],
+      [13, 15],
+      [14, 10],
+    ]);
+  });
+
+  it('respects case sensitivity', async () => {
+    const { matches } = await createTextSearch().execute({
+      pattern: 'MAXRESULTS',
+      caseSensitive: true,
+    });
+
+    expect(matches.map((m) => m.line)).toEqual([13]);
+  });
+
+  it('supports regular expressions and rejects invalid ones', async () => {
+    const search = createTextSearch();
+
+    const { matches } = await search.execute({ pattern: '^\\s*return \\w+;$', regex: true });
+    const invalid = await search.execute({ pattern: '(', regex: true });
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({ line: 4, match: '  return maxResults;' });
+    expect(invalid.message).toContain('Invalid regular expression');
+  });
+
+  it('treats literal patterns as plain text', async () => {
+    const { matches } = await createTextSearch().execute({ pattern: 'config.max' });
+
+    expect(matches.map((m) => m.line)).toEqual([11, 13]);
+  });
+
+  it('skips files excluded by the indexer and honors path filters', async () => {
+    const search = createTextSearch({ excluded: ['dist'] });
+
+    const all = await search.execute({ pattern: 'maxResults' });
+    const filtered = await search.execute({ pattern: 'maxResults', languages: ['ts'] });
+
+    expect(all.matches.some((m) => m.file.includes('bundle.js'))).toBe(false);
+    expect(filtered.matches.map((m) => m.line)).toEqual([3, 4]);
+  });
+
+  it('truncates at maxResults', async () => {
+    const { matches, truncated } = await createTextSearch().execute({
+      pattern: 'maxResults',
+      maxResults: 2,
+    });
+
+    expect(matches).toHaveLength(2);
+    expect(truncated).toBe(true);
+  });
+});
+
+describe('a_text_search tool', () => {
+  it('declares the tool', () => {
+    const toolDef = getToolDefinition({});
+    expect(toolDef.name).toBe('a_text_search');
+    expect(toolDef.inputSchema.required).toEqual(['pattern']);
+    expect(toolDef.annotations.readOnlyHint).toBe(true);
+  });
+
+  it('formats matches grouped by file', async () => {
+    const response = await handleToolCall(
+      createMockRequest('a_text_search', { pattern: 'maxResults', languages: ['ts'] }),
+      createTextSearch()
+    );
+
+    const text = response.content[0].text;
+    expect(text).toContain('## 2 matches for `maxResults`');
+    expect(text).toContain(`### \`${path.join('src', 'search.ts')}\``);
+    expect(text).toContain('- L3:17 `function search(maxResults: number) {`');
+  });
+
+  it('returns an error for an invalid regex', async () => {
+    const response = await handleToolCall(
+      createMockRequest('a_text_search', { pattern: '[', regex: true }),
+      createTextSearch()
+    );
+
+    expect(response.isError).toBe(true);
+  });
+});
@@ -1,10 +1,27 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
+  countTokens,
   estimateTokens,
   getModelTokenLimit,
   getChunkingParams,
+  loadModelTokenizer,
   MODEL_TOKEN_LIMITS,
 } from '../lib/tokenizer.js';
+import { smartChunk } from '../lib/utils.js';
+
+const { fromPretrained } = vi.hoisted(() => ({ fromPretrained: vi.fn() }));
+vi.mock('@huggingface/transformers', () => ({
+  AutoTokenizer: { from_pretrained: fromPretrained },
+}));
+
+// One token per character, plus [CLS]/[SEP] when special tokens are requested.
+function createCharTokenizer(modelMaxLength) {
+  return {
+    model_max_length: modelMaxLength,
+    encode: (text, { add_special_tokens = true } = {}) =>
+      new Array(text.length + (add_special_tokens ? 2 : 0)).fill(0),
+  };
+}
 
 describe('Token Estimation', () => {
   describe('estimateTokens', () => {
@@ -168,3 +185,61 @@ describe('Integration: Token Estimation Accuracy', () => {
     expect(estimateTokens(safeChunk)).toBeLessThanOrEqual(limit);
   });
 });
+
+describe('Model tokenizer', () => {
+  it('counts tokens and reads model_max_length from the loaded tokenizer', async () => {
+    fromPretrained.mockResolvedValueOnce(createCharTokenizer(1024));
+    const before = getChunkingParams('acme/code-embed-1k');
+
+    await loadModelTokenizer('acme/code-embed-1k', { cacheDir: '/models' });
+
+    expect(fromPretrained).toHaveBeenCalledWith('acme/code-embed-1k', {
+      local_files_only: true,
+      cache_dir: '/models',
+    });
+    expect(before.maxTokens).toBe(512);
+    expect(getModelTokenLimit('acme/code-embed-1k')).toBe(1024);
+    expect(getChunkingParams('ACME/code-embed-1k')).toEqual({
+      maxTokens: 1024,
+      targetTokens: Math.trunc(1024 * 0.85),
+      overlapTokens: Math.trunc(Math.trunc(1024 * 0.85) * 0.18),
+    });
+    expect(countTokens('internationalization', 'acme/code-embed-1k')).toBe(22);
+    expect(
+      countTokens('internationalization', 'acme/code-embed-1k', { includeSpecialTokens: false })
+    ).toBe(20);
+  });
+
+  it('uses real counts for smartChunk budgets', async () => {
+    fromPretrained.mockResolvedValueOnce(createCharTokenizer(512));
+    await loadModelTokenizer('acme/char-model');
+    const content = 'const value = compute(input);\n'.repeat(4);
+
+    const [chunk] = smartChunk(content, 'a.js', { embeddingModel: 'acme/char-model' });
+
+    expect(chunk.tokenCount).toBe(content.length - 4 + 2);
+  });
+
+  it('keeps explicit limits and ignores sentinel max lengths', async () => {
+    fromPretrained.mockResolvedValueOnce(createCharTokenizer(8192));
+    fromPretrained.mockResolvedValueOnce(createCharTokenizer(1e30));
+    await loadModelTokenizer('jinaai/jina-embeddings-v2-base-code');
+    await loadModelTokenizer('acme/unbounded');
+
+    expect(getModelTokenLimit('jinaai/jina-embeddings-v2-base-code')).toBe(512);
+    expect(getModelTokenLimit('acme/unbounded')).toBe(512);
+  });
+
+  it('falls back to estimates when the tokenizer is not cached locally', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    fromPretrained.mockRejectedValueOnce(new Error('file was not found locally'));
+
+    expect(await loadModelTokenizer('acme/missing')).toBeNull();
+    expect(await loadModelTokenizer('acme/missing')).toBeNull();
+
+    expect(fromPretrained.mock.calls.filter(([name]) => name === 'acme/missing')).toHaveLength(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('using estimated token counts'));
+    expect(countTokens('hello world', 'acme/missing')).toBe(estimateTokens('hello world'));
+    warn.mockRestore();
+  });
+});
@@ -6,6 +6,7 @@ describe('Utils Branch Coverage', () => {
 
   vi.mock('../lib/tokenizer.js', () => ({
     estimateTokens: (str) => str.length,
+    countTokens: (str) => str.length,
     getChunkingParams: () => ({
       maxTokens: 50,
       targetTokens: 30,